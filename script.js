@@ -2,24 +2,12 @@
 // SCROLL UTILITIES & HELPERS
 // ============================================
 
-/**
- * Check if an element is in viewport
- */
-function isElementInViewport(el) {
-    if (!el) return false;
-    const rect = el.getBoundingClientRect();
-    return (
-        rect.top <= (window.innerHeight || document.documentElement.clientHeight) &&
-        rect.bottom >= 0
-    );
-}
-
 /**
  * Smooth scroll to element
  */
 function smoothScrollTo(element) {
     if (!element) return;
-    element.scrollIntoView({ behavior: 'smooth' });
+    element.scrollIntoView({ behavior: animations.prefersReducedMotion() ? 'auto' : 'smooth' });
 }
 
 /**
@@ -51,434 +39,11267 @@ function throttle(func, limit) {
     };
 }
 
+/**
+ * Save a Blob as a file through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
 // ============================================
-// NAVIGATION BAR
+// ACCESSIBILITY HELPERS
 // ============================================
 
-const navbar = document.getElementById('navbar');
-const menuToggle = document.getElementById('menuToggle');
-const navMenu = document.getElementById('navMenu');
-const navLinks = document.querySelectorAll('.nav-link');
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
 
-// Guard against missing elements
-if (!navbar || !menuToggle || !navMenu || navLinks.length === 0) {
-    console.warn('Navigation elements not found');
+/**
+ * Keep keyboard focus inside a dialog while it is open and restore it on close
+ */
+class FocusTrap {
+    constructor(container) {
+        this.container = container;
+        this.previousFocus = null;
+        this.active = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    activate(initialFocus) {
+        if (this.active) return;
+        this.active = true;
+        this.previousFocus = document.activeElement;
+        document.addEventListener('keydown', this.handleKeydown);
+
+        const target = initialFocus || this.getFocusable()[0] || this.container;
+        if (target === this.container && !this.container.hasAttribute('tabindex')) {
+            this.container.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    }
+
+    deactivate() {
+        if (!this.active) return;
+        this.active = false;
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.previousFocus && this.previousFocus.focus && document.contains(this.previousFocus)) {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    getFocusable() {
+        return [...this.container.querySelectorAll(FOCUSABLE_SELECTOR)]
+            .filter(element => !element.closest('[hidden]'));
+    }
+
+    handleKeydown(e) {
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusable();
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = this.container.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
 }
 
 /**
- * Sticky navbar on scroll
+ * Stop the page scrolling behind dialogs. Each dialog locks and unlocks for
+ * itself, so closing one that was stacked on another keeps the page locked.
  */
-window.addEventListener('scroll', throttle(() => {
-    if (navbar) {
-        if (window.scrollY > 50) {
-            navbar.classList.add('scrolled');
-        } else {
-            navbar.classList.remove('scrolled');
+class ScrollLock {
+    constructor() {
+        this.owners = new Set();
+    }
+
+    lock(owner) {
+        this.owners.add(owner);
+        document.body.style.overflow = 'hidden';
+    }
+
+    unlock(owner) {
+        this.owners.delete(owner);
+        if (!this.owners.size) document.body.style.overflow = '';
+    }
+}
+
+const scrollLock = new ScrollLock();
+
+// ============================================
+// COMPONENT LIFECYCLE
+// ============================================
+
+/**
+ * Base class for UI components mounted by the registry.
+ * Listeners added with `listen()` and cleanups registered with `own()`
+ * (e.g. unsubscribe functions) are released by `destroy()`. Constructors
+ * never call `init()`: the registry does, or the owner of a nested component.
+ */
+class Component {
+    constructor(element) {
+        this.element = element;
+        this.abortController = new AbortController();
+        this.disposers = [];
+    }
+
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.abortController.signal });
+    }
+
+    own(dispose) {
+        this.disposers.push(dispose);
+        return dispose;
+    }
+
+    init() {}
+
+    destroy() {
+        this.abortController.abort();
+        this.disposers.splice(0).forEach(dispose => dispose());
+    }
+}
+
+/**
+ * Mounts components declared in markup with data-component="name [name...]".
+ *
+ *   components.define('gallery', (element) => new GalleryGrid(element), { requires: ['#galleryStatus'] });
+ *   components.mount();           // whole document, on load
+ *   components.scan(container);   // after injecting HTML into `container`
+ *
+ * `requires` selectors are looked up inside the element (ids anywhere in the
+ * document); if any is missing the component is skipped with a console warning.
+ */
+class ComponentRegistry {
+    constructor() {
+        this.definitions = new Map();
+        this.mounted = new Map();
+    }
+
+    define(name, setup, options = {}) {
+        this.definitions.set(name, { setup, requires: options.requires || [] });
+        return this;
+    }
+
+    /**
+     * Mount every declared component in `root` (including root itself) that isn't mounted yet
+     */
+    mount(root = document) {
+        const elements = [...root.querySelectorAll('[data-component]')];
+        if (root.matches && root.matches('[data-component]')) elements.unshift(root);
+
+        elements.forEach(element => {
+            element.dataset.component.split(/\s+/).filter(Boolean).forEach(name => {
+                this.mountComponent(element, name);
+            });
+        });
+    }
+
+    mountComponent(element, name) {
+        const existing = this.get(element, name);
+        if (existing) return existing;
+
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            console.warn(`[components] Unknown component "${name}"`, element);
+            return null;
+        }
+
+        const missing = definition.requires.filter(selector => (
+            !(selector.startsWith('#') ? document : element).querySelector(selector)
+        ));
+        if (missing.length) {
+            console.warn(`[components] Skipped "${name}": missing ${missing.join(', ')}`, element);
+            return null;
+        }
+
+        let instance = null;
+        try {
+            instance = definition.setup(element);
+            if (instance && typeof instance.init === 'function') instance.init();
+
+            if (!this.mounted.has(element)) this.mounted.set(element, new Map());
+            this.mounted.get(element).set(name, instance);
+            return instance;
+        } catch (error) {
+            console.error(`[components] Failed to mount "${name}"`, error);
+            // Release whatever init() wired up before it failed
+            if (instance && typeof instance.destroy === 'function') instance.destroy();
+            return null;
         }
     }
-}, 100));
+
+    /**
+     * Destroy components on `root` and its descendants
+     */
+    unmount(root = document) {
+        this.mounted.forEach((instances, element) => {
+            if (root !== document && root !== element && !root.contains(element)) return;
+            instances.forEach((instance, name) => {
+                try {
+                    if (instance && typeof instance.destroy === 'function') instance.destroy();
+                } catch (error) {
+                    console.error(`[components] Failed to destroy "${name}"`, error);
+                }
+            });
+            this.mounted.delete(element);
+        });
+    }
+
+    /**
+     * Re-scan a subtree after its content changed: destroy components whose
+     * elements were removed from the page and mount newly added ones
+     */
+    scan(root = document) {
+        this.mounted.forEach((instances, element) => {
+            if (!document.contains(element)) this.unmount(element);
+        });
+        this.mount(root);
+    }
+
+    get(element, name) {
+        const instances = element && this.mounted.get(element);
+        return (instances && instances.get(name)) || null;
+    }
+}
+
+const components = new ComponentRegistry();
+
+// ============================================
+// INTERNATIONALIZATION
+// ============================================
 
 /**
- * Mobile menu toggle
+ * Supported locales. `intl` is the tag used for number/date formatting,
+ * `country` the default phone country.
  */
-if (menuToggle && navMenu) {
-    menuToggle.addEventListener('click', (e) => {
-        e.stopPropagation();
-        menuToggle.classList.toggle('active');
-        navMenu.classList.toggle('active');
-    });
+const LOCALES = {
+    en: { label: 'English', intl: 'en-US', dir: 'ltr', country: 'US' },
+    es: { label: 'Español', intl: 'es-ES', dir: 'ltr', country: 'ES' },
+    ar: { label: 'العربية', intl: 'ar-AE', dir: 'rtl', country: 'AE' }
+};
+
+/**
+ * Message catalogs. Static copy is marked up with data-i18n="key"; the
+ * markup itself is the English source, so `en` only holds strings built in
+ * script. {name} placeholders are filled from the params passed to t().
+ */
+const I18N_MESSAGES = {
+    en: {
+        'lang.label': 'Language',
+        'theme.toggle': 'Theme: {theme} (click to change)',
+        'theme.system': 'System',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.high-contrast': 'High contrast',
+        'scrollTop.label': 'Back to top',
+        'search.book': 'Book {service}',
+        'search.bookKeywords': 'book booking appointment reserve schedule',
+        'search.empty': 'No matches for “{query}”',
+        'search.results.one': '{count} result',
+        'search.results.other': '{count} results',
+        'search.type.section': 'Section',
+        'search.type.service': 'Service',
+        'search.type.action': 'Action',
+        'search.type.faq': 'FAQ',
+        'search.type.photo': 'Photo',
+        'search.type.feature': 'Why us',
+        'search.type.contact': 'Contact',
+        'stats.error': 'Live figures are unavailable right now.',
+        'stats.stale': 'Could not refresh these figures; showing the last update.',
+        'gallery.category.all': 'All',
+        'gallery.category.dogs': 'Dogs',
+        'gallery.category.cats': 'Cats',
+        'gallery.category.birds': 'Birds',
+        'gallery.category.exotics': 'Exotics',
+        'gallery.status': 'Showing {shown} of {total} photos',
+        'gallery.empty': 'No photos in this category yet',
+        'gallery.error': 'Could not load photos. Please try again.',
+        'gallery.open': 'Open photo: {caption}',
+        'gallery.showThumb': 'Show photo: {caption}',
+        'services.learnMore': 'Learn More',
+        'services.minutes': '{count} min',
+        'services.meta': '{price} • {duration} min appointments',
+        'services.book': 'Book {service}',
+        'services.per.night': '{price} / night',
+        'services.quote': 'Get a Quote',
+        'booking.hint': 'Select a service and date to see available times',
+        'booking.loading': 'Loading available times...',
+        'booking.error': 'Could not load available times. Please try again.',
+        'booking.none': 'No times available on this day. Please pick another date.',
+        'booking.summary': '{service} on {date} at {time}',
+        'booking.conflict': 'That time slot has just been taken. Please choose another one.',
+        'booking.failed': 'Sorry, we could not complete your booking. Please try again.',
+        'contact.sent': '✓ Message sent successfully! We\'ll get back to you soon.',
+        'contact.booked': '✓ Booking confirmed! {summary}. Your reference is {reference}.',
+        'contact.queued': 'You appear to be offline, so we\'ve saved your message and will send it automatically once you\'re back online.',
+        'contact.failed': 'Sorry, something went wrong sending your message. Please try again.',
+        'contact.delivered': '✓ Your saved message has now been sent.',
+        'admin.status.new': 'New',
+        'admin.status.contacted': 'Contacted',
+        'admin.status.booked': 'Booked',
+        'admin.status.done': 'Done',
+        'admin.advance': 'Mark as {status}',
+        'admin.movedTo': 'Moved to {status}',
+        'admin.kind.booking': 'Booking',
+        'admin.kind.inquiry': 'Inquiry',
+        'admin.allServices': 'All services',
+        'admin.allStatuses': 'All statuses',
+        'admin.summary': 'Showing {shown} of {total} requests',
+        'admin.empty': 'No inquiries or bookings match these filters',
+        'admin.noAppointments': 'No upcoming appointments',
+        'admin.appointment': '{date} at {time}',
+        'admin.reference': 'Ref {reference}',
+        'admin.received': 'Received {date}',
+        'admin.noteLabel': 'Note',
+        'admin.notePlaceholder': 'Add a note for the team…',
+        'admin.addNote': 'Add note',
+        'admin.authFailed': 'Incorrect password',
+        'admin.unavailable': 'Staff sign-in is not available in this browser',
+        'admin.notConfigured': 'Staff sign-in is not set up on this site',
+        'admin.sessionExpired': 'Your session has ended. Please sign in again.',
+        'admin.loadFailed': 'Could not load requests. Please try again.',
+        'admin.updateFailed': 'Could not save the change. Please try again.',
+        'pets.species.dog': 'Dog',
+        'pets.species.cat': 'Cat',
+        'pets.species.bird': 'Bird',
+        'pets.species.rabbit': 'Rabbit',
+        'pets.species.reptile': 'Reptile',
+        'pets.species.other': 'Other',
+        'pets.selectSpecies': 'Select species',
+        'pets.vaccinations.up-to-date': 'Vaccinations up to date',
+        'pets.vaccinations.due': 'Vaccinations due',
+        'pets.vaccinations.unknown': 'Vaccinations not known',
+        'pets.age.months.one': '{count} month',
+        'pets.age.months.other': '{count} months',
+        'pets.age.years.one': '{count} year',
+        'pets.age.years.other': '{count} years',
+        'pets.weightValue': '{weight} kg',
+        'pets.allergiesValue': 'Allergies: {allergies}',
+        'pets.empty': 'No pets yet. Add your first pet below.',
+        'pets.edit': 'Edit',
+        'pets.editNamed': 'Edit {name}',
+        'pets.delete': 'Delete',
+        'pets.deleteNamed': 'Delete {name}',
+        'pets.confirmDelete': 'Confirm delete',
+        'pets.removed': '{name} was removed.',
+        'pets.saved': '✓ {name} was saved.',
+        'pets.addTitle': 'Add a pet',
+        'pets.editTitle': 'Edit {name}',
+        'pets.none': 'No pet selected',
+        'pets.noneSaved': 'No saved pets yet',
+        'pets.imported.one': '✓ Imported {count} pet.',
+        'pets.imported.other': '✓ Imported {count} pets.',
+        'pets.skipped.one': '{count} entry was skipped because it was incomplete.',
+        'pets.skipped.other': '{count} entries were skipped because they were incomplete.',
+        'pets.importInvalid': 'That file is not a PawsCare pet export.',
+        'pets.importVersion': 'That export was made by a newer version of PawsCare.',
+        'care.type.vaccination': 'Vaccination',
+        'care.type.deworming': 'Deworming',
+        'care.type.grooming': 'Grooming',
+        'care.type.checkup': 'Check-up',
+        'care.reminderTitle': '{type} for {name}',
+        'care.overdue.one': 'Overdue by {count} day',
+        'care.overdue.other': 'Overdue by {count} days',
+        'care.dueToday': 'Due today',
+        'care.dueIn.one': 'Due tomorrow',
+        'care.dueIn.other': 'Due in {count} days',
+        'care.dueOn': 'Due {date}',
+        'care.lastDone': 'Last done {date}',
+        'care.markDone': 'Done today',
+        'care.markDoneNamed': 'Mark {title} as done today',
+        'care.addToCalendarNamed': 'Add {title} to your calendar',
+        'care.appointmentTitle': '{service} at PawsCare',
+        'care.appointmentTitleFor': '{service} for {name} at PawsCare',
+        'care.appointmentReference': 'Booking reference {reference}',
+        'care.appointmentWhen': '{date} at {time}',
+        'care.empty': 'No reminders yet. Record a vaccination, deworming or grooming date below and we\'ll work out when the next one is due.',
+        'care.noAppointments': 'Appointments you book on this device will appear here.',
+        'care.noHistory': 'No care recorded yet.',
+        'care.remove': 'Remove',
+        'care.removeNamed': 'Remove {record}',
+        'care.saved': '✓ {title} was recorded.',
+        'care.removed': 'The record was removed.',
+        'care.exportEmpty': 'There is nothing to export yet.',
+        'care.selectPet': 'Select a pet',
+        'care.notify': 'Notify me when care is due',
+        'care.notifyBlocked': 'Notifications are blocked in your browser settings',
+        'reviews.starsLabel': 'Rated {rating} out of 5',
+        'reviews.basedOn.one': 'Based on {count} review',
+        'reviews.basedOn.other': 'Based on {count} reviews',
+        'reviews.count.one': '{count} review',
+        'reviews.count.other': '{count} reviews',
+        'reviews.slide': 'slide',
+        'reviews.slideLabel': '{index} of {total}',
+        'reviews.showSlide': 'Show review {index}',
+        'reviews.play': 'Play testimonials',
+        'reviews.pause': 'Pause testimonials',
+        'reviews.selectService': 'Select a service',
+        'reviews.thanks': '✓ Thank you! Your review will appear once our team has checked it.',
+        'reviews.failed': 'Sorry, your review could not be sent. Please try again.',
+        'reviews.pending.one': '{count} review awaiting approval',
+        'reviews.pending.other': '{count} reviews awaiting approval',
+        'reviews.approve': 'Approve',
+        'reviews.approveNamed': 'Approve the review by {name}',
+        'reviews.reject': 'Reject',
+        'reviews.rejectNamed': 'Reject the review by {name}',
+        'quote.serviceLabel': 'Service',
+        'quote.from': 'From {price}',
+        'quote.per.night': '{price} per night',
+        'quote.per.session': '{price} per session',
+        'quote.units.night.one': '{count} night',
+        'quote.units.night.other': '{count} nights',
+        'quote.units.session.one': '{count} session',
+        'quote.units.session.other': '{count} sessions',
+        'quote.steps.night': 'Nights',
+        'quote.steps.session': 'Sessions',
+        'quote.quantity.night': 'Number of nights',
+        'quote.quantity.session': 'Number of sessions',
+        'quote.discountHint': 'Book {quantity} or more and save {percent}.',
+        'quote.size.small': 'Small',
+        'quote.size.medium': 'Medium',
+        'quote.size.large': 'Large',
+        'quote.size.giant': 'Giant',
+        'quote.baseSized': '{service} ({size})',
+        'quote.lineQuantity': '{label} × {quantity}',
+        'quote.addOn.nails': 'Nail trim & file',
+        'quote.addOn.teeth': 'Teeth brushing',
+        'quote.addOn.deshedding': 'De-shedding treatment',
+        'quote.addOn.flea': 'Flea treatment',
+        'quote.addOn.bloodwork': 'Blood panel',
+        'quote.addOn.vaccination': 'Vaccination',
+        'quote.addOn.microchip': 'Microchipping',
+        'quote.addOn.homeVisit': 'Sessions at your home',
+        'quote.addOn.report': 'Written progress report',
+        'quote.addOn.playtime': 'One-on-one playtime',
+        'quote.addOn.webcam': 'Webcam access',
+        'quote.addOn.bath': 'Bath before pickup',
+        'quote.addOn.taxi': 'Pet taxi to our center',
+        'quote.addOn.dental': 'Dental cleaning',
+        'quote.subtotal': 'Subtotal',
+        'quote.discount': 'Discount for {quantity} ({percent})',
+        'quote.total': 'Estimated total',
+        'quote.messageTitle': 'Price estimate {reference}',
+        'quote.messagePet': 'Pet: {pet}',
+        'quote.sent': 'Our team will reply to {email} within one working day.',
+        'quote.queued': 'You appear to be offline. Your quote is saved and will be sent automatically once you\'re back online.',
+        'quote.failed': 'Sorry, your quote could not be sent. Please try again.',
+        'chat.open': 'Open chat',
+        'chat.openUnread.one': 'Open chat ({count} unread message)',
+        'chat.openUnread.other': 'Open chat ({count} unread messages)',
+        'chat.status.connecting': 'Connecting…',
+        'chat.status.online': 'We\'re online and usually reply in a few minutes',
+        'chat.status.offline': 'Nobody is available to chat right now',
+        'chat.you': 'You',
+        'chat.assistant': 'PawsCare assistant',
+        'chat.team': 'PawsCare team',
+        'chat.bot.welcome': 'Hi! I can answer questions about our opening hours, location and services, or pass you on to the team.',
+        'chat.bot.hours': 'Our opening hours are {hours}.',
+        'hours.days': '{days}: {open}–{close}',
+        'chat.bot.openNow': 'We\'re open now until {time}.',
+        'chat.bot.opensToday': 'We\'re closed right now and open again today at {time}.',
+        'chat.bot.opensOn': 'We\'re closed right now and open again on {day} at {time}.',
+        'chat.bot.location': 'You\'ll find us at {address}.',
+        'chat.bot.locationLink': 'Map and directions',
+        'chat.bot.services': 'We offer {services}.',
+        'chat.bot.servicesLink': 'Get a price estimate',
+        'chat.bot.agent': 'I\'ll pass you on to one of our team.',
+        'chat.bot.agentOffline': 'Nobody from the team is available right now. Leave a message and we\'ll reply by email.',
+        'chat.bot.unknownOffline': 'I can help with our opening hours, location and services. For anything else, leave a message and the team will reply by email.',
+        'chat.bot.undelivered': 'Sorry, we couldn\'t reach the team. Leave a message and we\'ll reply by email.',
+        'chat.bot.left': 'Thanks! Your message is on its way and we\'ll reply to {email}.',
+        'chat.bot.leftQueued': 'You appear to be offline. Your message is saved and will be sent automatically once you\'re back online.',
+        'chat.mockReply': 'Thanks for your message! Let me look into that for you.',
+        'chat.failed': 'Sorry, your message could not be sent. Please try again.',
+        'area.free': 'Free',
+        'area.feeUpTo': 'Up to {distance}',
+        'area.feeBetween': '{from} to {to}',
+        'area.notFound': 'We couldn\'t find that address. Try your 5-digit postcode or neighborhood.',
+        'area.eligible': 'Good news! {place} is {distance} from us, inside our pickup and delivery area. Fee: {fee}.',
+        'area.outside': 'Sorry, {place} is {distance} from us, outside our {radius} pickup and delivery area. You\'re still welcome to bring your pet to us.',
+        'area.book': 'Book with pickup',
+        'contact.pickup': 'Add pickup and delivery in {place} ({fee})',
+        'cart.empty': 'Your cart is empty',
+        'cart.add': 'Add to Cart',
+        'cart.added': 'Added',
+        'cart.toggle.one': 'Open cart ({count} item)',
+        'cart.toggle.other': 'Open cart ({count} items)',
+        'cart.subtotal': 'Subtotal',
+        'cart.tax': 'Tax',
+        'cart.total': 'Total',
+        'cart.decrease': 'Decrease quantity',
+        'cart.increase': 'Increase quantity',
+        'cart.quantity': 'Quantity',
+        'cart.remove': 'Remove {product}',
+        'cart.discountInvalid': 'That discount code is not valid',
+        'cart.discountMinimum': 'This code needs a subtotal of at least {minimum}',
+        'checkout.discount': 'Discount ({code})',
+        'checkout.deliverTo': 'Deliver to {name}, {address}, {city} {postcode}',
+        'checkout.pickupAt': 'Pickup at {address} for {name}',
+        'checkout.failed': 'Sorry, we could not place your order. Please try again.',
+        'checkout.sent': 'We\'ve emailed a confirmation to {email}.',
+        'checkout.queued': 'You appear to be offline. Your order is saved and will be sent automatically once you\'re back online.'
+    },
+    es: {
+        'lang.label': 'Idioma',
+        'theme.toggle': 'Tema: {theme} (pulsa para cambiar)',
+        'theme.system': 'Sistema',
+        'theme.light': 'Claro',
+        'theme.dark': 'Oscuro',
+        'theme.high-contrast': 'Alto contraste',
+        'scrollTop.label': 'Volver arriba',
+        'search.label': 'Buscar en el sitio',
+        'search.placeholder': 'Buscar servicios, fotos, preguntas…',
+        'search.paletteLabel': 'Buscar en PawsCare',
+        'search.resultsLabel': 'Resultados de búsqueda',
+        'search.hint': '↑ ↓ para moverte · Intro para abrir · Esc para cerrar',
+        'search.book': 'Reservar {service}',
+        'search.bookKeywords': 'reservar reserva cita agendar',
+        'search.empty': 'No hay resultados para «{query}»',
+        'search.results.one': '{count} resultado',
+        'search.results.other': '{count} resultados',
+        'search.type.section': 'Sección',
+        'search.type.service': 'Servicio',
+        'search.type.action': 'Acción',
+        'search.type.faq': 'Pregunta frecuente',
+        'search.type.photo': 'Foto',
+        'search.type.feature': 'Por qué elegirnos',
+        'search.type.contact': 'Contacto',
+        'nav.home': 'Inicio',
+        'nav.services': 'Servicios',
+        'nav.shop': 'Tienda',
+        'nav.about': 'Nosotros',
+        'nav.gallery': 'Galería',
+        'nav.contact': 'Contacto',
+        'hero.word1': 'Cuidamos',
+        'hero.word2': 'de tus',
+        'hero.word3': 'mascotas',
+        'hero.word4': 'como familia',
+        'hero.subtitle': 'Peluquería, atención veterinaria y bienestar premium para tus queridos compañeros',
+        'hero.tagline': '✨ La confianza de miles de dueños • Cuidado experto • Disponible 24/7',
+        'hero.book': 'Reservar cita',
+        'hero.contact': 'Contáctanos',
+        'hero.scroll': 'Desliza para explorar',
+        'services.heading': 'Nuestros servicios',
+        'services.subheading': 'Cuidado integral en cada etapa de la vida de tu mascota',
+        'services.learnMore': 'Más información',
+        'services.minutes': '{count} min',
+        'services.meta': '{price} • citas de {duration} min',
+        'services.book': 'Reservar {service}',
+        'services.per.night': '{price} / noche',
+        'services.quote': 'Pedir presupuesto',
+        'services.food.link': 'Ir a la tienda',
+        'services.grooming.title': 'Peluquería de mascotas',
+        'services.grooming.description': 'Peluquería profesional con baño, corte de uñas y estilismo para todas las razas',
+        'services.veterinary.title': 'Atención veterinaria',
+        'services.veterinary.description': 'Servicios médicos completos con veterinarios experimentados para la salud de tu mascota',
+        'services.food.title': 'Comida premium',
+        'services.food.description': 'Opciones de comida nutritiva y de alta calidad adaptadas a la dieta de tu mascota',
+        'services.training.title': 'Adiestramiento',
+        'services.training.description': 'Programas de adiestramiento para desarrollar buen comportamiento y fortalecer el vínculo con tu mascota',
+        'services.boarding.title': 'Residencia para mascotas',
+        'services.boarding.description': 'Alojamiento seguro, cómodo y divertido mientras estás fuera de casa',
+        'services.wellness.title': 'Paquetes de bienestar',
+        'services.wellness.description': 'Programas de salud completos con vacunas y revisiones preventivas',
+        'shop.heading': 'Tienda de mascotas',
+        'shop.subheading': 'Comida y premios premium, para recoger o con entrega local',
+        'about.heading': '¿Por qué PawsCare?',
+        'about.body': 'Desde hace más de 15 años ofrecemos un cuidado excepcional a las mascotas de nuestra comunidad. Nuestro equipo de profesionales certificados utiliza instalaciones y técnicas modernas para que tu mascota reciba el mejor trato posible.',
+        'about.years': 'Años de experiencia',
+        'about.pets': 'Mascotas felices',
+        'about.team': 'Profesionales en el equipo',
+        'about.grooming': 'Excelencia en peluquería',
+        'about.veterinary': 'Competencia veterinaria',
+        'about.satisfaction': 'Satisfacción del cliente',
+        'why.heading': 'Por qué elegirnos',
+        'why.subheading': 'Lo que distingue a PawsCare',
+        'why.certified': 'Profesionales certificados',
+        'why.certifiedBody': 'Nuestro equipo está formado por veterinarios y peluqueros titulados',
+        'why.safe': 'Seguro e higiénico',
+        'why.safeBody': 'Instalaciones modernas con estrictos protocolos de higiene y seguridad',
+        'why.emergency': 'Urgencias 24/7',
+        'why.emergencyBody': 'Servicio veterinario de urgencias a cualquier hora',
+        'why.compassion': 'Cuidado con cariño',
+        'why.compassionBody': 'Tratamos a cada mascota con el amor y el respeto que merece',
+        'why.pricing': 'Precios asequibles',
+        'why.pricingBody': 'Servicios premium a precios competitivos y transparentes',
+        'why.community': 'Comunidad de mascotas',
+        'why.communityBody': 'Únete a nuestra comunidad y accede a ventajas exclusivas',
+        'gallery.heading': 'Galería',
+        'gallery.subheading': 'Conoce a nuestras mascotas felices y a sus dueños',
+        'gallery.filterLabel': 'Filtrar fotos por tipo de mascota',
+        'gallery.loadMore': 'Cargar más fotos',
+        'stats.error': 'Las cifras en directo no están disponibles ahora mismo.',
+        'stats.stale': 'No se pudieron actualizar estas cifras; se muestra la última actualización.',
+        'gallery.category.all': 'Todas',
+        'gallery.category.dogs': 'Perros',
+        'gallery.category.cats': 'Gatos',
+        'gallery.category.birds': 'Aves',
+        'gallery.category.exotics': 'Exóticos',
+        'gallery.status': 'Mostrando {shown} de {total} fotos',
+        'gallery.empty': 'Aún no hay fotos en esta categoría',
+        'gallery.error': 'No se pudieron cargar las fotos. Inténtalo de nuevo.',
+        'gallery.open': 'Abrir foto: {caption}',
+        'gallery.showThumb': 'Mostrar foto: {caption}',
+        'contact.heading': 'Contacta con nosotros',
+        'contact.subheading': '¿Tienes preguntas? Nos encantará ayudarte',
+        'contact.name': 'Nombre completo',
+        'contact.email': 'Correo electrónico',
+        'contact.phone': 'Teléfono',
+        'contact.phoneCountry': 'País del teléfono',
+        'contact.service': 'Servicio de interés',
+        'contact.selectService': 'Selecciona un servicio',
+        'contact.date': 'Fecha preferida',
+        'contact.dateHint': '(opcional, para reservar una cita)',
+        'contact.times': 'Horas disponibles',
+        'contact.timeSlot': 'Hora',
+        'contact.chooseSlot': 'Elige una hora disponible',
+        'contact.message': 'Mensaje',
+        'contact.send': 'Enviar mensaje',
+        'contact.visit': 'Visítanos',
+        'contact.call': 'Llámanos',
+        'contact.emailUs': 'Escríbenos',
+        'contact.area': 'Zona de servicio',
+        'contact.areaBody': 'Recogida y entrega en un radio de 10 millas',
+        'contact.whatsapp': 'Chatea por WhatsApp',
+        'contact.sent': '✓ ¡Mensaje enviado! Te responderemos pronto.',
+        'contact.booked': '✓ ¡Reserva confirmada! {summary}. Tu referencia es {reference}.',
+        'contact.queued': 'Parece que no tienes conexión, así que hemos guardado tu mensaje y lo enviaremos automáticamente cuando vuelvas a estar en línea.',
+        'contact.failed': 'Lo sentimos, algo salió mal al enviar tu mensaje. Inténtalo de nuevo.',
+        'contact.delivered': '✓ Tu mensaje guardado ya se ha enviado.',
+        'booking.hint': 'Selecciona un servicio y una fecha para ver las horas disponibles',
+        'booking.loading': 'Cargando horas disponibles...',
+        'booking.error': 'No se pudieron cargar las horas disponibles. Inténtalo de nuevo.',
+        'booking.none': 'No hay horas disponibles ese día. Elige otra fecha.',
+        'booking.summary': '{service} el {date} a las {time}',
+        'booking.conflict': 'Esa hora acaba de reservarse. Elige otra.',
+        'booking.failed': 'Lo sentimos, no pudimos completar tu reserva. Inténtalo de nuevo.',
+        'cart.add': 'Añadir al carrito',
+        'cart.added': 'Añadido',
+        'cart.toggle.one': 'Abrir carrito ({count} artículo)',
+        'cart.toggle.other': 'Abrir carrito ({count} artículos)',
+        'cart.title': 'Tu carrito',
+        'cart.empty': 'Tu carrito está vacío',
+        'cart.discountCode': 'Código de descuento',
+        'cart.apply': 'Aplicar',
+        'cart.subtotal': 'Subtotal',
+        'cart.discount': 'Descuento',
+        'cart.tax': 'Impuestos',
+        'cart.total': 'Total',
+        'cart.checkout': 'Pagar',
+        'cart.close': 'Cerrar carrito',
+        'cart.decrease': 'Reducir cantidad',
+        'cart.increase': 'Aumentar cantidad',
+        'cart.quantity': 'Cantidad',
+        'cart.remove': 'Quitar {product}',
+        'cart.discountInvalid': 'Ese código de descuento no es válido',
+        'cart.discountMinimum': 'Este código requiere un subtotal de al menos {minimum}',
+        'checkout.title': 'Finalizar compra',
+        'checkout.close': 'Cerrar la compra',
+        'checkout.steps.details': 'Datos',
+        'checkout.steps.delivery': 'Entrega',
+        'checkout.steps.review': 'Revisión',
+        'checkout.detailsLegend': 'Tus datos',
+        'checkout.deliveryLegend': 'Entrega',
+        'checkout.deliveryMethod': 'Método de entrega',
+        'checkout.pickup': 'Recogida en tienda (gratis)',
+        'checkout.delivery': 'Entrega local (hasta 10 millas)',
+        'checkout.address': 'Dirección',
+        'checkout.city': 'Ciudad',
+        'checkout.postcode': 'Código postal',
+        'checkout.payment': 'Pago',
+        'checkout.paymentMethod': 'Método de pago',
+        'checkout.card': 'Tarjeta al recoger o recibir',
+        'checkout.cash': 'Efectivo al recoger o recibir',
+        'checkout.reviewLegend': 'Revisa tu pedido',
+        'checkout.notes': 'Notas del pedido',
+        'checkout.notesHint': '(opcional)',
+        'checkout.back': 'Atrás',
+        'checkout.next': 'Continuar',
+        'checkout.place': 'Realizar pedido',
+        'checkout.thanks': '¡Gracias por tu pedido!',
+        'checkout.reference': 'Referencia del pedido:',
+        'checkout.continue': 'Seguir comprando',
+        'checkout.discount': 'Descuento ({code})',
+        'checkout.deliverTo': 'Entrega a {name}, {address}, {city} {postcode}',
+        'checkout.pickupAt': 'Recogida en {address} para {name}',
+        'checkout.failed': 'Lo sentimos, no pudimos realizar tu pedido. Inténtalo de nuevo.',
+        'checkout.sent': 'Hemos enviado una confirmación a {email}.',
+        'checkout.queued': 'Parece que no tienes conexión. Tu pedido está guardado y se enviará automáticamente cuando vuelvas a estar en línea.',
+        'admin.title': 'Panel del personal',
+        'admin.close': 'Cerrar panel',
+        'admin.loginIntro': 'Solo personal. Inicia sesión para ver consultas y reservas.',
+        'admin.password': 'Contraseña',
+        'admin.signIn': 'Iniciar sesión',
+        'admin.logout': 'Cerrar sesión',
+        'admin.service': 'Servicio',
+        'admin.status': 'Estado',
+        'admin.views': 'Vista',
+        'admin.list': 'Lista',
+        'admin.calendar': 'Calendario',
+        'admin.export': 'Exportar CSV',
+        'admin.prevMonth': 'Mes anterior',
+        'admin.nextMonth': 'Mes siguiente',
+        'admin.status.new': 'Nueva',
+        'admin.status.contacted': 'Contactada',
+        'admin.status.booked': 'Reservada',
+        'admin.status.done': 'Completada',
+        'admin.advance': 'Marcar como {status}',
+        'admin.movedTo': 'Pasó a {status}',
+        'admin.kind.booking': 'Reserva',
+        'admin.kind.inquiry': 'Consulta',
+        'admin.allServices': 'Todos los servicios',
+        'admin.allStatuses': 'Todos los estados',
+        'admin.summary': 'Mostrando {shown} de {total} solicitudes',
+        'admin.empty': 'Ninguna consulta o reserva coincide con estos filtros',
+        'admin.noAppointments': 'No hay citas próximas',
+        'admin.appointment': '{date} a las {time}',
+        'admin.reference': 'Ref. {reference}',
+        'admin.received': 'Recibida el {date}',
+        'admin.noteLabel': 'Nota',
+        'admin.notePlaceholder': 'Añade una nota para el equipo…',
+        'admin.addNote': 'Añadir nota',
+        'admin.authFailed': 'Contraseña incorrecta',
+        'admin.unavailable': 'El acceso del personal no está disponible en este navegador',
+        'admin.notConfigured': 'El acceso del personal no está configurado en este sitio',
+        'admin.sessionExpired': 'Tu sesión ha terminado. Vuelve a iniciar sesión.',
+        'admin.loadFailed': 'No se pudieron cargar las solicitudes. Inténtalo de nuevo.',
+        'admin.updateFailed': 'No se pudo guardar el cambio. Inténtalo de nuevo.',
+        'pets.title': 'Mis mascotas',
+        'pets.close': 'Cerrar',
+        'pets.intro': 'Se guardan solo en este dispositivo. Elige una mascota al reservar y recibiremos sus datos con tu solicitud.',
+        'pets.name': 'Nombre',
+        'pets.speciesLabel': 'Especie',
+        'pets.breed': 'Raza',
+        'pets.birthDate': 'Fecha de nacimiento',
+        'pets.weight': 'Peso (kg)',
+        'pets.vaccinationsLabel': 'Vacunas',
+        'pets.allergies': 'Alergias',
+        'pets.notes': 'Notas para el equipo',
+        'pets.cancel': 'Cancelar',
+        'pets.save': 'Guardar mascota',
+        'pets.export': 'Exportar',
+        'pets.import': 'Importar',
+        'pets.transfer': 'Copia tus mascotas a otro navegador con un archivo JSON.',
+        'pets.species.dog': 'Perro',
+        'pets.species.cat': 'Gato',
+        'pets.species.bird': 'Ave',
+        'pets.species.rabbit': 'Conejo',
+        'pets.species.reptile': 'Reptil',
+        'pets.species.other': 'Otra',
+        'pets.selectSpecies': 'Selecciona la especie',
+        'pets.vaccinations.up-to-date': 'Vacunas al día',
+        'pets.vaccinations.due': 'Vacunas pendientes',
+        'pets.vaccinations.unknown': 'Vacunas desconocidas',
+        'pets.age.months.one': '{count} mes',
+        'pets.age.months.other': '{count} meses',
+        'pets.age.years.one': '{count} año',
+        'pets.age.years.other': '{count} años',
+        'pets.weightValue': '{weight} kg',
+        'pets.allergiesValue': 'Alergias: {allergies}',
+        'pets.empty': 'Aún no hay mascotas. Añade la primera abajo.',
+        'pets.edit': 'Editar',
+        'pets.editNamed': 'Editar a {name}',
+        'pets.delete': 'Eliminar',
+        'pets.deleteNamed': 'Eliminar a {name}',
+        'pets.confirmDelete': 'Confirmar',
+        'pets.removed': 'Se eliminó a {name}.',
+        'pets.saved': '✓ Se guardó a {name}.',
+        'pets.addTitle': 'Añadir una mascota',
+        'pets.editTitle': 'Editar a {name}',
+        'pets.none': 'Ninguna mascota seleccionada',
+        'pets.noneSaved': 'Aún no hay mascotas guardadas',
+        'pets.imported.one': '✓ Se importó {count} mascota.',
+        'pets.imported.other': '✓ Se importaron {count} mascotas.',
+        'pets.skipped.one': 'Se omitió {count} entrada incompleta.',
+        'pets.skipped.other': 'Se omitieron {count} entradas incompletas.',
+        'pets.importInvalid': 'Ese archivo no es una exportación de mascotas de PawsCare.',
+        'pets.importVersion': 'Esa exportación se creó con una versión más reciente de PawsCare.',
+        'contact.pet': 'Tu mascota',
+        'contact.petHint': '(opcional)',
+        'contact.managePets': 'Añadir o editar mascotas',
+        'contact.careReminders': 'Recordatorios de cuidados',
+        'pets.views': 'Vista',
+        'pets.profiles': 'Perfiles',
+        'pets.care': 'Cuidados y recordatorios',
+        'care.export': 'Exportar al calendario (.ics)',
+        'care.remindersTitle': 'Próximos cuidados',
+        'care.appointmentsTitle': 'Citas reservadas',
+        'care.noPets': 'Añade el perfil de una mascota para seguir sus cuidados.',
+        'care.addPet': 'Añadir una mascota',
+        'care.recordTitle': 'Registrar cuidados',
+        'care.pet': 'Mascota',
+        'care.typeLabel': 'Tipo de cuidado',
+        'care.date': 'Fecha',
+        'care.note': 'Nota',
+        'care.save': 'Guardar registro',
+        'care.historyTitle': 'Cuidados recientes',
+        'care.type.vaccination': 'Vacunación',
+        'care.type.deworming': 'Desparasitación',
+        'care.type.grooming': 'Peluquería',
+        'care.type.checkup': 'Revisión',
+        'care.reminderTitle': '{type} de {name}',
+        'care.overdue.one': 'Vencido hace {count} día',
+        'care.overdue.other': 'Vencido hace {count} días',
+        'care.dueToday': 'Toca hoy',
+        'care.dueIn.one': 'Toca mañana',
+        'care.dueIn.other': 'Toca en {count} días',
+        'care.dueOn': 'Toca el {date}',
+        'care.lastDone': 'Última vez: {date}',
+        'care.markDone': 'Hecho hoy',
+        'care.markDoneNamed': 'Marcar {title} como hecho hoy',
+        'care.addToCalendarNamed': 'Añadir {title} al calendario',
+        'care.appointmentTitle': '{service} en PawsCare',
+        'care.appointmentTitleFor': '{service} para {name} en PawsCare',
+        'care.appointmentReference': 'Referencia de la reserva: {reference}',
+        'care.appointmentWhen': '{date} a las {time}',
+        'care.empty': 'Aún no hay recordatorios. Registra abajo una fecha de vacunación, desparasitación o peluquería y calcularemos cuándo toca la siguiente.',
+        'care.noAppointments': 'Las citas que reserves en este dispositivo aparecerán aquí.',
+        'care.noHistory': 'Aún no hay cuidados registrados.',
+        'care.remove': 'Eliminar',
+        'care.removeNamed': 'Eliminar {record}',
+        'care.saved': '✓ Se registró: {title}.',
+        'care.removed': 'Se eliminó el registro.',
+        'care.exportEmpty': 'Todavía no hay nada que exportar.',
+        'care.selectPet': 'Selecciona una mascota',
+        'care.notify': 'Avisarme cuando toque un cuidado',
+        'care.notifyBlocked': 'Las notificaciones están bloqueadas en tu navegador',
+        'nav.reviews': 'Opiniones',
+        'reviews.heading': 'Lo que dicen nuestros clientes',
+        'reviews.subheading': 'Opiniones sinceras de las familias que cuidamos',
+        'reviews.carousel': 'carrusel',
+        'reviews.carouselLabel': 'Testimonios de clientes',
+        'reviews.previous': 'Opinión anterior',
+        'reviews.next': 'Opinión siguiente',
+        'reviews.write': 'Escribir una opinión',
+        'reviews.service': 'Servicio',
+        'reviews.name': 'Tu nombre',
+        'reviews.rating': 'Tu valoración',
+        'reviews.stars1': '1 estrella',
+        'reviews.stars2': '2 estrellas',
+        'reviews.stars3': '3 estrellas',
+        'reviews.stars4': '4 estrellas',
+        'reviews.stars5': '5 estrellas',
+        'reviews.text': 'Tu opinión',
+        'reviews.note': 'Nuestro equipo revisa las opiniones antes de publicarlas.',
+        'reviews.submit': 'Enviar opinión',
+        'reviews.starsLabel': 'Valoración de {rating} sobre 5',
+        'reviews.basedOn.one': 'Basado en {count} opinión',
+        'reviews.basedOn.other': 'Basado en {count} opiniones',
+        'reviews.count.one': '{count} opinión',
+        'reviews.count.other': '{count} opiniones',
+        'reviews.slide': 'diapositiva',
+        'reviews.slideLabel': '{index} de {total}',
+        'reviews.showSlide': 'Mostrar opinión {index}',
+        'reviews.play': 'Reproducir testimonios',
+        'reviews.pause': 'Pausar testimonios',
+        'reviews.selectService': 'Selecciona un servicio',
+        'reviews.thanks': '✓ ¡Gracias! Tu opinión aparecerá cuando nuestro equipo la haya revisado.',
+        'reviews.failed': 'Lo sentimos, no se pudo enviar tu opinión. Inténtalo de nuevo.',
+        'reviews.pending.one': '{count} opinión pendiente de aprobación',
+        'reviews.pending.other': '{count} opiniones pendientes de aprobación',
+        'reviews.approve': 'Aprobar',
+        'reviews.approveNamed': 'Aprobar la opinión de {name}',
+        'reviews.reject': 'Rechazar',
+        'reviews.rejectNamed': 'Rechazar la opinión de {name}',
+        'quote.title': 'Calcula tu presupuesto',
+        'quote.close': 'Cerrar',
+        'quote.steps.service': 'Servicio',
+        'quote.steps.pet': 'Tu mascota',
+        'quote.steps.extras': 'Extras',
+        'quote.steps.estimate': 'Presupuesto',
+        'quote.serviceLegend': '¿Qué servicio te interesa?',
+        'quote.petLegend': 'Háblanos de tu mascota',
+        'quote.sizeLabel': 'Tamaño',
+        'quote.sizeHint.small': '(menos de 10 kg)',
+        'quote.sizeHint.medium': '(10-25 kg)',
+        'quote.sizeHint.large': '(25-45 kg)',
+        'quote.sizeHint.giant': '(más de 45 kg)',
+        'quote.extrasLegend': '¿Algún extra?',
+        'quote.noExtras': 'Este servicio no tiene extras.',
+        'quote.quantityLegend': '¿Por cuánto tiempo?',
+        'quote.estimateLegend': 'Tu presupuesto',
+        'quote.disclaimer': 'Es un presupuesto orientativo. Confirmamos el precio final cuando conocemos a tu mascota.',
+        'quote.optional': '(opcional)',
+        'quote.back': 'Atrás',
+        'quote.next': 'Continuar',
+        'quote.send': 'Enviar este presupuesto',
+        'quote.thanks': '¡Tu presupuesto está en camino!',
+        'quote.reference': 'Referencia del presupuesto:',
+        'quote.done': 'Listo',
+        'quote.serviceLabel': 'Servicio',
+        'quote.from': 'Desde {price}',
+        'quote.per.night': '{price} por noche',
+        'quote.per.session': '{price} por sesión',
+        'quote.units.night.one': '{count} noche',
+        'quote.units.night.other': '{count} noches',
+        'quote.units.session.one': '{count} sesión',
+        'quote.units.session.other': '{count} sesiones',
+        'quote.steps.night': 'Noches',
+        'quote.steps.session': 'Sesiones',
+        'quote.quantity.night': 'Número de noches',
+        'quote.quantity.session': 'Número de sesiones',
+        'quote.discountHint': 'Reserva {quantity} o más y ahorra un {percent}.',
+        'quote.size.small': 'Pequeño',
+        'quote.size.medium': 'Mediano',
+        'quote.size.large': 'Grande',
+        'quote.size.giant': 'Gigante',
+        'quote.baseSized': '{service} ({size})',
+        'quote.lineQuantity': '{label} × {quantity}',
+        'quote.addOn.nails': 'Corte y limado de uñas',
+        'quote.addOn.teeth': 'Cepillado de dientes',
+        'quote.addOn.deshedding': 'Tratamiento antimuda',
+        'quote.addOn.flea': 'Tratamiento antipulgas',
+        'quote.addOn.bloodwork': 'Análisis de sangre',
+        'quote.addOn.vaccination': 'Vacunación',
+        'quote.addOn.microchip': 'Implantación de microchip',
+        'quote.addOn.homeVisit': 'Sesiones en tu casa',
+        'quote.addOn.report': 'Informe de progreso por escrito',
+        'quote.addOn.playtime': 'Juego individual',
+        'quote.addOn.webcam': 'Acceso a la webcam',
+        'quote.addOn.bath': 'Baño antes de la recogida',
+        'quote.addOn.taxi': 'Taxi para mascotas hasta el centro',
+        'quote.addOn.dental': 'Limpieza dental',
+        'quote.subtotal': 'Subtotal',
+        'quote.discount': 'Descuento por {quantity} ({percent})',
+        'quote.total': 'Total estimado',
+        'quote.messageTitle': 'Presupuesto {reference}',
+        'quote.messagePet': 'Mascota: {pet}',
+        'quote.sent': 'Nuestro equipo responderá a {email} en un día laborable.',
+        'quote.queued': 'Parece que no tienes conexión. Tu presupuesto se ha guardado y se enviará automáticamente cuando vuelvas a estar en línea.',
+        'quote.failed': 'No se pudo enviar tu presupuesto. Inténtalo de nuevo.',
+        'chat.title': 'Chatea con PawsCare',
+        'chat.close': 'Cerrar el chat',
+        'chat.clear': 'Borrar la conversación',
+        'chat.logLabel': 'Conversación',
+        'chat.quickLabel': 'Preguntas sugeridas',
+        'chat.ask.hours': 'Horario',
+        'chat.ask.location': '¿Dónde estáis?',
+        'chat.ask.services': 'Servicios',
+        'chat.ask.agent': 'Hablar con una persona',
+        'chat.typing': 'Escribiendo…',
+        'chat.input': 'Escribe tu mensaje',
+        'chat.send': 'Enviar',
+        'chat.leave': 'Dejar un mensaje',
+        'chat.leaveIntro': 'Déjanos tus datos y te responderemos por correo electrónico.',
+        'chat.leaveSend': 'Enviar mensaje',
+        'chat.leaveCancel': 'Volver al chat',
+        'chat.contactLink': 'Usar el formulario de contacto completo',
+        'chat.open': 'Abrir el chat',
+        'chat.openUnread.one': 'Abrir el chat ({count} mensaje sin leer)',
+        'chat.openUnread.other': 'Abrir el chat ({count} mensajes sin leer)',
+        'chat.status.connecting': 'Conectando…',
+        'chat.status.online': 'Estamos en línea y solemos responder en pocos minutos',
+        'chat.status.offline': 'Ahora mismo no hay nadie disponible para chatear',
+        'chat.you': 'Tú',
+        'chat.assistant': 'Asistente de PawsCare',
+        'chat.team': 'Equipo de PawsCare',
+        'chat.bot.welcome': '¡Hola! Puedo responder a tus preguntas sobre nuestro horario, ubicación y servicios, o ponerte en contacto con el equipo.',
+        'chat.bot.hours': 'Nuestro horario es {hours}.',
+        'hours.days': '{days}: {open}–{close}',
+        'chat.bot.openNow': 'Ahora estamos abiertos hasta las {time}.',
+        'chat.bot.opensToday': 'Ahora estamos cerrados y volvemos a abrir hoy a las {time}.',
+        'chat.bot.opensOn': 'Ahora estamos cerrados y volvemos a abrir el {day} a las {time}.',
+        'chat.bot.location': 'Nos encontrarás en {address}.',
+        'chat.bot.locationLink': 'Mapa y cómo llegar',
+        'chat.bot.services': 'Ofrecemos {services}.',
+        'chat.bot.servicesLink': 'Pedir un presupuesto',
+        'chat.bot.agent': 'Te paso con alguien de nuestro equipo.',
+        'chat.bot.agentOffline': 'Ahora mismo no hay nadie del equipo disponible. Déjanos un mensaje y te responderemos por correo electrónico.',
+        'chat.bot.unknownOffline': 'Puedo ayudarte con nuestro horario, ubicación y servicios. Para cualquier otra cosa, deja un mensaje y el equipo te responderá por correo electrónico.',
+        'chat.bot.undelivered': 'No hemos podido contactar con el equipo. Déjanos un mensaje y te responderemos por correo electrónico.',
+        'chat.bot.left': '¡Gracias! Tu mensaje está en camino y responderemos a {email}.',
+        'chat.bot.leftQueued': 'Parece que no tienes conexión. Tu mensaje se ha guardado y se enviará automáticamente cuando vuelvas a estar en línea.',
+        'chat.mockReply': '¡Gracias por tu mensaje! Déjame que lo revise.',
+        'chat.failed': 'No se pudo enviar tu mensaje. Inténtalo de nuevo.',
+        'contact.areaCheck': 'Comprueba tu dirección',
+        'area.mapLabel': 'Mapa de la zona de servicio. Usa las flechas para moverte y + o - para hacer zoom.',
+        'area.mapDescription': 'Nuestro centro en 123 Pet Street, con la zona de recogida y entrega de 10 millas a su alrededor.',
+        'area.zoomIn': 'Acercar',
+        'area.zoomOut': 'Alejar',
+        'area.recenter': 'Ver toda la zona de servicio',
+        'area.checkTitle': '¿Recogemos en tu zona?',
+        'area.checkIntro': 'Introduce tu código postal o barrio para saber si llega nuestro servicio de recogida y entrega, y cuánto cuesta.',
+        'area.addressLabel': 'Dirección o código postal',
+        'area.check': 'Comprobar',
+        'area.feesTitle': 'Tarifas de recogida y entrega',
+        'area.free': 'Gratis',
+        'area.feeUpTo': 'Hasta {distance}',
+        'area.feeBetween': 'De {from} a {to}',
+        'area.notFound': 'No hemos encontrado esa dirección. Prueba con tu código postal de 5 cifras o tu barrio.',
+        'area.eligible': '¡Buenas noticias! {place} está a {distance} de nosotros, dentro de nuestra zona de recogida y entrega. Tarifa: {fee}.',
+        'area.outside': 'Lo sentimos, {place} está a {distance} de nosotros, fuera de nuestra zona de recogida y entrega de {radius}. Puedes traernos a tu mascota cuando quieras.',
+        'area.book': 'Reservar con recogida',
+        'contact.pickup': 'Añadir recogida y entrega en {place} ({fee})',
+        'consent.label': 'Opciones de privacidad',
+        'consent.text': 'Nos gustaría medir cómo se usa este sitio (páginas vistas, formularios iniciados y enviados) para mejorar nuestro proceso de reservas. No recopilamos nombres, correos electrónicos ni mensajes.',
+        'consent.accept': 'Aceptar',
+        'consent.decline': 'Rechazar',
+        'footer.tagline': 'Dedicados a ofrecer el mejor cuidado a tus queridas mascotas',
+        'footer.staff': 'Acceso del personal',
+        'footer.privacy': 'Configuración de privacidad',
+        'footer.install': 'Instalar la app',
+        'update.text': 'Hay una nueva versión de PawsCare disponible.',
+        'update.reload': 'Recargar',
+        'update.dismiss': 'Ahora no',
+        'footer.quickLinks': 'Enlaces rápidos',
+        'footer.services': 'Servicios',
+        'footer.hours': 'Horario',
+        'footer.emergency': 'Urgencias: disponible 24/7',
+        'footer.rights': '© 2025 PawsCare. Todos los derechos reservados.'
+    },
+    ar: {
+        'lang.label': 'اللغة',
+        'theme.toggle': 'المظهر: {theme} (انقر للتغيير)',
+        'theme.system': 'حسب النظام',
+        'theme.light': 'فاتح',
+        'theme.dark': 'داكن',
+        'theme.high-contrast': 'تباين عالٍ',
+        'scrollTop.label': 'العودة إلى الأعلى',
+        'search.label': 'البحث في الموقع',
+        'search.placeholder': 'ابحث عن الخدمات والصور والأسئلة…',
+        'search.paletteLabel': 'البحث في PawsCare',
+        'search.resultsLabel': 'نتائج البحث',
+        'search.hint': '↑ ↓ للتنقل · Enter للفتح · Esc للإغلاق',
+        'search.book': 'احجز {service}',
+        'search.bookKeywords': 'حجز احجز موعد',
+        'search.empty': 'لا توجد نتائج لـ «{query}»',
+        'search.results.zero': 'لا توجد نتائج',
+        'search.results.one': 'نتيجة واحدة',
+        'search.results.two': 'نتيجتان',
+        'search.results.few': '{count} نتائج',
+        'search.results.many': '{count} نتيجة',
+        'search.results.other': '{count} نتيجة',
+        'search.type.section': 'قسم',
+        'search.type.service': 'خدمة',
+        'search.type.action': 'إجراء',
+        'search.type.faq': 'سؤال شائع',
+        'search.type.photo': 'صورة',
+        'search.type.feature': 'لماذا نحن',
+        'search.type.contact': 'تواصل',
+        'nav.home': 'الرئيسية',
+        'nav.services': 'الخدمات',
+        'nav.shop': 'المتجر',
+        'nav.about': 'من نحن',
+        'nav.gallery': 'المعرض',
+        'nav.contact': 'اتصل بنا',
+        'hero.word1': 'نعتني',
+        'hero.word2': 'بحيواناتك',
+        'hero.word3': 'الأليفة',
+        'hero.word4': 'كأنها من العائلة',
+        'hero.subtitle': 'خدمات تجميل ورعاية بيطرية وعناية صحية متميزة لرفاقك الأعزاء',
+        'hero.tagline': '✨ موثوق من آلاف أصحاب الحيوانات • رعاية متخصصة • متاح على مدار الساعة',
+        'hero.book': 'احجز موعدًا',
+        'hero.contact': 'تواصل معنا',
+        'hero.scroll': 'مرر للاستكشاف',
+        'services.heading': 'خدماتنا',
+        'services.subheading': 'رعاية شاملة في كل مرحلة من حياة حيوانك الأليف',
+        'services.learnMore': 'اعرف المزيد',
+        'services.minutes': '{count} دقيقة',
+        'services.meta': '{price} • مواعيد مدتها {duration} دقيقة',
+        'services.book': 'احجز {service}',
+        'services.per.night': '{price} / لليلة',
+        'services.quote': 'اطلب تقديرًا للسعر',
+        'services.food.link': 'تسوّق الآن',
+        'services.grooming.title': 'تجميل الحيوانات الأليفة',
+        'services.grooming.description': 'خدمات تجميل احترافية تشمل الاستحمام وقص الأظافر وتصفيف الشعر لجميع السلالات',
+        'services.veterinary.title': 'الرعاية البيطرية',
+        'services.veterinary.description': 'خدمات طبية متكاملة مع أطباء بيطريين ذوي خبرة للحفاظ على صحة حيوانك',
+        'services.food.title': 'طعام فاخر للحيوانات',
+        'services.food.description': 'خيارات طعام مغذية وعالية الجودة تناسب الاحتياجات الغذائية لحيوانك',
+        'services.training.title': 'تدريب الحيوانات الأليفة',
+        'services.training.description': 'برامج تدريب متخصصة لتنمية السلوك الجيد وتقوية الرابط بينك وبين حيوانك',
+        'services.boarding.title': 'إقامة الحيوانات الأليفة',
+        'services.boarding.description': 'إقامة آمنة ومريحة وممتعة أثناء غيابك عن المنزل',
+        'services.wellness.title': 'باقات العناية الصحية',
+        'services.wellness.description': 'برامج صحية شاملة تتضمن التطعيمات والفحوصات الوقائية',
+        'shop.heading': 'متجر الحيوانات الأليفة',
+        'shop.subheading': 'طعام ومكافآت فاخرة للاستلام من المتجر أو التوصيل المحلي',
+        'about.heading': 'لماذا PawsCare؟',
+        'about.body': 'منذ أكثر من 15 عامًا ونحن نقدم رعاية استثنائية للحيوانات الأليفة في مجتمعنا. يستخدم فريقنا من المتخصصين المعتمدين مرافق وتقنيات حديثة لضمان حصول حيوانك على أفضل رعاية ممكنة.',
+        'about.years': 'سنوات من الخبرة',
+        'about.pets': 'حيوان أليف سعيد',
+        'about.team': 'خبير في فريقنا',
+        'about.grooming': 'التميز في التجميل',
+        'about.veterinary': 'المهارات البيطرية',
+        'about.satisfaction': 'رضا العملاء',
+        'why.heading': 'لماذا تختارنا',
+        'why.subheading': 'ما يميز PawsCare عن غيرها',
+        'why.certified': 'متخصصون معتمدون',
+        'why.certifiedBody': 'يضم فريقنا أطباء بيطريين وخبراء تجميل معتمدين',
+        'why.safe': 'آمن ونظيف',
+        'why.safeBody': 'مرافق حديثة مع بروتوكولات صارمة للنظافة والسلامة',
+        'why.emergency': 'طوارئ على مدار الساعة',
+        'why.emergencyBody': 'خدمات بيطرية طارئة متاحة ليلًا ونهارًا',
+        'why.compassion': 'رعاية بحنان',
+        'why.compassionBody': 'نعامل كل حيوان أليف بالحب والاحترام الذي يستحقه',
+        'why.pricing': 'أسعار مناسبة',
+        'why.pricingBody': 'خدمات متميزة بأسعار تنافسية وشفافة',
+        'why.community': 'مجتمع محبي الحيوانات',
+        'why.communityBody': 'انضم إلى مجتمعنا واستفد من مزايا حصرية',
+        'gallery.heading': 'المعرض',
+        'gallery.subheading': 'تعرّف على حيواناتنا السعيدة وعملائنا الراضين',
+        'gallery.filterLabel': 'تصفية الصور حسب نوع الحيوان',
+        'gallery.loadMore': 'تحميل المزيد من الصور',
+        'stats.error': 'الأرقام المباشرة غير متاحة حاليًا.',
+        'stats.stale': 'تعذر تحديث هذه الأرقام؛ يتم عرض آخر تحديث.',
+        'gallery.category.all': 'الكل',
+        'gallery.category.dogs': 'كلاب',
+        'gallery.category.cats': 'قطط',
+        'gallery.category.birds': 'طيور',
+        'gallery.category.exotics': 'حيوانات نادرة',
+        'gallery.status': 'عرض {shown} من {total} صورة',
+        'gallery.empty': 'لا توجد صور في هذه الفئة بعد',
+        'gallery.error': 'تعذر تحميل الصور. يرجى المحاولة مرة أخرى.',
+        'gallery.open': 'فتح الصورة: {caption}',
+        'gallery.showThumb': 'عرض الصورة: {caption}',
+        'contact.heading': 'تواصل معنا',
+        'contact.subheading': 'لديك أسئلة؟ يسعدنا أن نسمع منك',
+        'contact.name': 'الاسم الكامل',
+        'contact.email': 'البريد الإلكتروني',
+        'contact.phone': 'رقم الهاتف',
+        'contact.phoneCountry': 'دولة رقم الهاتف',
+        'contact.service': 'الخدمة المطلوبة',
+        'contact.selectService': 'اختر خدمة',
+        'contact.date': 'التاريخ المفضل',
+        'contact.dateHint': '(اختياري، لحجز موعد)',
+        'contact.times': 'الأوقات المتاحة',
+        'contact.timeSlot': 'الوقت',
+        'contact.chooseSlot': 'يرجى اختيار وقت متاح',
+        'contact.message': 'الرسالة',
+        'contact.send': 'إرسال الرسالة',
+        'contact.visit': 'زورونا',
+        'contact.call': 'اتصل بنا',
+        'contact.emailUs': 'راسلنا',
+        'contact.area': 'منطقة الخدمة',
+        'contact.areaBody': 'الاستلام والتوصيل متاحان ضمن 10 أميال',
+        'contact.whatsapp': 'تحدث معنا عبر واتساب',
+        'contact.sent': '✓ تم إرسال رسالتك بنجاح! سنرد عليك قريبًا.',
+        'contact.booked': '✓ تم تأكيد الحجز! {summary}. رقمك المرجعي هو {reference}.',
+        'contact.queued': 'يبدو أنك غير متصل بالإنترنت، لذا حفظنا رسالتك وسنرسلها تلقائيًا عند عودة الاتصال.',
+        'contact.failed': 'عذرًا، حدث خطأ أثناء إرسال رسالتك. يرجى المحاولة مرة أخرى.',
+        'contact.delivered': '✓ تم إرسال رسالتك المحفوظة الآن.',
+        'booking.hint': 'اختر خدمة وتاريخًا لعرض الأوقات المتاحة',
+        'booking.loading': 'جارٍ تحميل الأوقات المتاحة...',
+        'booking.error': 'تعذر تحميل الأوقات المتاحة. يرجى المحاولة مرة أخرى.',
+        'booking.none': 'لا توجد أوقات متاحة في هذا اليوم. يرجى اختيار تاريخ آخر.',
+        'booking.summary': '{service} يوم {date} الساعة {time}',
+        'booking.conflict': 'تم حجز هذا الوقت للتو. يرجى اختيار وقت آخر.',
+        'booking.failed': 'عذرًا، لم نتمكن من إتمام حجزك. يرجى المحاولة مرة أخرى.',
+        'cart.add': 'أضف إلى السلة',
+        'cart.added': 'تمت الإضافة',
+        'cart.toggle.one': 'فتح السلة (منتج واحد)',
+        'cart.toggle.two': 'فتح السلة (منتجان)',
+        'cart.toggle.few': 'فتح السلة ({count} منتجات)',
+        'cart.toggle.other': 'فتح السلة ({count} منتج)',
+        'cart.title': 'سلة التسوق',
+        'cart.empty': 'سلتك فارغة',
+        'cart.discountCode': 'رمز الخصم',
+        'cart.apply': 'تطبيق',
+        'cart.subtotal': 'المجموع الفرعي',
+        'cart.discount': 'الخصم',
+        'cart.tax': 'الضريبة',
+        'cart.total': 'الإجمالي',
+        'cart.checkout': 'إتمام الشراء',
+        'cart.close': 'إغلاق السلة',
+        'cart.decrease': 'إنقاص الكمية',
+        'cart.increase': 'زيادة الكمية',
+        'cart.quantity': 'الكمية',
+        'cart.remove': 'إزالة {product}',
+        'cart.discountInvalid': 'رمز الخصم هذا غير صالح',
+        'cart.discountMinimum': 'يتطلب هذا الرمز مجموعًا فرعيًا لا يقل عن {minimum}',
+        'checkout.title': 'إتمام الشراء',
+        'checkout.close': 'إغلاق إتمام الشراء',
+        'checkout.steps.details': 'البيانات',
+        'checkout.steps.delivery': 'التوصيل',
+        'checkout.steps.review': 'المراجعة',
+        'checkout.detailsLegend': 'بياناتك',
+        'checkout.deliveryLegend': 'التوصيل',
+        'checkout.deliveryMethod': 'طريقة التوصيل',
+        'checkout.pickup': 'الاستلام من المتجر (مجانًا)',
+        'checkout.delivery': 'توصيل محلي (ضمن 10 أميال)',
+        'checkout.address': 'عنوان الشارع',
+        'checkout.city': 'المدينة',
+        'checkout.postcode': 'الرمز البريدي',
+        'checkout.payment': 'الدفع',
+        'checkout.paymentMethod': 'طريقة الدفع',
+        'checkout.card': 'بطاقة عند الاستلام أو التوصيل',
+        'checkout.cash': 'نقدًا عند الاستلام أو التوصيل',
+        'checkout.reviewLegend': 'راجع طلبك',
+        'checkout.notes': 'ملاحظات الطلب',
+        'checkout.notesHint': '(اختياري)',
+        'checkout.back': 'رجوع',
+        'checkout.next': 'متابعة',
+        'checkout.place': 'تأكيد الطلب',
+        'checkout.thanks': 'شكرًا لطلبك!',
+        'checkout.reference': 'رقم الطلب المرجعي:',
+        'checkout.continue': 'متابعة التسوق',
+        'checkout.discount': 'الخصم ({code})',
+        'checkout.deliverTo': 'التوصيل إلى {name}، {address}، {city} {postcode}',
+        'checkout.pickupAt': 'الاستلام من {address} باسم {name}',
+        'checkout.failed': 'عذرًا، تعذر تقديم طلبك. يرجى المحاولة مرة أخرى.',
+        'checkout.sent': 'أرسلنا تأكيدًا إلى {email}.',
+        'checkout.queued': 'يبدو أنك غير متصل بالإنترنت. تم حفظ طلبك وسيُرسل تلقائيًا عند عودة الاتصال.',
+        'admin.title': 'لوحة الموظفين',
+        'admin.close': 'إغلاق اللوحة',
+        'admin.loginIntro': 'للموظفين فقط. سجّل الدخول لعرض الاستفسارات والحجوزات.',
+        'admin.password': 'كلمة المرور',
+        'admin.signIn': 'تسجيل الدخول',
+        'admin.logout': 'تسجيل الخروج',
+        'admin.service': 'الخدمة',
+        'admin.status': 'الحالة',
+        'admin.views': 'العرض',
+        'admin.list': 'قائمة',
+        'admin.calendar': 'تقويم',
+        'admin.export': 'تصدير CSV',
+        'admin.prevMonth': 'الشهر السابق',
+        'admin.nextMonth': 'الشهر التالي',
+        'admin.status.new': 'جديد',
+        'admin.status.contacted': 'تم التواصل',
+        'admin.status.booked': 'محجوز',
+        'admin.status.done': 'مكتمل',
+        'admin.advance': 'تحديد كـ {status}',
+        'admin.movedTo': 'نُقل إلى {status}',
+        'admin.kind.booking': 'حجز',
+        'admin.kind.inquiry': 'استفسار',
+        'admin.allServices': 'كل الخدمات',
+        'admin.allStatuses': 'كل الحالات',
+        'admin.summary': 'عرض {shown} من {total} طلب',
+        'admin.empty': 'لا توجد استفسارات أو حجوزات تطابق هذه الفلاتر',
+        'admin.noAppointments': 'لا توجد مواعيد قادمة',
+        'admin.appointment': '{date} الساعة {time}',
+        'admin.reference': 'المرجع {reference}',
+        'admin.received': 'وصل في {date}',
+        'admin.noteLabel': 'ملاحظة',
+        'admin.notePlaceholder': 'أضف ملاحظة للفريق…',
+        'admin.addNote': 'إضافة ملاحظة',
+        'admin.authFailed': 'كلمة المرور غير صحيحة',
+        'admin.unavailable': 'تسجيل دخول الموظفين غير متاح في هذا المتصفح',
+        'admin.notConfigured': 'تسجيل دخول الموظفين غير مُعد على هذا الموقع',
+        'admin.sessionExpired': 'انتهت جلستك. يرجى تسجيل الدخول مرة أخرى.',
+        'admin.loadFailed': 'تعذر تحميل الطلبات. يرجى المحاولة مرة أخرى.',
+        'admin.updateFailed': 'تعذر حفظ التغيير. يرجى المحاولة مرة أخرى.',
+        'pets.title': 'حيواناتي الأليفة',
+        'pets.close': 'إغلاق',
+        'pets.intro': 'تُحفظ على هذا الجهاز فقط. اختر حيوانك الأليف عند الحجز وستصلنا بياناته مع طلبك.',
+        'pets.name': 'الاسم',
+        'pets.speciesLabel': 'النوع',
+        'pets.breed': 'السلالة',
+        'pets.birthDate': 'تاريخ الميلاد',
+        'pets.weight': 'الوزن (كغ)',
+        'pets.vaccinationsLabel': 'التطعيمات',
+        'pets.allergies': 'الحساسية',
+        'pets.notes': 'ملاحظات للفريق',
+        'pets.cancel': 'إلغاء',
+        'pets.save': 'حفظ الحيوان الأليف',
+        'pets.export': 'تصدير',
+        'pets.import': 'استيراد',
+        'pets.transfer': 'انسخ حيواناتك الأليفة إلى متصفح آخر باستخدام ملف JSON.',
+        'pets.species.dog': 'كلب',
+        'pets.species.cat': 'قطة',
+        'pets.species.bird': 'طائر',
+        'pets.species.rabbit': 'أرنب',
+        'pets.species.reptile': 'زاحف',
+        'pets.species.other': 'أخرى',
+        'pets.selectSpecies': 'اختر النوع',
+        'pets.vaccinations.up-to-date': 'التطعيمات محدثة',
+        'pets.vaccinations.due': 'التطعيمات مستحقة',
+        'pets.vaccinations.unknown': 'حالة التطعيمات غير معروفة',
+        'pets.age.months.zero': 'أقل من شهر',
+        'pets.age.months.one': 'شهر واحد',
+        'pets.age.months.two': 'شهران',
+        'pets.age.months.few': '{count} أشهر',
+        'pets.age.months.many': '{count} شهرًا',
+        'pets.age.months.other': '{count} شهر',
+        'pets.age.years.one': 'سنة واحدة',
+        'pets.age.years.two': 'سنتان',
+        'pets.age.years.few': '{count} سنوات',
+        'pets.age.years.many': '{count} سنة',
+        'pets.age.years.other': '{count} سنة',
+        'pets.weightValue': '{weight} كغ',
+        'pets.allergiesValue': 'الحساسية: {allergies}',
+        'pets.empty': 'لا توجد حيوانات أليفة بعد. أضف أول حيوان أدناه.',
+        'pets.edit': 'تعديل',
+        'pets.editNamed': 'تعديل {name}',
+        'pets.delete': 'حذف',
+        'pets.deleteNamed': 'حذف {name}',
+        'pets.confirmDelete': 'تأكيد الحذف',
+        'pets.removed': 'تم حذف {name}.',
+        'pets.saved': '✓ تم حفظ {name}.',
+        'pets.addTitle': 'إضافة حيوان أليف',
+        'pets.editTitle': 'تعديل {name}',
+        'pets.none': 'لم يتم اختيار حيوان أليف',
+        'pets.noneSaved': 'لا توجد حيوانات أليفة محفوظة بعد',
+        'pets.imported.zero': 'لم يتم استيراد أي حيوان أليف.',
+        'pets.imported.one': '✓ تم استيراد حيوان أليف واحد.',
+        'pets.imported.two': '✓ تم استيراد حيوانين أليفين.',
+        'pets.imported.few': '✓ تم استيراد {count} حيوانات أليفة.',
+        'pets.imported.many': '✓ تم استيراد {count} حيوانًا أليفًا.',
+        'pets.imported.other': '✓ تم استيراد {count} حيوان أليف.',
+        'pets.skipped.one': 'تم تخطي إدخال واحد غير مكتمل.',
+        'pets.skipped.two': 'تم تخطي إدخالين غير مكتملين.',
+        'pets.skipped.few': 'تم تخطي {count} إدخالات غير مكتملة.',
+        'pets.skipped.many': 'تم تخطي {count} إدخالًا غير مكتمل.',
+        'pets.skipped.other': 'تم تخطي {count} إدخال غير مكتمل.',
+        'pets.importInvalid': 'هذا الملف ليس تصديرًا لحيوانات PawsCare الأليفة.',
+        'pets.importVersion': 'تم إنشاء هذا التصدير بإصدار أحدث من PawsCare.',
+        'contact.pet': 'حيوانك الأليف',
+        'contact.petHint': '(اختياري)',
+        'contact.managePets': 'إضافة الحيوانات الأليفة أو تعديلها',
+        'contact.careReminders': 'تذكيرات الرعاية',
+        'pets.views': 'العرض',
+        'pets.profiles': 'الملفات',
+        'pets.care': 'الرعاية والتذكيرات',
+        'care.export': 'تصدير إلى التقويم (.ics)',
+        'care.remindersTitle': 'الرعاية القادمة',
+        'care.appointmentsTitle': 'المواعيد المحجوزة',
+        'care.noPets': 'أضف ملفًا لحيوانك الأليف لبدء متابعة رعايته.',
+        'care.addPet': 'إضافة حيوان أليف',
+        'care.recordTitle': 'تسجيل رعاية',
+        'care.pet': 'الحيوان الأليف',
+        'care.typeLabel': 'نوع الرعاية',
+        'care.date': 'التاريخ',
+        'care.note': 'ملاحظة',
+        'care.save': 'حفظ السجل',
+        'care.historyTitle': 'الرعاية الأخيرة',
+        'care.type.vaccination': 'التطعيم',
+        'care.type.deworming': 'إزالة الديدان',
+        'care.type.grooming': 'العناية والتجميل',
+        'care.type.checkup': 'الفحص الدوري',
+        'care.reminderTitle': '{type} لـ{name}',
+        'care.overdue.one': 'متأخر يومًا واحدًا',
+        'care.overdue.two': 'متأخر يومين',
+        'care.overdue.few': 'متأخر {count} أيام',
+        'care.overdue.many': 'متأخر {count} يومًا',
+        'care.overdue.other': 'متأخر {count} يوم',
+        'care.dueToday': 'مستحق اليوم',
+        'care.dueIn.one': 'مستحق غدًا',
+        'care.dueIn.two': 'مستحق بعد يومين',
+        'care.dueIn.few': 'مستحق بعد {count} أيام',
+        'care.dueIn.many': 'مستحق بعد {count} يومًا',
+        'care.dueIn.other': 'مستحق بعد {count} يوم',
+        'care.dueOn': 'مستحق في {date}',
+        'care.lastDone': 'آخر مرة: {date}',
+        'care.markDone': 'تم اليوم',
+        'care.markDoneNamed': 'تسجيل {title} كمنجز اليوم',
+        'care.addToCalendarNamed': 'إضافة {title} إلى التقويم',
+        'care.appointmentTitle': '{service} في PawsCare',
+        'care.appointmentTitleFor': '{service} لـ{name} في PawsCare',
+        'care.appointmentReference': 'رقم الحجز {reference}',
+        'care.appointmentWhen': '{date} الساعة {time}',
+        'care.empty': 'لا توجد تذكيرات بعد. سجّل أدناه تاريخ تطعيم أو إزالة ديدان أو عناية وسنحسب موعد المرة التالية.',
+        'care.noAppointments': 'ستظهر هنا المواعيد التي تحجزها من هذا الجهاز.',
+        'care.noHistory': 'لم تُسجَّل أي رعاية بعد.',
+        'care.remove': 'حذف',
+        'care.removeNamed': 'حذف {record}',
+        'care.saved': '✓ تم تسجيل {title}.',
+        'care.removed': 'تم حذف السجل.',
+        'care.exportEmpty': 'لا يوجد ما يمكن تصديره بعد.',
+        'care.selectPet': 'اختر حيوانًا أليفًا',
+        'care.notify': 'أعلمني عند استحقاق الرعاية',
+        'care.notifyBlocked': 'الإشعارات محظورة في إعدادات المتصفح',
+        'nav.reviews': 'التقييمات',
+        'reviews.heading': 'ماذا يقول أصحاب الحيوانات الأليفة',
+        'reviews.subheading': 'تقييمات صادقة من العائلات التي نعتني بحيواناتها',
+        'reviews.carousel': 'عرض متحرك',
+        'reviews.carouselLabel': 'آراء العملاء',
+        'reviews.previous': 'التقييم السابق',
+        'reviews.next': 'التقييم التالي',
+        'reviews.write': 'اكتب تقييمًا',
+        'reviews.service': 'الخدمة',
+        'reviews.name': 'اسمك',
+        'reviews.rating': 'تقييمك',
+        'reviews.stars1': 'نجمة واحدة',
+        'reviews.stars2': 'نجمتان',
+        'reviews.stars3': '3 نجوم',
+        'reviews.stars4': '4 نجوم',
+        'reviews.stars5': '5 نجوم',
+        'reviews.text': 'تقييمك المكتوب',
+        'reviews.note': 'يراجع فريقنا التقييمات قبل نشرها.',
+        'reviews.submit': 'إرسال التقييم',
+        'reviews.starsLabel': 'التقييم {rating} من 5',
+        'reviews.basedOn.zero': 'لا توجد تقييمات بعد',
+        'reviews.basedOn.one': 'بناءً على تقييم واحد',
+        'reviews.basedOn.two': 'بناءً على تقييمين',
+        'reviews.basedOn.few': 'بناءً على {count} تقييمات',
+        'reviews.basedOn.many': 'بناءً على {count} تقييمًا',
+        'reviews.basedOn.other': 'بناءً على {count} تقييم',
+        'reviews.count.one': 'تقييم واحد',
+        'reviews.count.two': 'تقييمان',
+        'reviews.count.few': '{count} تقييمات',
+        'reviews.count.many': '{count} تقييمًا',
+        'reviews.count.other': '{count} تقييم',
+        'reviews.slide': 'شريحة',
+        'reviews.slideLabel': '{index} من {total}',
+        'reviews.showSlide': 'عرض التقييم {index}',
+        'reviews.play': 'تشغيل آراء العملاء',
+        'reviews.pause': 'إيقاف آراء العملاء مؤقتًا',
+        'reviews.selectService': 'اختر خدمة',
+        'reviews.thanks': '✓ شكرًا لك! سيظهر تقييمك بعد مراجعة فريقنا له.',
+        'reviews.failed': 'عذرًا، تعذر إرسال تقييمك. يرجى المحاولة مرة أخرى.',
+        'reviews.pending.zero': 'لا توجد تقييمات بانتظار الموافقة',
+        'reviews.pending.one': 'تقييم واحد بانتظار الموافقة',
+        'reviews.pending.two': 'تقييمان بانتظار الموافقة',
+        'reviews.pending.few': '{count} تقييمات بانتظار الموافقة',
+        'reviews.pending.many': '{count} تقييمًا بانتظار الموافقة',
+        'reviews.pending.other': '{count} تقييم بانتظار الموافقة',
+        'reviews.approve': 'موافقة',
+        'reviews.approveNamed': 'الموافقة على تقييم {name}',
+        'reviews.reject': 'رفض',
+        'reviews.rejectNamed': 'رفض تقييم {name}',
+        'quote.title': 'احصل على تقدير للسعر',
+        'quote.close': 'إغلاق',
+        'quote.steps.service': 'الخدمة',
+        'quote.steps.pet': 'حيوانك الأليف',
+        'quote.steps.extras': 'الإضافات',
+        'quote.steps.estimate': 'التقدير',
+        'quote.serviceLegend': 'ما الخدمة التي تهمك؟',
+        'quote.petLegend': 'أخبرنا عن حيوانك الأليف',
+        'quote.sizeLabel': 'الحجم',
+        'quote.sizeHint.small': '(أقل من 10 كغ)',
+        'quote.sizeHint.medium': '(10-25 كغ)',
+        'quote.sizeHint.large': '(25-45 كغ)',
+        'quote.sizeHint.giant': '(أكثر من 45 كغ)',
+        'quote.extrasLegend': 'هل تريد أي إضافات؟',
+        'quote.noExtras': 'لا توجد إضافات لهذه الخدمة.',
+        'quote.quantityLegend': 'لأي مدة؟',
+        'quote.estimateLegend': 'التقدير الخاص بك',
+        'quote.disclaimer': 'هذا تقدير فقط. نؤكد السعر النهائي عندما نلتقي بحيوانك الأليف.',
+        'quote.optional': '(اختياري)',
+        'quote.back': 'رجوع',
+        'quote.next': 'متابعة',
+        'quote.send': 'أرسل هذا التقدير',
+        'quote.thanks': 'تقديرك في الطريق إليك!',
+        'quote.reference': 'رقم مرجع التقدير:',
+        'quote.done': 'تم',
+        'quote.serviceLabel': 'الخدمة',
+        'quote.from': 'ابتداءً من {price}',
+        'quote.per.night': '{price} لليلة',
+        'quote.per.session': '{price} للجلسة',
+        'quote.units.night.zero': 'لا ليالٍ',
+        'quote.units.night.one': 'ليلة واحدة',
+        'quote.units.night.two': 'ليلتان',
+        'quote.units.night.few': '{count} ليالٍ',
+        'quote.units.night.many': '{count} ليلة',
+        'quote.units.night.other': '{count} ليلة',
+        'quote.units.session.zero': 'لا جلسات',
+        'quote.units.session.one': 'جلسة واحدة',
+        'quote.units.session.two': 'جلستان',
+        'quote.units.session.few': '{count} جلسات',
+        'quote.units.session.many': '{count} جلسة',
+        'quote.units.session.other': '{count} جلسة',
+        'quote.steps.night': 'الليالي',
+        'quote.steps.session': 'الجلسات',
+        'quote.quantity.night': 'عدد الليالي',
+        'quote.quantity.session': 'عدد الجلسات',
+        'quote.discountHint': 'احجز {quantity} أو أكثر ووفّر {percent}.',
+        'quote.size.small': 'صغير',
+        'quote.size.medium': 'متوسط',
+        'quote.size.large': 'كبير',
+        'quote.size.giant': 'ضخم',
+        'quote.baseSized': '{service} ({size})',
+        'quote.lineQuantity': '{label} × {quantity}',
+        'quote.addOn.nails': 'قص الأظافر وبردها',
+        'quote.addOn.teeth': 'تنظيف الأسنان بالفرشاة',
+        'quote.addOn.deshedding': 'علاج تساقط الشعر',
+        'quote.addOn.flea': 'علاج البراغيث',
+        'quote.addOn.bloodwork': 'تحليل دم',
+        'quote.addOn.vaccination': 'تطعيم',
+        'quote.addOn.microchip': 'زرع شريحة تعريف',
+        'quote.addOn.homeVisit': 'جلسات في منزلك',
+        'quote.addOn.report': 'تقرير مكتوب عن التقدم',
+        'quote.addOn.playtime': 'وقت لعب فردي',
+        'quote.addOn.webcam': 'الوصول إلى كاميرا المراقبة',
+        'quote.addOn.bath': 'استحمام قبل الاستلام',
+        'quote.addOn.taxi': 'تاكسي الحيوانات إلى مركزنا',
+        'quote.addOn.dental': 'تنظيف الأسنان',
+        'quote.subtotal': 'المجموع الفرعي',
+        'quote.discount': 'خصم على {quantity} ({percent})',
+        'quote.total': 'الإجمالي التقديري',
+        'quote.messageTitle': 'تقدير السعر {reference}',
+        'quote.messagePet': 'الحيوان الأليف: {pet}',
+        'quote.sent': 'سيرد فريقنا على {email} خلال يوم عمل واحد.',
+        'quote.queued': 'يبدو أنك غير متصل بالإنترنت. تم حفظ التقدير وسيُرسل تلقائيًا عند عودة الاتصال.',
+        'quote.failed': 'عذرًا، تعذر إرسال التقدير. يرجى المحاولة مرة أخرى.',
+        'chat.title': 'تحدث مع PawsCare',
+        'chat.close': 'إغلاق الدردشة',
+        'chat.clear': 'مسح المحادثة',
+        'chat.logLabel': 'المحادثة',
+        'chat.quickLabel': 'أسئلة مقترحة',
+        'chat.ask.hours': 'ساعات العمل',
+        'chat.ask.location': 'أين تقعون؟',
+        'chat.ask.services': 'الخدمات',
+        'chat.ask.agent': 'التحدث إلى موظف',
+        'chat.typing': 'يكتب…',
+        'chat.input': 'اكتب رسالتك',
+        'chat.send': 'إرسال',
+        'chat.leave': 'اترك رسالة',
+        'chat.leaveIntro': 'اترك بياناتك وسنرد عليك عبر البريد الإلكتروني.',
+        'chat.leaveSend': 'إرسال الرسالة',
+        'chat.leaveCancel': 'العودة إلى الدردشة',
+        'chat.contactLink': 'استخدم نموذج الاتصال الكامل',
+        'chat.open': 'فتح الدردشة',
+        'chat.openUnread.zero': 'فتح الدردشة',
+        'chat.openUnread.one': 'فتح الدردشة (رسالة واحدة غير مقروءة)',
+        'chat.openUnread.two': 'فتح الدردشة (رسالتان غير مقروءتين)',
+        'chat.openUnread.few': 'فتح الدردشة ({count} رسائل غير مقروءة)',
+        'chat.openUnread.many': 'فتح الدردشة ({count} رسالة غير مقروءة)',
+        'chat.openUnread.other': 'فتح الدردشة ({count} رسالة غير مقروءة)',
+        'chat.status.connecting': 'جارٍ الاتصال…',
+        'chat.status.online': 'نحن متصلون ونرد عادةً خلال دقائق',
+        'chat.status.offline': 'لا يوجد أحد متاح للدردشة حاليًا',
+        'chat.you': 'أنت',
+        'chat.assistant': 'مساعد PawsCare',
+        'chat.team': 'فريق PawsCare',
+        'chat.bot.welcome': 'مرحبًا! يمكنني الإجابة عن أسئلتك حول ساعات العمل والموقع والخدمات، أو تحويلك إلى الفريق.',
+        'chat.bot.hours': 'ساعات عملنا: {hours}.',
+        'hours.days': '{days}: {open}–{close}',
+        'chat.bot.openNow': 'نحن مفتوحون الآن حتى {time}.',
+        'chat.bot.opensToday': 'نحن مغلقون الآن ونفتح مجددًا اليوم الساعة {time}.',
+        'chat.bot.opensOn': 'نحن مغلقون الآن ونفتح مجددًا يوم {day} الساعة {time}.',
+        'chat.bot.location': 'تجدنا في {address}.',
+        'chat.bot.locationLink': 'الخريطة والاتجاهات',
+        'chat.bot.services': 'نقدم {services}.',
+        'chat.bot.servicesLink': 'احصل على تقدير للسعر',
+        'chat.bot.agent': 'سأحوّلك إلى أحد أعضاء فريقنا.',
+        'chat.bot.agentOffline': 'لا يوجد أحد من الفريق متاح حاليًا. اترك رسالة وسنرد عليك عبر البريد الإلكتروني.',
+        'chat.bot.unknownOffline': 'يمكنني المساعدة في ساعات العمل والموقع والخدمات. لأي أمر آخر، اترك رسالة وسيرد عليك الفريق عبر البريد الإلكتروني.',
+        'chat.bot.undelivered': 'عذرًا، تعذر الوصول إلى الفريق. اترك رسالة وسنرد عليك عبر البريد الإلكتروني.',
+        'chat.bot.left': 'شكرًا! رسالتك في الطريق وسنرد على {email}.',
+        'chat.bot.leftQueued': 'يبدو أنك غير متصل بالإنترنت. تم حفظ رسالتك وستُرسل تلقائيًا عند عودة الاتصال.',
+        'chat.mockReply': 'شكرًا على رسالتك! دعني أتحقق من ذلك.',
+        'chat.failed': 'عذرًا، تعذر إرسال رسالتك. يرجى المحاولة مرة أخرى.',
+        'contact.areaCheck': 'تحقق من عنوانك',
+        'area.mapLabel': 'خريطة منطقة الخدمة. استخدم مفاتيح الأسهم للتحرك و + أو - للتكبير والتصغير.',
+        'area.mapDescription': 'مركزنا في 123 Pet Street، مع منطقة الاستلام والتوصيل بنطاق 10 أميال حوله.',
+        'area.zoomIn': 'تكبير',
+        'area.zoomOut': 'تصغير',
+        'area.recenter': 'عرض منطقة الخدمة بالكامل',
+        'area.checkTitle': 'هل نستلم من منطقتك؟',
+        'area.checkIntro': 'أدخل الرمز البريدي أو اسم الحي لمعرفة ما إذا كانت خدمة الاستلام والتوصيل تصل إليك وكم تكلف.',
+        'area.addressLabel': 'العنوان أو الرمز البريدي',
+        'area.check': 'تحقق',
+        'area.feesTitle': 'رسوم الاستلام والتوصيل',
+        'area.free': 'مجانًا',
+        'area.feeUpTo': 'حتى {distance}',
+        'area.feeBetween': 'من {from} إلى {to}',
+        'area.notFound': 'لم نعثر على هذا العنوان. جرّب الرمز البريدي المكوّن من 5 أرقام أو اسم الحي.',
+        'area.eligible': 'أخبار سارة! تبعد {place} مسافة {distance} عنا، وهي ضمن منطقة الاستلام والتوصيل. الرسوم: {fee}.',
+        'area.outside': 'عذرًا، تبعد {place} مسافة {distance} عنا، خارج منطقة الاستلام والتوصيل البالغة {radius}. يسعدنا دائمًا أن تحضر حيوانك الأليف إلينا.',
+        'area.book': 'احجز مع الاستلام',
+        'contact.pickup': 'إضافة الاستلام والتوصيل في {place} ({fee})',
+        'consent.label': 'خيارات الخصوصية',
+        'consent.text': 'نود قياس كيفية استخدام الزوار لهذا الموقع (الصفحات التي تمت مشاهدتها والنماذج التي بدأت وأُرسلت) لتحسين عملية الحجز. لا نجمع الأسماء أو عناوين البريد الإلكتروني أو الرسائل.',
+        'consent.accept': 'موافقة',
+        'consent.decline': 'رفض',
+        'footer.tagline': 'نكرّس جهودنا لتقديم رعاية متميزة لحيواناتك الأليفة',
+        'footer.staff': 'دخول الموظفين',
+        'footer.privacy': 'إعدادات الخصوصية',
+        'footer.install': 'تثبيت التطبيق',
+        'update.text': 'يتوفر إصدار جديد من PawsCare.',
+        'update.reload': 'إعادة التحميل',
+        'update.dismiss': 'ليس الآن',
+        'footer.quickLinks': 'روابط سريعة',
+        'footer.services': 'الخدمات',
+        'footer.hours': 'ساعات العمل',
+        'footer.emergency': 'الطوارئ: متاحة على مدار الساعة',
+        'footer.rights': '© 2025 PawsCare. جميع الحقوق محفوظة.'
+    }
+};
+
+/**
+ * Translation and locale-aware formatting.
+ *
+ * Elements with data-i18n="key" get their text translated; data-i18n-attr="attr:key; attr2:key2"
+ * translates attributes. Text missing from a catalog falls back to English,
+ * then to the element's original markup.
+ */
+class I18n {
+    constructor(messages, options = {}) {
+        this.messages = messages;
+        this.fallback = options.fallback || 'en';
+        this.storageKey = options.storageKey || 'pawscare.locale';
+        this.originalText = new WeakMap();
+        this.originalAttrs = new WeakMap();
+        this.listeners = [];
+        this.locale = this.detectLocale();
+    }
+
+    detectLocale() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Storage may be unavailable (private mode); fall through to the browser language
+        }
+        if (stored && LOCALES[stored]) return stored;
+
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(tag => String(tag).split('-')[0])
+            .find(tag => LOCALES[tag]);
+        return preferred || this.fallback;
+    }
+
+    get dir() {
+        return LOCALES[this.locale].dir;
+    }
+
+    get intlLocale() {
+        return LOCALES[this.locale].intl;
+    }
+
+    get country() {
+        return LOCALES[this.locale].country;
+    }
+
+    /**
+     * Translate `key`, filling {placeholders} from `params`. Returns `fallbackText` (or the key) if untranslated.
+     */
+    t(key, params = {}, fallbackText) {
+        const catalog = this.messages[this.locale] || {};
+        const base = this.messages[this.fallback] || {};
+        let template = catalog[key] !== undefined ? catalog[key] : base[key];
+        if (template === undefined) template = fallbackText !== undefined ? fallbackText : key;
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? params[name] : match
+        ));
+    }
+
+    has(key) {
+        return [this.locale, this.fallback].some(locale => (this.messages[locale] || {})[key] !== undefined);
+    }
+
+    setLocale(locale) {
+        if (!LOCALES[locale] || locale === this.locale) return;
+        this.locale = locale;
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            console.warn('Could not save language preference', error);
+        }
+        this.apply();
+        this.notify();
+    }
+
+    /**
+     * Translate marked-up copy and set the document language and direction
+     */
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.dir;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (!this.originalText.has(element)) this.originalText.set(element, element.textContent.trim());
+            element.textContent = this.t(element.dataset.i18n, {}, this.originalText.get(element));
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            if (!this.originalAttrs.has(element)) this.originalAttrs.set(element, {});
+            const originals = this.originalAttrs.get(element);
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (!attribute || !key) return;
+                if (!(attribute in originals)) originals[attribute] = element.getAttribute(attribute) || '';
+                element.setAttribute(attribute, this.t(key, {}, originals[attribute]));
+            });
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.intlLocale, options).format(value);
+    }
+
+    formatCurrency(amount, currency, options = {}) {
+        return this.formatNumber(amount, { style: 'currency', currency, ...options });
+    }
+
+    formatDate(date, options = {}) {
+        return new Intl.DateTimeFormat(this.intlLocale, options).format(date);
+    }
+
+    /**
+     * Localized name of a country, e.g. "ES" -> "España"
+     */
+    formatRegion(code) {
+        try {
+            return new Intl.DisplayNames([this.intlLocale], { type: 'region' }).of(code);
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /**
+     * Translate a count-dependent message using `${key}.${pluralCategory}`, e.g. cart.items.one
+     */
+    plural(key, count, params = {}) {
+        const category = new Intl.PluralRules(this.intlLocale).select(count);
+        const values = { count: this.formatNumber(count), ...params };
+        return this.has(`${key}.${category}`)
+            ? this.t(`${key}.${category}`, values)
+            : this.t(`${key}.other`, values);
+    }
+
+    /**
+     * Run `listener` whenever the language changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+const i18n = new I18n(I18N_MESSAGES);
+
+/**
+ * Navbar language picker
+ */
+class LanguageSwitcher extends Component {
+    constructor(select, i18n) {
+        super(select);
+        this.select = select;
+        this.i18n = i18n;
+    }
+
+    init() {
+        Object.entries(LOCALES).forEach(([code, locale]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = locale.label;
+            this.select.appendChild(option);
+        });
+
+        this.select.value = this.i18n.locale;
+        this.listen(this.select, 'change', () => this.i18n.setLocale(this.select.value));
+        this.own(this.i18n.onChange(() => {
+            this.select.value = this.i18n.locale;
+        }));
+    }
+
+    destroy() {
+        super.destroy();
+        this.select.replaceChildren();
+    }
+}
+
+components.define('language-switcher', (element) => new LanguageSwitcher(element, i18n));
+
+// ============================================
+// THEMING
+// ============================================
+
+/**
+ * Themes defined in style.css as [data-theme] token sets
+ */
+const THEMES = ['light', 'dark', 'high-contrast'];
+
+/**
+ * Applies the visitor's theme to <html data-theme>. The "system" preference
+ * follows prefers-contrast and prefers-color-scheme, live.
+ */
+class ThemeManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'pawscare.theme';
+        this.listeners = [];
+        this.darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+        this.preference = this.loadPreference();
+
+        const onSystemChange = () => {
+            if (this.preference === 'system') this.apply();
+        };
+        [this.darkQuery, this.contrastQuery].forEach(query => {
+            if (query.addEventListener) query.addEventListener('change', onSystemChange);
+            else if (query.addListener) query.addListener(onSystemChange);
+        });
+
+        this.apply();
+    }
+
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (THEMES.includes(stored)) return stored;
+        } catch (error) {
+            // Storage unavailable; follow the system setting
+        }
+        return 'system';
+    }
+
+    /**
+     * The theme actually in effect
+     */
+    get theme() {
+        if (this.preference !== 'system') return this.preference;
+        if (this.contrastQuery.matches) return 'high-contrast';
+        return this.darkQuery.matches ? 'dark' : 'light';
+    }
+
+    setPreference(preference) {
+        if (preference !== 'system' && !THEMES.includes(preference)) return;
+        this.preference = preference;
+        try {
+            if (preference === 'system') localStorage.removeItem(this.storageKey);
+            else localStorage.setItem(this.storageKey, preference);
+        } catch (error) {
+            console.warn('Could not save theme preference', error);
+        }
+        this.apply();
+    }
+
+    /**
+     * Step through system -> light -> dark -> high contrast
+     */
+    cycle() {
+        const order = ['system', ...THEMES];
+        this.setPreference(order[(order.indexOf(this.preference) + 1) % order.length]);
+    }
+
+    apply() {
+        document.documentElement.dataset.theme = this.theme;
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) meta.content = this.token('--color-surface') || meta.content;
+
+        this.notify();
+    }
+
+    /**
+     * Read a theme token (CSS custom property) for script-drawn UI
+     */
+    token(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// The inline script in index.html's <head> sets the first theme before paint;
+// this re-applies it and keeps it in step with the system from then on
+const themeManager = new ThemeManager();
+
+const THEME_ICONS = {
+    system: 'fa-circle-half-stroke',
+    light: 'fa-sun',
+    dark: 'fa-moon',
+    'high-contrast': 'fa-eye'
+};
+
+/**
+ * Navbar button cycling the theme preference
+ */
+class ThemeToggle extends Component {
+    constructor(button, themes) {
+        super(button);
+        this.button = button;
+        this.themes = themes;
+    }
+
+    init() {
+        this.listen(this.button, 'click', () => this.themes.cycle());
+        this.own(this.themes.onChange(() => this.render()));
+        this.own(i18n.onChange(() => this.render()));
+        this.render();
+    }
+
+    render() {
+        const preference = this.themes.preference;
+        const label = i18n.t('theme.toggle', { theme: i18n.t(`theme.${preference}`) });
+        this.button.innerHTML = `<i class="fas ${THEME_ICONS[preference]}" aria-hidden="true"></i>`;
+        this.button.setAttribute('aria-label', label);
+        this.button.title = label;
+    }
+}
+
+components.define('theme-toggle', (element) => new ThemeToggle(element, themeManager));
+
+// ============================================
+// ANALYTICS & CONSENT
+// ============================================
+
+// Funnel events. Properties carry ids and field names only, never what a
+// visitor typed.
+//
+//   section_view        { section }                 scroll-spy
+//   service_learn_more  { service }                 service card link
+//   quote_start         { service }                 service card quote link
+//   gallery_open        { photo, category }         lightbox opened
+//   form_start          { form }                    first input in a data-track form
+//   form_invalid        { form, field, rule }       per field, on submit or wizard step
+//   form_submit         { form, status, ... }       inquiry or order accepted
+//   chat_open           { status }                  chat widget opened
+//   area_check          { eligible }                service area address checked
+
+/**
+ * Sink printing events to the developer console
+ */
+class ConsoleSink {
+    send(event) {
+        console.info('[analytics]', event.name, event.props);
+    }
+}
+
+/**
+ * Sink keeping the latest events in localStorage, e.g. for debugging or a
+ * later upload
+ */
+class LocalBufferSink {
+    constructor(storageKey = 'pawscare.analytics', limit = 200) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+    }
+
+    send(event) {
+        try {
+            const events = [...this.read(), event].slice(-this.limit);
+            localStorage.setItem(this.storageKey, JSON.stringify(events));
+        } catch (error) {
+            console.warn('Could not buffer analytics event', error);
+        }
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+}
+
+/**
+ * Sink POSTing batches of events as { events: [...] } to an endpoint.
+ * Batches go out when full and when the page is hidden or unloaded.
+ */
+class BeaconSink {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.batchSize = options.batchSize || 10;
+        this.pending = [];
+        this.abortController = new AbortController();
+
+        const { signal } = this.abortController;
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        }, { signal });
+        window.addEventListener('pagehide', () => this.flush(), { signal });
+    }
+
+    send(event) {
+        this.pending.push(event);
+        if (this.pending.length >= this.batchSize) this.flush();
+    }
+
+    flush() {
+        if (!this.pending.length) return;
+        const body = JSON.stringify({ events: this.pending.splice(0) });
+
+        // sendBeacon survives the page unloading; fetch with keepalive is the fallback
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(error => console.warn('Could not send analytics events', error));
+    }
+
+    destroy() {
+        this.flush();
+        this.abortController.abort();
+    }
+}
+
+/**
+ * Event bus for funnel tracking, gated by the visitor's consent.
+ * Until they choose, events are held in memory only (nothing is sent or
+ * stored); accepting delivers them to the sinks, declining drops them.
+ * Global Privacy Control and Do Not Track count as declining.
+ */
+class Analytics {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'pawscare.analyticsConsent';
+        this.maxPending = options.maxPending || 50;
+        this.sinks = new Set();
+        this.pending = [];
+        this.listeners = [];
+        // Per page load, so visits can't be linked to each other
+        this.sessionId = createSubmissionId();
+        this.consent = this.loadConsent();
+    }
+
+    loadConsent() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored === 'granted' || stored === 'denied') return stored;
+        } catch (error) {
+            // Storage unavailable; ask again
+        }
+        if (navigator.globalPrivacyControl || navigator.doNotTrack === '1') return 'denied';
+        return 'unknown';
+    }
+
+    setConsent(granted) {
+        this.consent = granted ? 'granted' : 'denied';
+        try {
+            localStorage.setItem(this.storageKey, this.consent);
+        } catch (error) {
+            console.warn('Could not save analytics consent', error);
+        }
+
+        const pending = this.pending.splice(0);
+        if (granted) {
+            pending.forEach(event => this.dispatch(event));
+        } else {
+            // Withdrawing consent also removes what was kept on this device
+            this.sinks.forEach(sink => {
+                if (typeof sink.clear === 'function') sink.clear();
+            });
+        }
+        this.notify();
+    }
+
+    track(name, props = {}) {
+        if (this.consent === 'denied') return;
+
+        const event = {
+            name,
+            props,
+            path: location.hash || '#home',
+            locale: i18n.locale,
+            session: this.sessionId,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.consent === 'granted') {
+            this.dispatch(event);
+        } else {
+            this.pending.push(event);
+            if (this.pending.length > this.maxPending) this.pending.shift();
+        }
+    }
+
+    dispatch(event) {
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(event);
+            } catch (error) {
+                console.warn('Analytics sink failed', error);
+            }
+        });
+    }
+
+    addSink(sink) {
+        this.sinks.add(sink);
+        return () => this.sinks.delete(sink);
+    }
+
+    onConsentChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.consent));
+    }
+}
+
+const analytics = new Analytics();
+
+/**
+ * Connects the sinks listed in data-analytics-sinks ("console buffer beacon");
+ * beacon posts to data-analytics-endpoint
+ */
+class AnalyticsSinks extends Component {
+    constructor(element, tracker) {
+        super(element);
+        this.tracker = tracker;
+    }
+
+    init() {
+        const names = (this.element.dataset.analyticsSinks || '').split(/\s+/).filter(Boolean);
+        names.forEach(name => {
+            const sink = this.createSink(name);
+            if (!sink) return;
+            this.own(this.tracker.addSink(sink));
+            if (typeof sink.destroy === 'function') this.own(() => sink.destroy());
+        });
+    }
+
+    createSink(name) {
+        const endpoint = this.element.dataset.analyticsEndpoint;
+        if (name === 'console') return new ConsoleSink();
+        if (name === 'buffer') return new LocalBufferSink();
+        if (name === 'beacon') {
+            if (endpoint) return new BeaconSink(endpoint);
+            console.warn('[analytics] The beacon sink needs data-analytics-endpoint');
+            return null;
+        }
+        console.warn(`[analytics] Unknown sink "${name}"`);
+        return null;
+    }
+}
+
+/**
+ * Cookie-style consent banner. Shown until the visitor chooses; any
+ * [data-consent-open] control (e.g. the footer link) brings it back.
+ */
+class ConsentBanner extends Component {
+    constructor(element, tracker) {
+        super(element);
+        this.tracker = tracker;
+        this.buttons = [...element.querySelectorAll('[data-consent]')];
+    }
+
+    init() {
+        this.buttons.forEach(button => {
+            this.listen(button, 'click', () => {
+                this.tracker.setConsent(button.dataset.consent === 'granted');
+                this.element.hidden = true;
+            });
+        });
+
+        this.listen(document, 'click', (e) => {
+            if (!e.target.closest('[data-consent-open]')) return;
+            e.preventDefault();
+            this.element.hidden = false;
+            this.buttons[0].focus();
+        });
+
+        this.own(this.tracker.onConsentChange(() => this.render()));
+        this.render();
+        this.element.hidden = this.tracker.consent !== 'unknown';
+    }
+
+    render() {
+        this.buttons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.consent === this.tracker.consent));
+        });
+    }
+}
+
+components.define('analytics', (element) => new AnalyticsSinks(element, analytics));
+components.define('consent-banner', (element) => new ConsentBanner(element, analytics), {
+    requires: ['[data-consent="granted"]', '[data-consent="denied"]']
+});
+
+// ============================================
+// PERFORMANCE & ERROR MONITORING
+// ============================================
+
+/**
+ * Core Web Vitals thresholds: [good up to, needs improvement up to]
+ */
+const VITAL_THRESHOLDS = {
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500]
+};
+
+function rateVital(name, value) {
+    const [good, poor] = VITAL_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Real-user monitoring: Core Web Vitals, slow scroll handlers and uncaught
+ * errors. Reports are held until a sink is connected (see the "monitor"
+ * component), then sent only if this page load is in the sample.
+ * URLs are reported without their query string.
+ */
+class PerformanceMonitor {
+    constructor(options = {}) {
+        this.longTaskThreshold = options.longTaskThreshold || 50;
+        this.maxErrors = options.maxErrors || 20;
+        this.maxPending = options.maxPending || 100;
+        this.sink = null;
+        this.connected = false;
+        this.sampled = false;
+        this.pending = [];
+        this.vitals = {};
+        this.reportedVitals = {};
+        this.navigation = null;
+        this.counts = { longtask: 0, error: 0 };
+        this.lastError = null;
+        this.errorKeys = new Set();
+        this.listeners = [];
+
+        this.observeVitals();
+        window.addEventListener('load', () => setTimeout(() => this.readNavigation(), 0));
+        // Vitals are final once the page is hidden; sinks flush right after
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.reportVitals();
+        });
+        window.addEventListener('pagehide', () => this.reportVitals());
+    }
+
+    observe(type, callback, options = {}) {
+        const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return;
+        try {
+            new PerformanceObserver((list) => callback(list.getEntries()))
+                .observe({ type, buffered: true, ...options });
+        } catch (error) {
+            console.warn(`Could not observe ${type} entries`, error);
+        }
+    }
+
+    observeVitals() {
+        // Largest Contentful Paint: the last candidate before the first interaction
+        let lcpFinal = false;
+        this.observe('largest-contentful-paint', (entries) => {
+            if (lcpFinal) return;
+            this.updateVital('lcp', entries[entries.length - 1].startTime);
+        });
+        ['keydown', 'pointerdown'].forEach(type => {
+            window.addEventListener(type, () => {
+                lcpFinal = true;
+            }, { once: true, capture: true });
+        });
+
+        // Cumulative Layout Shift: the worst session window (gaps < 1s, at most 5s long)
+        let session = { value: 0, start: 0, last: 0 };
+        this.observe('layout-shift', (entries) => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+                if (entry.startTime - session.last > 1000 || entry.startTime - session.start > 5000) {
+                    session = { value: 0, start: entry.startTime, last: entry.startTime };
+                }
+                session.value += entry.value;
+                session.last = entry.startTime;
+                this.updateVital('cls', Math.max(this.vitals.cls || 0, session.value));
+            });
+        });
+
+        // Interaction to Next Paint: the slowest interaction, ignoring one outlier per 50
+        const interactions = new Map();
+        this.observe('event', (entries) => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+            });
+            const durations = [...interactions.values()].sort((a, b) => b - a);
+            if (durations.length) {
+                this.updateVital('inp', durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))]);
+            }
+        }, { durationThreshold: 40 });
+    }
+
+    updateVital(name, value) {
+        this.vitals[name] = value;
+        this.notify();
+    }
+
+    reportVitals() {
+        Object.entries(this.vitals).forEach(([name, value]) => {
+            if (this.reportedVitals[name] === value) return;
+            this.reportedVitals[name] = value;
+            this.report({ type: 'vital', name, value: Math.round(value * 1000) / 1000, rating: rateVital(name, value) });
+        });
+    }
+
+    readNavigation() {
+        const [entry] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+        if (!entry) return;
+        this.navigation = {
+            ttfb: Math.round(entry.responseStart),
+            load: Math.round(entry.loadEventEnd)
+        };
+        this.report({ type: 'navigation', ...this.navigation });
+    }
+
+    /**
+     * Wrap an event handler (e.g. a scroll listener) to report runs that block
+     * the main thread for longer than the long-task threshold
+     */
+    timed(source, handler) {
+        return (...args) => {
+            const start = performance.now();
+            const result = handler(...args);
+            const duration = performance.now() - start;
+            if (duration >= this.longTaskThreshold) {
+                this.report({ type: 'longtask', source, duration: Math.round(duration) });
+            }
+            return result;
+        };
+    }
+
+    captureError(error, details = {}) {
+        const message = (error && error.message) || [details.message, error && String(error)].filter(Boolean).join(': ');
+        const stack = (error && error.stack) || '';
+        // The same error firing in a loop is reported once
+        const key = `${message}\n${stack.split('\n')[1] || ''}`;
+        if (this.errorKeys.has(key) || this.errorKeys.size >= this.maxErrors) return;
+        this.errorKeys.add(key);
+
+        this.lastError = message;
+        this.report({
+            type: 'error',
+            name: (error && error.name) || 'Error',
+            message,
+            stack: stack.slice(0, 2000),
+            source: details.filename ? `${details.filename}:${details.lineno}:${details.colno}` : '',
+            userAgent: navigator.userAgent
+        });
+    }
+
+    report(data) {
+        const entry = {
+            ...data,
+            url: location.origin + location.pathname + location.hash,
+            timestamp: new Date().toISOString()
+        };
+        if (entry.type in this.counts) this.counts[entry.type]++;
+
+        if (!this.connected) {
+            this.pending.push(entry);
+            if (this.pending.length > this.maxPending) this.pending.shift();
+        } else if (this.sampled && this.sink) {
+            this.sink.send(entry);
+        }
+        this.notify();
+    }
+
+    /**
+     * Start sending reports to `sink` for `sampleRate` (0-1) of page loads
+     */
+    connect(sink, sampleRate = 1) {
+        this.sink = sink;
+        this.connected = true;
+        this.sampled = Math.random() < sampleRate;
+        const pending = this.pending.splice(0);
+        if (this.sampled && sink) pending.forEach(entry => sink.send(entry));
+
+        return () => {
+            this.sink = null;
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+const monitor = new PerformanceMonitor();
+
+/**
+ * Connects monitoring to data-monitor-endpoint, sampled at
+ * data-monitor-sample-rate. With data-monitor-debug, or on localhost,
+ * every page load is kept and a live overlay shows the numbers.
+ */
+class MonitorReporter extends Component {
+    constructor(element, rum) {
+        super(element);
+        this.rum = rum;
+        this.overlay = null;
+    }
+
+    init() {
+        const { monitorEndpoint, monitorSampleRate } = this.element.dataset;
+        // file:// previews have no hostname and opt in with data-monitor-debug
+        const debug = 'monitorDebug' in this.element.dataset || ['localhost', '127.0.0.1'].includes(location.hostname);
+        const rate = parseFloat(monitorSampleRate);
+        const sink = monitorEndpoint ? new BeaconSink(monitorEndpoint) : null;
+
+        if (sink) this.own(() => sink.destroy());
+        this.own(this.rum.connect(sink, debug || Number.isNaN(rate) ? 1 : rate));
+
+        if (debug) {
+            this.createOverlay();
+            this.own(this.rum.onChange(() => this.render()));
+            this.render();
+        }
+    }
+
+    createOverlay() {
+        const overlay = document.createElement('aside');
+        overlay.className = 'monitor-overlay';
+        overlay.setAttribute('aria-label', 'Performance monitor');
+        overlay.innerHTML = `
+            <button type="button" class="monitor-overlay-close" aria-label="Hide performance monitor">&times;</button>
+            <dl></dl>
+        `;
+        this.listen(overlay.querySelector('button'), 'click', () => {
+            overlay.hidden = true;
+        });
+
+        document.body.appendChild(overlay);
+        this.own(() => overlay.remove());
+        this.overlay = overlay;
+    }
+
+    render() {
+        const { vitals, navigation, counts, lastError } = this.rum;
+        const ms = (value) => (value === undefined ? '–' : `${Math.round(value)} ms`);
+        const rows = [
+            ['LCP', ms(vitals.lcp), vitals.lcp !== undefined && rateVital('lcp', vitals.lcp)],
+            ['CLS', vitals.cls === undefined ? '–' : vitals.cls.toFixed(3), vitals.cls !== undefined && rateVital('cls', vitals.cls)],
+            ['INP', ms(vitals.inp), vitals.inp !== undefined && rateVital('inp', vitals.inp)],
+            ['Load', ms(navigation && navigation.load)],
+            ['Long tasks', String(counts.longtask), counts.longtask ? 'poor' : 'good'],
+            ['Errors', String(counts.error), counts.error ? 'poor' : 'good']
+        ];
+
+        const list = this.overlay.querySelector('dl');
+        list.innerHTML = '';
+        rows.forEach(([label, value, rating]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            if (rating) detail.className = `monitor-${rating}`;
+            list.append(term, detail);
+        });
+        if (lastError) {
+            const error = document.createElement('dd');
+            error.className = 'monitor-last-error';
+            error.textContent = lastError;
+            list.appendChild(error);
+        }
+    }
+}
+
+components.define('monitor', (element) => new MonitorReporter(element, monitor));
+
+// ============================================
+// NAVIGATION BAR
+// ============================================
+
+const navbar = document.getElementById('navbar');
+const menuToggle = document.getElementById('menuToggle');
+const navMenu = document.getElementById('navMenu');
+const navLinks = document.querySelectorAll('.nav-link');
+
+// Guard against missing elements
+if (!navbar || !menuToggle || !navMenu || navLinks.length === 0) {
+    console.warn('Navigation elements not found');
+}
+
+/**
+ * Sticky navbar on scroll
+ */
+window.addEventListener('scroll', throttle(monitor.timed('navbar', () => {
+    if (navbar) {
+        if (window.scrollY > 50) {
+            navbar.classList.add('scrolled');
+        } else {
+            navbar.classList.remove('scrolled');
+        }
+    }
+}), 100));
+
+/**
+ * Open or close the mobile menu, keeping aria-expanded in sync
+ */
+function setMenuOpen(open) {
+    if (!menuToggle || !navMenu) return;
+    menuToggle.classList.toggle('active', open);
+    navMenu.classList.toggle('active', open);
+    menuToggle.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * Mobile menu toggle
+ */
+if (menuToggle && navMenu) {
+    menuToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setMenuOpen(!navMenu.classList.contains('active'));
+    });
+
+    // Close menu when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.navbar-container')) {
+            setMenuOpen(false);
+        }
+    });
+
+    // Close menu with Escape and return focus to the toggle
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && navMenu.classList.contains('active')) {
+            setMenuOpen(false);
+            menuToggle.focus();
+        }
+    });
+}
+
+/**
+ * Highlight the nav link for a section id
+ */
+function setActiveNavLink(sectionId) {
+    navLinks.forEach(link => {
+        link.classList.toggle('active', link.getAttribute('href').slice(1) === sectionId);
+    });
+}
+
+/**
+ * Scroll to a page section (e.g. "#contact") the way a nav link click does
+ */
+function goToSection(targetId) {
+    setActiveNavLink(targetId.slice(1));
+
+    // Close mobile menu
+    setMenuOpen(false);
+
+    // Record the section in the URL so it can be shared and back/forward works
+    router.navigate(targetId);
+
+    // Smooth scroll
+    const targetSection = document.querySelector(targetId);
+    if (targetSection) {
+        smoothScrollTo(targetSection);
+    }
+}
+
+/**
+ * Smooth scroll on nav link click
+ */
+navLinks.forEach(link => {
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        goToSection(link.getAttribute('href'));
+    });
+});
+
+/**
+ * Update active nav link on scroll
+ */
+let viewedSection = '';
+window.addEventListener('scroll', throttle(monitor.timed('scroll-spy', () => {
+    let current = '';
+    const sections = document.querySelectorAll('section');
+
+    sections.forEach(section => {
+        const sectionTop = section.offsetTop;
+        const sectionHeight = section.clientHeight;
+        if (scrollY >= sectionTop - 200) {
+            current = section.getAttribute('id');
+        }
+    });
+
+    setActiveNavLink(current);
+
+    if (current && current !== viewedSection) {
+        viewedSection = current;
+        analytics.track('section_view', { section: current });
+    }
+}), 100));
+
+// ============================================
+// HASH ROUTER
+// ============================================
+
+/**
+ * Minimal hash router. Route hashes start with "#/" (e.g. #/services/grooming);
+ * plain hashes like #contact remain section anchors.
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+        this.current = null;
+        this.lastHash = null;
+        this.started = false;
+    }
+
+    /**
+     * Register a route; `view.enter(params)` runs on match, `view.leave()` on exit
+     */
+    add(pattern, view) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        this.routes.push({ pattern, regex: new RegExp(`^${source}/?$`), keys, view });
+
+        if (this.started) this.resolve(true);
+        return this;
+    }
+
+    /**
+     * Unregister every route handled by `view`, leaving it first if it's active
+     */
+    remove(view) {
+        if (this.current && this.current.route.view === view) {
+            view.leave();
+            this.current = null;
+        }
+        this.routes = this.routes.filter(route => route.view !== view);
+    }
+
+    start() {
+        this.started = true;
+        // popstate covers pushState traversal; hashchange covers plain anchor clicks
+        window.addEventListener('popstate', () => this.resolve());
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+
+    /**
+     * Push a new history entry for `hash` and resolve it
+     */
+    navigate(hash, options = {}) {
+        if (hash === location.hash) return;
+        if (options.replace) {
+            // Keep the entry's own state: replacing a shared link's landing
+            // entry mustn't make back() think we pushed it
+            history.replaceState(history.state, '', hash || location.pathname + location.search);
+        } else {
+            history.pushState({ internal: true }, '', hash || location.pathname + location.search);
+        }
+        this.resolve();
+    }
+
+    /**
+     * Leave the current route: go back if we pushed it, otherwise replace with `fallback`
+     */
+    back(fallback) {
+        if (history.state && history.state.internal) {
+            history.back();
+        } else {
+            this.navigate(fallback, { replace: true });
+        }
+    }
+
+    match(hash) {
+        if (!hash.startsWith('#/')) return null;
+        const path = decodeURIComponent(hash.slice(1));
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+            if (result) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    params[key] = result[index + 1];
+                });
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    resolve(force = false) {
+        const hash = location.hash;
+        if (!force && hash === this.lastHash) return;
+        this.lastHash = hash;
+
+        const next = this.match(hash);
+        if (this.current && (!next || next.route !== this.current.route)) {
+            this.current.route.view.leave();
+        }
+
+        this.current = next;
+        if (next) {
+            next.route.view.enter(next.params);
+        } else if (hash.startsWith('#') && hash.length > 1 && !hash.startsWith('#/')) {
+            setActiveNavLink(hash.slice(1));
+        }
+    }
+}
+
+const router = new Router();
+
+// ============================================
+// ANIMATION ENGINE
+// ============================================
+
+/**
+ * Easing functions mapping linear progress (0-1) to eased progress
+ */
+const Easing = {
+    linear: (t) => t,
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => t * (2 - t),
+    easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * One requestAnimationFrame loop shared by every tween on the page.
+ * The loop only runs while tweens are active. With prefers-reduced-motion
+ * set, tweens jump straight to their end value.
+ */
+class AnimationScheduler {
+    constructor() {
+        this.tweens = new Set();
+        this.frame = null;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.tick = this.tick.bind(this);
+    }
+
+    prefersReducedMotion() {
+        return this.reducedMotion.matches;
+    }
+
+    /**
+     * Tween `from` -> `to` over `duration` ms, calling `onUpdate(value)` each frame.
+     * Returns a promise that resolves when the tween finishes.
+     */
+    tween({ from = 0, to = 1, duration = 1000, delay = 0, easing = Easing.easeOutCubic, onUpdate = () => {} }) {
+        return new Promise(resolve => {
+            if (duration <= 0 || this.prefersReducedMotion()) {
+                onUpdate(to);
+                resolve();
+                return;
+            }
+
+            this.tweens.add({ from, to, duration, delay, easing, onUpdate, resolve, start: null });
+            if (!this.frame) this.frame = requestAnimationFrame(this.tick);
+        });
+    }
+
+    /**
+     * Resolve after `ms` on the animation clock (immediately under reduced motion)
+     */
+    wait(ms) {
+        return this.tween({ duration: ms, easing: Easing.linear });
+    }
+
+    tick(now) {
+        this.tweens.forEach(tween => {
+            if (tween.start === null) tween.start = now + tween.delay;
+            const elapsed = now - tween.start;
+            if (elapsed < 0) return;
+
+            const progress = Math.min(1, elapsed / tween.duration);
+            tween.onUpdate(tween.from + (tween.to - tween.from) * tween.easing(progress));
+
+            if (progress === 1) {
+                this.tweens.delete(tween);
+                tween.resolve();
+            }
+        });
+
+        this.frame = this.tweens.size ? requestAnimationFrame(this.tick) : null;
+    }
+}
+
+const animations = new AnimationScheduler();
+
+/**
+ * A single IntersectionObserver for every scroll-triggered animation.
+ * Each handler runs once per element, the first time it scrolls into view.
+ * Matching elements added to the page later (service cards, products,
+ * gallery tiles...) are picked up automatically.
+ */
+class ViewportAnimator extends Component {
+    constructor(element = document.body, options = { threshold: 0.1, rootMargin: '0px 0px -100px 0px' }) {
+        super(element);
+        this.handlers = [];
+        this.observer = new IntersectionObserver((entries) => this.handleEntries(entries), options);
+        this.own(() => this.observer.disconnect());
+    }
+
+    /**
+     * Run `handler(element)` when an element matching `selector` enters the viewport
+     */
+    register(selector, handler) {
+        this.handlers.push({ selector, handler });
+        this.observeTree(this.element, [{ selector }]);
+        return this;
+    }
+
+    observeTree(root, handlers = this.handlers) {
+        handlers.forEach(({ selector }) => {
+            if (root.matches && root.matches(selector)) this.observer.observe(root);
+            root.querySelectorAll(selector).forEach(element => this.observer.observe(element));
+        });
+    }
+
+    handleEntries(entries) {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            this.observer.unobserve(entry.target);
+            this.handlers.forEach(({ selector, handler }) => {
+                if (entry.target.matches(selector)) handler(entry.target);
+            });
+        });
+    }
+
+    watch(root = this.element) {
+        const mutationObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) this.observeTree(node);
+                });
+            });
+        });
+        mutationObserver.observe(root, { childList: true, subtree: true });
+        this.own(() => mutationObserver.disconnect());
+    }
+}
+
+/**
+ * Fade/slide a [data-aos] element in, after its optional data-delay (ms)
+ */
+function revealElement(element) {
+    animations.wait(parseInt(element.dataset.delay, 10) || 0).then(() => {
+        element.classList.add('aos-show');
+    });
+}
+
+/**
+ * Format a stat for display. `format` is "number", "compact" (5K) or
+ * "percent" (of 100); `suffix` is appended as-is ("+").
+ */
+function formatStatValue(value, { format = 'number', suffix = '', decimals = 0 } = {}) {
+    const digits = Number(decimals) || 0;
+    let text;
+    if (format === 'compact') {
+        text = i18n.formatNumber(value, { notation: 'compact', maximumFractionDigits: 1 });
+    } else if (format === 'percent') {
+        text = i18n.formatNumber(value / 100, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits });
+    } else {
+        text = i18n.formatNumber(digits ? value : Math.round(value), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+    return text + suffix;
+}
+
+// What each counter/bar last showed, so new values animate on from there
+const statTweens = new WeakMap();
+
+/**
+ * Tween an element's stat from its current value to `to`; a newer call
+ * takes over from wherever the running one has got to
+ */
+function tweenStat(element, to, options) {
+    const previous = statTweens.get(element);
+    const state = { value: previous ? previous.value : 0 };
+    statTweens.set(element, state);
+
+    return animations.tween({
+        ...options,
+        from: state.value,
+        to,
+        onUpdate: (value) => {
+            if (statTweens.get(element) !== state) return;
+            state.value = value;
+            options.onUpdate(value);
+        }
+    });
+}
+
+/**
+ * Count a .stat-number up to its data-target, formatted per its
+ * data-format, data-suffix and data-decimals
+ */
+function animateCounter(element) {
+    const target = parseFloat(element.dataset.target);
+    if (isNaN(target)) return;
+
+    tweenStat(element, target, {
+        duration: 2000,
+        easing: Easing.easeOutCubic,
+        onUpdate: (value) => {
+            element.textContent = formatStatValue(value, element.dataset);
+        }
+    }).then(() => {
+        element.dataset.counted = 'true';
+    });
+}
+
+/**
+ * Grow a .progress-fill bar to its data-width percentage
+ */
+function animateProgress(element) {
+    const width = Math.min(100, Math.max(0, parseFloat(element.dataset.width)));
+    if (isNaN(width)) return;
+
+    tweenStat(element, width, {
+        duration: 1500,
+        easing: Easing.easeInOutCubic,
+        onUpdate: (value) => {
+            element.style.width = `${value}%`;
+        }
+    });
+}
+
+components.define('scroll-animations', (element) => {
+    const animator = new ViewportAnimator(element);
+    animator
+        .register('[data-aos]', revealElement)
+        .register('.stat-number[data-target]', animateCounter)
+        .register('.progress-fill[data-width]', animateProgress);
+    animator.watch();
+
+    // Keep finished counters in the selected number format
+    animator.own(i18n.onChange(() => {
+        element.querySelectorAll('.stat-number[data-counted]').forEach(counter => {
+            counter.textContent = formatStatValue(parseFloat(counter.dataset.target), counter.dataset);
+        });
+    }));
+    return animator;
+});
+
+// ============================================
+// LIVE STATS
+// ============================================
+
+/**
+ * Figures behind the about section's [data-stat] counters and bars
+ */
+const STATS_DATA = {
+    years: 15,
+    pets: 5000,
+    team: 50,
+    grooming: 95,
+    veterinary: 98,
+    satisfaction: 100
+};
+
+/**
+ * Stand-in stats source used when no endpoint is configured. Customer
+ * satisfaction follows the approved review average once there are reviews.
+ */
+class LocalStatsSource {
+    constructor(stats, reviews) {
+        this.stats = stats;
+        this.reviews = reviews;
+    }
+
+    async load() {
+        const { average, count } = this.reviews ? this.reviews.getRating() : { count: 0 };
+        return {
+            ...this.stats,
+            ...(count ? { satisfaction: Math.round((average / 5) * 100) } : {})
+        };
+    }
+
+    subscribe(listener) {
+        if (!this.reviews) {
+            listener();
+            return () => {};
+        }
+        return this.reviews.subscribe(() => listener());
+    }
+}
+
+/**
+ * Stats from a JSON endpoint or static config file
+ *
+ * GET {endpoint} -> { stats: { years, pets, ... } }
+ */
+class RemoteStatsSource {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    async load() {
+        const response = await fetch(this.endpoint, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Stats request failed (${response.status})`);
+        }
+        const data = await response.json();
+        return data.stats || {};
+    }
+}
+
+/**
+ * Binds [data-stat="key"] counters and progress bars to a stats source and
+ * refreshes them every `refreshInterval` ms. The markup's data-target and
+ * data-width stay in place as the fallback when the source fails.
+ */
+class LiveStats extends Component {
+    constructor(element, source, { refreshInterval = 60000 } = {}) {
+        super(element);
+        this.source = source;
+        this.refreshInterval = refreshInterval;
+        this.status = document.getElementById('statsStatus');
+        this.loaded = false;
+        this.failed = false;
+        this.requestId = 0;
+    }
+
+    init() {
+        this.element.classList.add('stats-loading');
+        this.element.setAttribute('aria-busy', 'true');
+        // The local source reports changes (new reviews) as they happen
+        if (this.source.subscribe) {
+            this.own(this.source.subscribe(() => this.refresh()));
+        } else {
+            this.refresh();
+        }
+
+        if (this.refreshInterval > 0) {
+            const timer = setInterval(() => {
+                // No point updating figures nobody is looking at
+                if (!document.hidden) this.refresh();
+            }, this.refreshInterval);
+            this.own(() => clearInterval(timer));
+        }
+
+        this.own(i18n.onChange(() => this.renderStatus()));
+    }
+
+    destroy() {
+        super.destroy();
+        // Ignore responses still in flight
+        this.requestId++;
+    }
+
+    async refresh() {
+        const requestId = ++this.requestId;
+        try {
+            const stats = await this.source.load();
+            if (requestId !== this.requestId) return;
+            this.apply(stats);
+            this.loaded = true;
+            this.failed = false;
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Could not load stats', error);
+            this.failed = true;
+        }
+
+        this.element.classList.remove('stats-loading');
+        this.element.removeAttribute('aria-busy');
+        this.renderStatus();
+    }
+
+    apply(stats) {
+        this.element.querySelectorAll('[data-stat]').forEach(element => {
+            const value = Number(stats[element.dataset.stat]);
+            if (!Number.isFinite(value)) return;
+
+            const isBar = element.classList.contains('progress-fill');
+            element.dataset[isBar ? 'width' : 'target'] = value;
+            if (isBar) {
+                const bar = element.closest('[role="progressbar"]');
+                if (bar) bar.setAttribute('aria-valuenow', Math.min(100, Math.max(0, value)));
+            }
+
+            // Elements still waiting to scroll into view pick the value up then
+            if (statTweens.has(element)) {
+                (isBar ? animateProgress : animateCounter)(element);
+            }
+        });
+    }
+
+    renderStatus() {
+        this.status.hidden = !this.failed;
+        this.status.textContent = this.failed
+            ? i18n.t(this.loaded ? 'stats.stale' : 'stats.error')
+            : '';
+    }
+}
+
+// data-stats-endpoint loads the figures from a URL; data-stats-refresh is in seconds (0 = never)
+components.define('live-stats', (element) => {
+    const endpoint = element.dataset.statsEndpoint;
+    const source = endpoint
+        ? new RemoteStatsSource(endpoint)
+        : new LocalStatsSource(STATS_DATA, reviewStore);
+    const { statsRefresh } = element.dataset;
+    return new LiveStats(element, source, {
+        refreshInterval: statsRefresh === undefined ? undefined : (Number(statsRefresh) || 0) * 1000
+    });
+}, { requires: ['#statsStatus'] });
+
+// ============================================
+// GALLERY & LIGHTBOX
+// ============================================
+
+/**
+ * Build an illustrated pet photo (gradient + emoji) and its blur-up placeholder
+ */
+function createPetPhoto(emoji, from, to) {
+    const gradient = `<defs><linearGradient id='g' x1='0%' y1='0%' x2='100%' y2='100%'><stop offset='0%' stop-color='${from}'/><stop offset='100%' stop-color='${to}'/></linearGradient></defs><rect width='300' height='300' fill='url(#g)'/>`;
+    const toDataUri = (body, size) => `data:image/svg+xml,${encodeURIComponent(`<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 300 300' width='${size}' height='${size}'>${body}</svg>`)}`;
+    return {
+        src: toDataUri(`${gradient}<text x='150' y='150' font-size='100' fill='white' text-anchor='middle' dominant-baseline='middle'>${emoji}</text>`, 300),
+        placeholder: toDataUri(gradient, 16)
+    };
+}
+
+const GALLERY_CATEGORIES = [
+    { id: 'all', label: 'All' },
+    { id: 'dogs', label: 'Dogs' },
+    { id: 'cats', label: 'Cats' },
+    { id: 'birds', label: 'Birds' },
+    { id: 'exotics', label: 'Exotics' }
+];
+
+/**
+ * Gallery photos. `src` may be any image URL; `placeholder` is a tiny image shown blurred while it loads.
+ */
+const GALLERY_ITEMS = [
+    { id: 'happy-dog', alt: 'Happy Dog', caption: 'Max enjoying a fresh groom and his favourite squeaky toy', category: 'dogs', tags: ['grooming'], ...createPetPhoto('🐕', '#6c5ce7', '#a29bfe') },
+    { id: 'happy-cat', alt: 'Happy Cat', caption: 'Luna relaxing after her wellness check-up', category: 'cats', tags: ['wellness'], ...createPetPhoto('🐈', '#1dd1a1', '#00b894') },
+    { id: 'happy-rabbit', alt: 'Happy Rabbit', caption: 'Clover hopping around the boarding play area', category: 'exotics', tags: ['boarding', 'rabbit'], ...createPetPhoto('🐰', '#fd79a8', '#e84393') },
+    { id: 'happy-parrot', alt: 'Happy Parrot', caption: 'Kiwi showing off after a beak and nail trim', category: 'birds', tags: ['grooming', 'parrot'], ...createPetPhoto('🦜', '#fdcb6e', '#f39c12') },
+    { id: 'happy-fish', alt: 'Happy Fish', caption: 'Bubbles in his newly set-up aquarium', category: 'exotics', tags: ['fish', 'aquarium'], ...createPetPhoto('🐠', '#74b9ff', '#0984e3') },
+    { id: 'happy-turtle', alt: 'Happy Turtle', caption: 'Shelly basking during her habitat consultation', category: 'exotics', tags: ['turtle', 'veterinary'], ...createPetPhoto('🐢', '#6c5ce7', '#a29bfe') },
+    { id: 'puppy-playtime', alt: 'Puppy at Playtime', caption: 'Biscuit graduating from Puppy Foundations', category: 'dogs', tags: ['training', 'puppy'], ...createPetPhoto('🐶', '#fdcb6e', '#f39c12') },
+    { id: 'poodle-spa', alt: 'Poodle After Spa Day', caption: 'Coco fresh from her Spa Day package', category: 'dogs', tags: ['grooming', 'poodle'], ...createPetPhoto('🐩', '#fd79a8', '#e84393') },
+    { id: 'kitten-nap', alt: 'Sleepy Kitten', caption: 'Mochi napping in the boarding cattery', category: 'cats', tags: ['boarding', 'kitten'], ...createPetPhoto('🐱', '#74b9ff', '#0984e3') },
+    { id: 'budgie-pair', alt: 'Pair of Budgies', caption: 'Pip and Sky visiting for their annual check-up', category: 'birds', tags: ['veterinary', 'budgie'], ...createPetPhoto('🐦', '#1dd1a1', '#00b894') },
+    { id: 'hamster-snack', alt: 'Hamster with a Snack', caption: 'Peanut sampling our new timothy hay', category: 'exotics', tags: ['food', 'hamster'], ...createPetPhoto('🐹', '#fdcb6e', '#f39c12') },
+    { id: 'gecko-checkup', alt: 'Gecko at a Check-up', caption: 'Ziggy the gecko after a healthy weigh-in', category: 'exotics', tags: ['veterinary', 'reptile'], ...createPetPhoto('🦎', '#1dd1a1', '#00b894') },
+    { id: 'owl-visit', alt: 'Rescued Owl', caption: 'A rescued owl recovering with our vet team', category: 'birds', tags: ['veterinary', 'rescue'], ...createPetPhoto('🦉', '#636e72', '#2d3436') }
+];
+
+/**
+ * Gallery data source backed by an in-memory list
+ */
+class LocalGallerySource {
+    constructor(items) {
+        this.items = items;
+    }
+
+    async list({ category = 'all', offset = 0, limit = 6 }) {
+        const filtered = category === 'all'
+            ? this.items
+            : this.items.filter(item => item.category === category);
+        return { items: filtered.slice(offset, offset + limit), total: filtered.length };
+    }
+
+    async get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+}
+
+/**
+ * Gallery data source backed by an HTTP API
+ *
+ * GET {endpoint}?category=&offset=&limit=  -> { items, total }
+ * GET {endpoint}/{id}                      -> item | 404
+ */
+class RemoteGallerySource {
+    constructor(endpoint) {
+        this.endpoint = endpoint.replace(/\/$/, '');
+    }
+
+    async list({ category = 'all', offset = 0, limit = 6 }) {
+        const params = new URLSearchParams({ category, offset, limit });
+        const response = await fetch(`${this.endpoint}?${params}`);
+        if (!response.ok) {
+            throw new Error(`Gallery request failed (${response.status})`);
+        }
+        return response.json();
+    }
+
+    async get(id) {
+        const response = await fetch(`${this.endpoint}/${encodeURIComponent(id)}`);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Gallery request failed (${response.status})`);
+        }
+        return response.json();
+    }
+}
+
+/**
+ * Filterable, paginated gallery grid with lazy-loaded tiles.
+ * `data-pagination="infinite"` on the grid loads pages on scroll instead of via the button.
+ */
+class GalleryGrid extends Component {
+    constructor(element, source) {
+        super(element);
+        this.source = source;
+        this.pageSize = Number(element.dataset.pageSize) || 6;
+        this.mode = element.dataset.pagination === 'infinite' ? 'infinite' : 'button';
+        this.filters = document.getElementById('galleryFilters');
+        this.loadMoreButton = document.getElementById('galleryLoadMore');
+        this.sentinel = document.getElementById('gallerySentinel');
+        this.status = document.getElementById('galleryStatus');
+        this.category = 'all';
+        this.items = [];
+        this.total = 0;
+        this.loaded = false;
+        this.loading = null;
+        this.requestId = 0;
+        this.listeners = [];
+    }
+
+    init() {
+        this.renderFilters();
+
+        this.listen(this.filters, 'click', (e) => {
+            const chip = e.target.closest('[data-filter]');
+            if (chip) this.setFilter(chip.dataset.filter);
+        });
+
+        this.listen(this.loadMoreButton, 'click', () => this.loadMore());
+
+        if (this.mode === 'infinite' && this.sentinel) {
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+            }, { rootMargin: '200px 0px' });
+            observer.observe(this.sentinel);
+            this.own(() => observer.disconnect());
+        }
+
+        this.own(i18n.onChange(() => {
+            this.renderFilters();
+            this.element.querySelectorAll('.gallery-item').forEach((tile, index) => {
+                tile.setAttribute('aria-label', this.getTileLabel(this.items[index]));
+            });
+            if (this.loaded) this.updateControls();
+        }));
+
+        this.setFilter('all');
+    }
+
+    destroy() {
+        super.destroy();
+        // Drop responses still in flight
+        this.requestId++;
+        this.listeners = [];
+    }
+
+    get hasMore() {
+        return !this.loaded || this.items.length < this.total;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    renderFilters() {
+        this.filters.innerHTML = '';
+        GALLERY_CATEGORIES.forEach(category => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip';
+            chip.dataset.filter = category.id;
+            chip.textContent = i18n.t(`gallery.category.${category.id}`, {}, category.label);
+            this.filters.appendChild(chip);
+        });
+        this.updateFilters();
+    }
+
+    updateFilters() {
+        this.filters.querySelectorAll('[data-filter]').forEach(chip => {
+            const active = chip.dataset.filter === this.category;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    setFilter(category) {
+        this.category = category;
+        this.items = [];
+        this.total = 0;
+        this.loaded = false;
+        this.loading = null;
+        this.requestId++;
+        this.element.innerHTML = '';
+        this.updateFilters();
+
+        return this.loadMore();
+    }
+
+    loadMore() {
+        if (this.loading) return this.loading;
+        if (!this.hasMore) return Promise.resolve();
+
+        const request = this.fetchPage().finally(() => {
+            if (this.loading === request) this.loading = null;
+        });
+        this.loading = request;
+        return request;
+    }
+
+    async fetchPage() {
+        const requestId = this.requestId;
+        this.element.setAttribute('aria-busy', 'true');
+
+        try {
+            const page = await this.source.list({
+                category: this.category,
+                offset: this.items.length,
+                limit: this.pageSize
+            });
+            // A newer filter has replaced this request
+            if (requestId !== this.requestId) return;
+
+            this.loaded = true;
+            this.total = page.total;
+            page.items.forEach(item => {
+                this.element.appendChild(this.createTile(item, this.items.length));
+                this.items.push(item);
+            });
+            this.updateControls();
+            this.listeners.forEach(listener => listener(this));
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Could not load gallery', error);
+            this.status.textContent = i18n.t('gallery.error');
+            this.loadMoreButton.hidden = false;
+        } finally {
+            this.element.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Load pages until `index` is available (or there is nothing more to load)
+     */
+    async loadUntil(index) {
+        while (index >= this.items.length && this.hasMore) {
+            const before = this.items.length;
+            await this.loadMore();
+            if (this.items.length === before) break;
+        }
+    }
+
+    /**
+     * Resolve a photo id to its index in the grid, switching filter/loading pages if needed
+     */
+    async ensureLoaded(id) {
+        let index = this.items.findIndex(item => item.id === id);
+        if (index !== -1) return index;
+
+        const item = await this.source.get(id);
+        if (!item) return -1;
+
+        if (this.category !== 'all' && this.category !== item.category) {
+            await this.setFilter('all');
+        }
+        while ((index = this.items.findIndex(i => i.id === id)) === -1 && this.hasMore) {
+            const before = this.items.length;
+            await this.loadMore();
+            if (this.items.length === before) break;
+        }
+        return index;
+    }
+
+    createTile(item, index) {
+        const tile = document.createElement('div');
+        tile.className = 'gallery-item';
+        tile.dataset.galleryId = item.id;
+        tile.dataset.category = item.category;
+        tile.setAttribute('data-aos', 'fade-up');
+        tile.setAttribute('data-delay', String((index % this.pageSize % 3 + 1) * 100));
+        tile.setAttribute('role', 'button');
+        tile.setAttribute('tabindex', '0');
+        tile.setAttribute('aria-label', this.getTileLabel(item));
+        tile.innerHTML = `
+            <div class="gallery-placeholder"></div>
+            <img alt="" loading="lazy" decoding="async" width="300" height="300">
+            <div class="gallery-overlay">
+                <i class="fas fa-plus" aria-hidden="true"></i>
+            </div>
+        `;
+
+        if (item.placeholder) {
+            tile.querySelector('.gallery-placeholder').style.backgroundImage = `url("${item.placeholder}")`;
+        }
+
+        // Blur-up: the placeholder shows until the real image has loaded
+        const img = tile.querySelector('img');
+        img.alt = item.alt;
+        img.addEventListener('load', () => tile.classList.add('loaded'), { once: true });
+        img.src = item.thumb || item.src;
+        return tile;
+    }
+
+    getTileLabel(item) {
+        return i18n.t('gallery.open', { caption: item.caption || item.alt });
+    }
+
+    updateControls() {
+        this.status.textContent = this.total
+            ? i18n.t('gallery.status', { shown: i18n.formatNumber(this.items.length), total: i18n.formatNumber(this.total) })
+            : i18n.t('gallery.empty');
+        this.loadMoreButton.hidden = this.mode === 'infinite' || !this.hasMore;
+    }
+}
+
+class Gallery extends Component {
+    constructor(lightbox, router, grid) {
+        super(lightbox);
+        this.router = router;
+        this.grid = grid;
+        this.lightbox = lightbox;
+        this.lightboxImage = lightbox.querySelector('.lightbox-image');
+        this.stage = lightbox.querySelector('.lightbox-stage');
+        this.caption = lightbox.querySelector('.lightbox-caption-text');
+        this.counter = lightbox.querySelector('.lightbox-counter');
+        this.thumbs = lightbox.querySelector('.lightbox-thumbs');
+        this.currentIndex = 0;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = 0;
+        // Whether the current press is a plain click that began on the backdrop
+        this.backdropPress = false;
+        this.focusTrap = new FocusTrap(this.lightbox);
+    }
+
+    init() {
+        // Gallery tile click (tiles are also operable with Enter and Space)
+        this.listen(this.grid.element, 'click', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (item) this.router.navigate(`#/gallery/${item.dataset.galleryId}`);
+        });
+        this.listen(this.grid.element, 'keydown', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (item && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                item.click();
+            }
+        });
+
+        // Each photo has its own URL, e.g. #/gallery/happy-dog
+        const route = {
+            enter: (params) => this.show(params.id),
+            leave: () => this.closeLightbox()
+        };
+        this.router.add('/gallery/:id', route);
+        this.own(() => this.router.remove(route));
+
+        // Lightbox close button
+        this.listen(this.lightbox.querySelector('.lightbox-close'), 'click', () => {
+            this.router.back('#gallery');
+        });
+
+        // Lightbox navigation
+        this.listen(this.lightbox.querySelector('.lightbox-prev'), 'click', () => {
+            this.previousImage();
+        });
+
+        this.listen(this.lightbox.querySelector('.lightbox-next'), 'click', () => {
+            this.nextImage();
+        });
+
+        // Close lightbox on background click
+        this.listen(this.lightbox, 'click', (e) => {
+            // Pointer capture retargets the click to the stage, so only close
+            // when the press itself started on the backdrop and wasn't a gesture
+            const backdropPress = this.backdropPress;
+            this.backdropPress = false;
+            if (e.target === this.lightbox || (e.target === this.stage && backdropPress)) {
+                this.router.back('#gallery');
+            }
+        });
+
+        // Keyboard navigation
+        this.listen(document, 'keydown', (e) => {
+            if (!this.lightbox.classList.contains('active')) return;
+            if (e.key === 'ArrowLeft') this.previousImage();
+            if (e.key === 'ArrowRight') this.nextImage();
+            if (e.key === 'Escape') this.router.back('#gallery');
+        });
+
+        this.listen(this.thumbs, 'click', (e) => {
+            const thumb = e.target.closest('.lightbox-thumb');
+            if (thumb) this.goTo(Number(thumb.dataset.index));
+        });
+
+        this.initGestures();
+
+        // The lightbox browses whatever the grid currently shows
+        this.own(this.grid.onChange(() => {
+            this.renderThumbnails();
+            this.updateThumbnails();
+        }));
+        this.own(i18n.onChange(() => {
+            this.thumbs.querySelectorAll('.lightbox-thumb').forEach((thumb, index) => {
+                const item = this.grid.items[index];
+                thumb.setAttribute('aria-label', i18n.t('gallery.showThumb', { caption: item.caption || item.alt }));
+            });
+        }));
+    }
+
+    getItemId(index) {
+        return this.grid.items[index].id;
+    }
+
+    /**
+     * Open a photo by id. Photos hidden by the current filter or not yet
+     * loaded are fetched first, so deep links always resolve.
+     */
+    async show(id) {
+        let index = -1;
+        try {
+            index = await this.grid.ensureLoaded(id);
+        } catch (error) {
+            console.error('Could not load gallery image', error);
+        }
+        // The route may have changed while the photo was loading
+        if (decodeURIComponent(location.hash) !== `#/gallery/${id}`) return;
+
+        if (index === -1) {
+            console.warn(`Unknown gallery image: ${id}`);
+            this.router.navigate('#gallery', { replace: true });
+            return;
+        }
+        // Stepping between photos re-enters this route with the lightbox already open
+        if (!this.lightbox.classList.contains('active')) {
+            analytics.track('gallery_open', { photo: id, category: this.grid.items[index].category });
+        }
+        this.currentIndex = index;
+        this.openLightbox(index);
+    }
+
+    openLightbox(index) {
+        const item = this.grid.items[index];
+        this.lightboxImage.src = item.src;
+        this.lightboxImage.alt = item.alt;
+        this.caption.textContent = item.caption || item.alt;
+        this.counter.textContent = `${i18n.formatNumber(index + 1)} / ${i18n.formatNumber(this.grid.total)}`;
+        this.resetZoom();
+        this.updateThumbnails();
+        this.preloadAdjacent(index);
+        this.lightbox.classList.add('active');
+        this.lightbox.setAttribute('aria-hidden', 'false');
+        scrollLock.lock(this);
+        this.focusTrap.activate(this.lightbox.querySelector('.lightbox-close'));
+    }
+
+    closeLightbox() {
+        this.lightbox.classList.remove('active');
+        this.lightbox.setAttribute('aria-hidden', 'true');
+        this.resetZoom();
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
+    }
+
+    async goTo(index) {
+        const count = this.grid.total;
+        if (!count) return;
+        const target = (index + count) % count;
+        // Stepping past the loaded photos pulls in the next page
+        await this.grid.loadUntil(target);
+        if (target >= this.grid.items.length) return;
+        this.currentIndex = target;
+        // Replace rather than push so stepping through photos doesn't flood history
+        this.router.navigate(`#/gallery/${this.getItemId(this.currentIndex)}`, { replace: true });
+    }
+
+    previousImage() {
+        this.goTo(this.currentIndex - 1);
+    }
+
+    nextImage() {
+        this.goTo(this.currentIndex + 1);
+    }
+
+    preloadAdjacent(index) {
+        const items = this.grid.items;
+        [index - 1, index + 1].forEach(i => {
+            const item = items[(i + items.length) % items.length];
+            if (!item) return;
+            const preload = new Image();
+            preload.src = item.src;
+        });
+    }
+
+    renderThumbnails() {
+        this.thumbs.innerHTML = '';
+        this.grid.items.forEach((item, index) => {
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = 'lightbox-thumb';
+            thumb.dataset.index = index;
+            thumb.setAttribute('aria-label', i18n.t('gallery.showThumb', { caption: item.caption || item.alt }));
+            const img = document.createElement('img');
+            img.alt = '';
+            img.loading = 'lazy';
+            img.src = item.thumb || item.src;
+            thumb.appendChild(img);
+            this.thumbs.appendChild(thumb);
+        });
+    }
+
+    updateThumbnails() {
+        this.thumbs.querySelectorAll('.lightbox-thumb').forEach((thumb, index) => {
+            const active = index === this.currentIndex;
+            thumb.classList.toggle('active', active);
+            thumb.setAttribute('aria-current', active ? 'true' : 'false');
+            if (active && thumb.scrollIntoView) {
+                thumb.scrollIntoView({ block: 'nearest', inline: 'center' });
+            }
+        });
+    }
+
+    /**
+     * Swipe to navigate, pinch or double-tap to zoom, drag to pan
+     */
+    initGestures() {
+        this.listen(this.stage, 'pointerdown', (e) => {
+            this.backdropPress = this.pointers.size === 0 && e.target === this.stage;
+            this.stage.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pointers.size === 2) {
+                this.backdropPress = false;
+                const [a, b] = [...this.pointers.values()];
+                this.gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale: this.zoom.scale };
+            } else {
+                this.gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, originX: this.zoom.x, originY: this.zoom.y };
+            }
+        });
+
+        this.listen(this.stage, 'pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+                const [a, b] = [...this.pointers.values()];
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                this.setZoom(this.gesture.scale * distance / this.gesture.distance);
+            } else if (this.gesture.type === 'drag' && this.zoom.scale > 1) {
+                this.setZoom(this.zoom.scale,
+                    this.gesture.originX + e.clientX - this.gesture.startX,
+                    this.gesture.originY + e.clientY - this.gesture.startY);
+            }
+        });
+
+        const endGesture = (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.delete(e.pointerId);
+            const gesture = this.gesture;
+            this.gesture = null;
+
+            const dx = gesture ? e.clientX - gesture.startX : 0;
+            const dy = gesture ? e.clientY - gesture.startY : 0;
+            const tap = Math.abs(dx) < 10 && Math.abs(dy) < 10;
+            // The click that follows a swipe, pan or pinch must not close the viewer
+            if (!tap || !gesture || gesture.type !== 'drag' || e.type === 'pointercancel') this.backdropPress = false;
+
+            if (!gesture || gesture.type !== 'drag' || e.type === 'pointercancel') return;
+
+            if (tap) {
+                this.handleTap(e);
+            } else if (this.zoom.scale === 1 && Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+                if (dx < 0) this.nextImage();
+                else this.previousImage();
+            }
+        };
+        this.listen(this.stage, 'pointerup', endGesture);
+        this.listen(this.stage, 'pointercancel', endGesture);
+
+        this.listen(this.stage, 'wheel', (e) => {
+            if (!this.lightbox.classList.contains('active')) return;
+            e.preventDefault();
+            this.setZoom(this.zoom.scale * (e.deltaY < 0 ? 1.1 : 0.9));
+        }, { passive: false });
+    }
+
+    handleTap(e) {
+        const now = Date.now();
+        if (now - this.lastTap < 300) {
+            this.lastTap = 0;
+            if (this.zoom.scale > 1) {
+                this.resetZoom();
+            } else {
+                // Zoom towards the tapped point
+                const rect = this.lightboxImage.getBoundingClientRect();
+                const scale = 2.5;
+                this.setZoom(scale,
+                    (rect.left + rect.width / 2 - e.clientX) * (scale - 1),
+                    (rect.top + rect.height / 2 - e.clientY) * (scale - 1));
+            }
+        } else {
+            this.lastTap = now;
+        }
+    }
+
+    setZoom(scale, x = this.zoom.x, y = this.zoom.y) {
+        scale = Math.min(4, Math.max(1, scale));
+
+        // Keep the zoomed image covering the stage when panning
+        const width = this.lightboxImage.offsetWidth;
+        const height = this.lightboxImage.offsetHeight;
+        const maxX = (width * (scale - 1)) / 2;
+        const maxY = (height * (scale - 1)) / 2;
+        this.zoom = {
+            scale,
+            x: Math.min(maxX, Math.max(-maxX, x)),
+            y: Math.min(maxY, Math.max(-maxY, y))
+        };
+
+        this.lightboxImage.style.transform =
+            `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${this.zoom.scale})`;
+        this.lightbox.classList.toggle('zoomed', scale > 1);
+    }
+
+    resetZoom() {
+        this.setZoom(1, 0, 0);
+    }
+}
+
+components.define('gallery', (element) => {
+    const endpoint = element.dataset.galleryEndpoint;
+    const source = endpoint
+        ? new RemoteGallerySource(endpoint)
+        : new LocalGallerySource(GALLERY_ITEMS);
+    return new GalleryGrid(element, source);
+}, { requires: ['#galleryFilters', '#galleryLoadMore', '#galleryStatus'] });
+
+// data-gallery names the grid element whose photos the lightbox browses
+components.define('lightbox', (element) => {
+    const gridElement = document.getElementById(element.dataset.gallery);
+    const grid = gridElement && components.mountComponent(gridElement, 'gallery');
+    if (!grid) throw new Error(`No gallery "${element.dataset.gallery}" for the lightbox`);
+    return new Gallery(element, router, grid);
+}, {
+    requires: [
+        '.lightbox-close', '.lightbox-prev', '.lightbox-next', '.lightbox-stage',
+        '.lightbox-image', '.lightbox-caption-text', '.lightbox-counter', '.lightbox-thumbs'
+    ]
+});
+
+// ============================================
+// SERVICES CATALOG
+// ============================================
+
+/**
+ * Services offered. Rendered into the services grid, the contact form's
+ * service select and the footer. `duration` (minutes) and `capacity`
+ * (concurrent appointments) drive booking slots.
+ */
+const SERVICES_CATALOG = [
+    {
+        id: 'grooming',
+        title: 'Pet Grooming',
+        icon: 'fa-spa',
+        description: 'Professional grooming services including bathing, nail trimming, and styling for all breeds',
+        priceRange: [40, 120],
+        duration: 60,
+        capacity: 2,
+        tiers: [
+            { name: 'Bath & Tidy', price: 40, features: ['Shampoo and conditioner', 'Blow dry and brush out', 'Nail trim'] },
+            { name: 'Full Groom', price: 75, features: ['Everything in Bath & Tidy', 'Breed-standard haircut', 'Ear cleaning'] },
+            { name: 'Spa Day', price: 120, features: ['Everything in Full Groom', 'De-shedding treatment', 'Paw balm and teeth brushing'] }
+        ],
+        faqs: [
+            { question: 'How often should my dog be groomed?', answer: 'Most breeds benefit from a full groom every 4-8 weeks, with baths in between as needed.' },
+            { question: 'Do you groom cats?', answer: 'Yes. Our groomers are trained in low-stress handling for cats of all coat types.' }
+        ]
+    },
+    {
+        id: 'veterinary',
+        title: 'Veterinary Care',
+        icon: 'fa-stethoscope',
+        description: 'Complete medical services with experienced veterinarians available for your pet\'s health',
+        priceRange: [60, 250],
+        duration: 30,
+        capacity: 2,
+        tiers: [
+            { name: 'Consultation', price: 60, features: ['Full physical exam', 'Treatment plan', 'Follow-up call'] },
+            { name: 'Diagnostics', price: 150, features: ['Consultation included', 'Blood panel', 'Urinalysis'] },
+            { name: 'Minor Procedure', price: 250, features: ['Local anaesthetic', 'Wound care or lump removal', 'Post-op check'] }
+        ],
+        faqs: [
+            { question: 'Do you handle emergencies?', answer: 'Yes, our emergency line is available 24/7. Call +1 (555) 123-4567 and we will guide you.' },
+            { question: 'Which pets do you treat?', answer: 'Dogs, cats, rabbits, birds and most small exotics.' }
+        ]
+    },
+    {
+        id: 'food',
+        title: 'Premium Pet Food',
+        icon: 'fa-bowl-food',
+        description: 'Nutritious, high-quality food options tailored to your pet\'s specific dietary needs',
+        priceRange: [9, 50],
+        duration: 15,
+        capacity: 3,
+        link: { href: '#shop', label: 'Shop Now' },
+        tiers: [
+            { name: 'Treats & Snacks', price: 9, features: ['Natural ingredients', 'Training-size portions'] },
+            { name: 'Everyday Nutrition', price: 35, features: ['Complete balanced diets', 'Dogs, cats, birds and exotics'] },
+            { name: 'Nutrition Consult', price: 50, features: ['15-minute diet review', 'Personalised feeding plan'] }
+        ],
+        faqs: [
+            { question: 'Can I pick up my order in store?', answer: 'Yes, store pickup is free and usually ready the same day.' },
+            { question: 'Do you deliver?', answer: 'We deliver within 10 miles of the shop.' }
+        ]
+    },
+    {
+        id: 'training',
+        title: 'Pet Training',
+        icon: 'fa-dumbbell',
+        description: 'Expert training programs to develop good behavior and strengthen pet-owner bonds',
+        priceRange: [80, 300],
+        duration: 60,
+        capacity: 1,
+        tiers: [
+            { name: 'Single Session', price: 80, features: ['One-on-one with a trainer', 'Focus on one behaviour'] },
+            { name: 'Puppy Foundations', price: 200, features: ['3 sessions', 'Socialisation and basic commands'] },
+            { name: 'Behaviour Program', price: 300, features: ['4 sessions', 'Reactivity and anxiety support', 'Home practice plan'] }
+        ],
+        faqs: [
+            { question: 'What age can my puppy start?', answer: 'Puppies can start from 10 weeks once their first vaccinations are done.' },
+            { question: 'Do I need to attend?', answer: 'Yes. Training works best when owners learn alongside their pets.' }
+        ]
+    },
+    {
+        id: 'boarding',
+        title: 'Pet Boarding',
+        icon: 'fa-bed',
+        description: 'Safe, comfortable, and fun accommodation while you\'re away from home',
+        priceRange: [45, 85],
+        priceUnit: 'night',
+        duration: 30,
+        capacity: 1,
+        tiers: [
+            { name: 'Standard Suite', price: 45, features: ['Private suite', 'Two walks a day'] },
+            { name: 'Deluxe Suite', price: 65, features: ['Larger suite', 'Group play sessions', 'Daily photo update'] },
+            { name: 'Luxury Suite', price: 85, features: ['Suite with webcam', 'One-on-one playtime', 'Bath before pickup'] }
+        ],
+        faqs: [
+            { question: 'What should I bring?', answer: 'Your pet\'s usual food, any medication and a familiar toy or blanket.' },
+            { question: 'Are vaccinations required?', answer: 'Yes, we need proof of up-to-date core vaccinations before check-in.' }
+        ]
+    },
+    {
+        id: 'wellness',
+        title: 'Wellness Packages',
+        icon: 'fa-heart-pulse',
+        description: 'Comprehensive health programs including vaccinations and preventive care check-ups',
+        priceRange: [120, 450],
+        duration: 45,
+        capacity: 1,
+        tiers: [
+            { name: 'Essential', price: 120, features: ['Annual check-up', 'Core vaccinations'] },
+            { name: 'Complete', price: 280, features: ['Two check-ups a year', 'All vaccinations', 'Parasite prevention'] },
+            { name: 'Senior Care', price: 450, features: ['Quarterly check-ups', 'Blood work', 'Mobility assessment'] }
+        ],
+        faqs: [
+            { question: 'Can I pay monthly?', answer: 'Yes, all wellness packages can be split into 12 monthly payments.' },
+            { question: 'Which vaccinations are included?', answer: 'Core vaccinations for your pet\'s species, plus lifestyle vaccines in the Complete package.' }
+        ]
+    }
+];
+
+/**
+ * Holds the active services; can be replaced from a JSON URL or extended at runtime
+ */
+class ServiceCatalog {
+    constructor(services) {
+        this.services = [...services];
+        this.listeners = [];
+    }
+
+    async load(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`Could not load services catalog (${response.status})`);
+        }
+        this.services = await response.json();
+        this.notify();
+    }
+
+    get(id) {
+        return this.services.find(service => service.id === id);
+    }
+
+    getAll() {
+        return this.services;
+    }
+
+    add(service) {
+        this.services = [...this.services.filter(s => s.id !== service.id), service];
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+const serviceCatalog = new ServiceCatalog(SERVICES_CATALOG);
+
+/**
+ * Format a service's price range, e.g. "$40 - $120 / night"
+ */
+function formatPriceRange(service) {
+    const [min, max] = service.priceRange || [];
+    if (min === undefined) return '';
+    const format = (value) => i18n.formatCurrency(value, 'USD', { maximumFractionDigits: 0 });
+    const range = max && max !== min ? `${format(min)} - ${format(max)}` : format(min);
+    return service.priceUnit
+        ? i18n.t(`services.per.${service.priceUnit}`, { price: range }, `${range} / ${service.priceUnit}`)
+        : range;
+}
+
+/**
+ * A service with its title, description and link label in the current language
+ */
+function localizeService(service) {
+    return {
+        ...service,
+        title: i18n.t(`services.${service.id}.title`, {}, service.title),
+        description: i18n.t(`services.${service.id}.description`, {}, service.description),
+        link: service.link && {
+            ...service.link,
+            label: i18n.t(`services.${service.id}.link`, {}, service.link.label)
+        }
+    };
+}
+
+/**
+ * Renders the catalog into the services grid, service select and footer list
+ */
+class ServiceCards extends Component {
+    constructor(grid, catalog, reviews = null) {
+        super(grid);
+        this.catalog = catalog;
+        this.reviews = reviews;
+        this.grid = grid;
+        this.select = document.getElementById('service');
+        this.footerList = document.getElementById('footerServices');
+    }
+
+    init() {
+        this.own(this.catalog.subscribe(() => this.render()));
+        this.own(i18n.onChange(() => this.render()));
+        // Ratings are filled in place so cards don't replay their entrance animation
+        if (this.reviews) this.own(this.reviews.subscribe(() => this.renderRatings()));
+
+        this.listen(this.grid, 'click', (e) => {
+            const link = e.target.closest('.service-link');
+            if (link) analytics.track('service_learn_more', { service: link.dataset.service });
+            const quote = e.target.closest('.service-quote');
+            if (quote) analytics.track('quote_start', { service: quote.dataset.service });
+        });
+    }
+
+    render() {
+        const services = this.catalog.getAll().map(localizeService);
+        this.renderGrid(services);
+        if (this.select) this.renderSelect(services);
+        if (this.footerList) this.renderFooter(services);
+    }
+
+    renderGrid(services) {
+        this.grid.innerHTML = '';
+        services.forEach((service, index) => {
+            this.grid.appendChild(this.createCard(service, index));
+        });
+    }
+
+    createCard(service, index) {
+        const card = document.createElement('div');
+        card.className = 'service-card';
+        card.dataset.service = service.id;
+        card.setAttribute('data-aos', 'fade-up');
+        card.setAttribute('data-delay', String((index + 1) * 100));
+        card.innerHTML = `
+            <div class="service-icon">
+                <i class="fas ${service.icon}"></i>
+            </div>
+            <h3></h3>
+            <div class="service-rating" hidden></div>
+            <p></p>
+            <div class="service-meta">
+                <span><i class="fas fa-tag"></i> <span class="service-price"></span></span>
+                <span><i class="far fa-clock"></i> <span class="service-duration"></span></span>
+            </div>
+            <div class="service-actions">
+                <a class="service-link"><span></span> <i class="fas fa-arrow-right"></i></a>
+                <a class="service-quote" hidden><i class="fas fa-calculator" aria-hidden="true"></i> <span></span></a>
+            </div>
+        `;
+        card.querySelector('h3').textContent = service.title;
+        card.querySelector('p').textContent = service.description;
+        card.querySelector('.service-price').textContent = formatPriceRange(service);
+        card.querySelector('.service-duration').textContent = i18n.t('services.minutes', { count: i18n.formatNumber(service.duration) });
+
+        const link = card.querySelector('.service-link');
+        link.href = service.link ? service.link.href : `#/services/${service.id}`;
+        link.dataset.service = service.id;
+        link.querySelector('span').textContent = service.link ? service.link.label : i18n.t('services.learnMore');
+
+        // Services with pricing rules can be estimated in the quote wizard
+        const quote = card.querySelector('.service-quote');
+        quote.hidden = !QUOTE_PRICING.services[service.id];
+        quote.href = `#/quote/${service.id}`;
+        quote.dataset.service = service.id;
+        quote.querySelector('span').textContent = i18n.t('services.quote');
+        this.renderRating(card);
+        return card;
+    }
+
+    renderRatings() {
+        this.grid.querySelectorAll('.service-card').forEach(card => this.renderRating(card));
+    }
+
+    /**
+     * Average of the service's approved reviews, e.g. "★★★★½ 4.5 (12 reviews)"
+     */
+    renderRating(card) {
+        const element = card.querySelector('.service-rating');
+        const { average, count } = this.reviews ? this.reviews.getRating(card.dataset.service) : { count: 0 };
+        element.innerHTML = '';
+        element.hidden = !count;
+        if (!count) return;
+
+        const text = document.createElement('span');
+        text.textContent = `${formatRating(average)} (${i18n.plural('reviews.count', count)})`;
+        element.append(createStars(average), text);
+    }
+
+    renderSelect(services) {
+        const selected = this.select.value;
+        this.select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        services.forEach(service => {
+            const option = document.createElement('option');
+            option.value = service.id;
+            option.textContent = service.title;
+            this.select.appendChild(option);
+        });
+        this.select.value = services.some(s => s.id === selected) ? selected : '';
+    }
+
+    renderFooter(services) {
+        this.footerList.innerHTML = '';
+        services.forEach(service => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = service.link ? service.link.href : '#services';
+            link.textContent = service.title;
+            item.appendChild(link);
+            this.footerList.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Select a service in the contact form and bring the form into view
+ */
+function preselectService(id) {
+    const select = document.getElementById('service');
+    if (select && serviceCatalog.get(id)) {
+        select.value = id;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    smoothScrollTo(document.getElementById('contact'));
+}
+
+/**
+ * Service detail modal shown for #/services/:id
+ */
+class ServiceDetail extends Component {
+    constructor(modal, catalog, router) {
+        super(modal);
+        this.catalog = catalog;
+        this.router = router;
+        this.modal = modal;
+        this.serviceId = null;
+        this.focusTrap = new FocusTrap(this.modal.querySelector('.service-modal-panel'));
+    }
+
+    init() {
+        const route = {
+            enter: (params) => this.open(params.id),
+            leave: () => this.close()
+        };
+        this.router.add('/services/:id', route);
+        this.own(() => this.router.remove(route));
+
+        this.modal.querySelectorAll('[data-service-close]').forEach(element => {
+            this.listen(element, 'click', () => this.router.back('#services'));
+        });
+
+        this.listen(this.modal.querySelector('[data-service-book]'), 'click', () => {
+            const id = this.serviceId;
+            // Replace the detail entry so Back doesn't reopen the modal
+            this.router.navigate('#contact', { replace: true });
+            setActiveNavLink('contact');
+            preselectService(id);
+        });
+
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.modal.classList.contains('active')) {
+                this.router.back('#services');
+            }
+        });
+
+        this.own(i18n.onChange(() => {
+            if (this.serviceId) this.render(this.catalog.get(this.serviceId));
+        }));
+    }
+
+    open(id) {
+        const service = this.catalog.get(id);
+        if (!service) {
+            console.warn(`Unknown service: ${id}`);
+            this.router.navigate('#services', { replace: true });
+            return;
+        }
+
+        this.serviceId = id;
+        this.render(service);
+        setActiveNavLink('services');
+        this.modal.classList.add('active');
+        this.modal.setAttribute('aria-hidden', 'false');
+        scrollLock.lock(this);
+        this.focusTrap.activate();
+    }
+
+    close() {
+        this.serviceId = null;
+        this.modal.classList.remove('active');
+        this.modal.setAttribute('aria-hidden', 'true');
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
+    }
+
+    render(service) {
+        service = localizeService(service);
+        this.modal.querySelector('.service-modal-icon').innerHTML = `<i class="fas ${service.icon}"></i>`;
+        this.modal.querySelector('#serviceModalTitle').textContent = service.title;
+        this.modal.querySelector('.service-modal-description').textContent = service.description;
+        this.modal.querySelector('.service-modal-meta').textContent = i18n.t('services.meta', {
+            price: formatPriceRange(service),
+            duration: i18n.formatNumber(service.duration)
+        });
+
+        const tiers = this.modal.querySelector('.service-tiers');
+        tiers.innerHTML = '';
+        (service.tiers || []).forEach(tier => {
+            const card = document.createElement('div');
+            card.className = 'service-tier';
+            card.innerHTML = '<h4></h4><span class="service-tier-price"></span><ul></ul>';
+            card.querySelector('h4').textContent = tier.name;
+            card.querySelector('.service-tier-price').textContent =
+                formatPriceRange({ priceRange: [tier.price], priceUnit: service.priceUnit });
+            tier.features.forEach(feature => {
+                const item = document.createElement('li');
+                item.textContent = feature;
+                card.querySelector('ul').appendChild(item);
+            });
+            tiers.appendChild(card);
+        });
+
+        const faqs = this.modal.querySelector('.service-faqs');
+        faqs.innerHTML = '';
+        (service.faqs || []).forEach(faq => {
+            const item = document.createElement('details');
+            item.innerHTML = '<summary></summary><p></p>';
+            item.querySelector('summary').textContent = faq.question;
+            item.querySelector('p').textContent = faq.answer;
+            faqs.appendChild(item);
+        });
+        this.modal.querySelector('.service-faqs-section').hidden = !(service.faqs || []).length;
+        this.modal.querySelector('[data-service-book]').textContent = i18n.t('services.book', { service: service.title });
+    }
+}
+
+components.define('services', (element) => {
+    // A data-catalog-src attribute replaces the built-in catalog with a JSON file/API
+    const src = element.dataset.catalogSrc;
+    if (src) {
+        serviceCatalog.load(src).catch(error => {
+            console.error('Services catalog failed to load, using built-in catalog', error);
+        });
+    }
+    return new ServiceCards(element, serviceCatalog, reviewStore);
+});
+
+components.define('service-detail', (element) => new ServiceDetail(element, serviceCatalog, router), {
+    requires: [
+        '.service-modal-panel', '.service-modal-icon', '#serviceModalTitle', '.service-modal-description',
+        '.service-modal-meta', '.service-tiers', '.service-faqs', '.service-faqs-section', '[data-service-book]'
+    ]
+});
+
+// ============================================
+// REVIEWS & TESTIMONIALS
+// ============================================
+
+/**
+ * Submitted reviews start as pending; only approved ones are shown, counted
+ * in ratings or published in structured data
+ */
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Made-up reviews for demos, loaded only when the reviews section has
+ * data-reviews-demo. They're marked as samples, so they can fill the carousel
+ * but are never counted in ratings or published in structured data.
+ */
+const SEED_REVIEWS = [
+    { id: 'seed-1', service: 'grooming', rating: 5, name: 'Sarah M.', date: '2026-05-14', status: 'approved', sample: true, text: 'Bella came home fluffy, calm and smelling amazing. The groomers sent me photos halfway through, which I loved.' },
+    { id: 'seed-2', service: 'veterinary', rating: 5, name: 'David R.', date: '2026-06-02', status: 'approved', sample: true, text: 'Dr. Lee spotted an ear infection two other clinics missed. Clear explanations, fair prices and a follow-up call the next day.' },
+    { id: 'seed-3', service: 'training', rating: 4, name: 'Priya K.', date: '2026-06-21', status: 'approved', sample: true, text: 'Six sessions in and our rescue finally walks on a loose lead. Homework sheets were really helpful.' },
+    { id: 'seed-4', service: 'boarding', rating: 5, name: 'Tom & Ellie', date: '2026-07-09', status: 'approved', sample: true, text: 'Daily photo updates while we were away and Milo clearly had the time of his life. We will not board anywhere else.' },
+    { id: 'seed-5', service: 'wellness', rating: 5, name: 'Laura G.', date: '2026-08-03', status: 'approved', sample: true, text: 'The wellness plan takes the guesswork out of vaccinations and check-ups, and the reminders mean we never miss one.' },
+    { id: 'seed-6', service: 'food', rating: 4, name: 'Omar H.', date: '2026-08-27', status: 'approved', sample: true, text: 'Great advice on switching our senior cat to a kidney-friendly diet. Delivery was quick too.' },
+    { id: 'seed-7', service: 'grooming', rating: 4, name: 'Jenny P.', date: '2026-09-11', status: 'approved', sample: true, text: 'Lovely cut and very patient with our nervous poodle. Running a little behind on the day, but worth the wait.' },
+    { id: 'seed-8', service: 'veterinary', rating: 5, name: 'Marco B.', date: '2026-09-30', status: 'approved', sample: true, text: 'Emergency visit on a Sunday evening and we were seen within minutes. Kind, fast and thorough.' }
+];
+
+/**
+ * Coerce stored, submitted or fetched data into a review, or null if it's incomplete
+ */
+function normalizeReview(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const text = (value, max) => String(value === undefined || value === null ? '' : value).trim().slice(0, max);
+    const rating = Number(data.rating);
+    const review = {
+        id: text(data.id, 64) || createSubmissionId(),
+        service: text(data.service, 40),
+        rating,
+        name: text(data.name, 40),
+        text: text(data.text, 1000),
+        date: parseLocalDate(data.date) ? text(data.date, 10) : toDateInputValue(new Date()),
+        status: REVIEW_STATUSES.includes(data.status) ? data.status : 'pending'
+    };
+    if (data.sample === true) review.sample = true;
+    if (!review.service || !review.name || !review.text) return null;
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) return null;
+    return review;
+}
+
+/**
+ * "4.8" in the current locale
+ */
+function formatRating(value) {
+    return i18n.formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Five star icons for a rating, rounded to the nearest half star
+ */
+function createStars(rating) {
+    const stars = document.createElement('span');
+    stars.className = 'stars';
+    stars.setAttribute('role', 'img');
+    stars.setAttribute('aria-label', i18n.t('reviews.starsLabel', { rating: formatRating(rating) }));
+
+    const halves = Math.round(rating * 2);
+    for (let star = 1; star <= 5; star++) {
+        const icon = document.createElement('i');
+        icon.setAttribute('aria-hidden', 'true');
+        if (halves >= star * 2) icon.className = 'fas fa-star';
+        else if (halves === star * 2 - 1) icon.className = 'fas fa-star-half-stroke';
+        else icon.className = 'far fa-star';
+        stars.appendChild(icon);
+    }
+    return stars;
+}
+
+/**
+ * Reviews kept in localStorage, on top of any seed reviews. Moderation stores
+ * the changed review under the same id.
+ */
+class LocalReviewSource {
+    constructor(storageKey = 'pawscare.reviews', seed = []) {
+        this.storageKey = storageKey;
+        this.seed = seed;
+    }
+
+    readStored() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Could not read stored reviews', error);
+            return [];
+        }
+    }
+
+    async list() {
+        const stored = this.readStored();
+        const ids = new Set(stored.map(review => review.id));
+        return [...this.seed.filter(review => !ids.has(review.id)), ...stored];
+    }
+
+    async submit(review) {
+        localStorage.setItem(this.storageKey, JSON.stringify([...this.readStored(), review]));
+        return review;
+    }
+
+    async moderate(id, status) {
+        const review = (await this.list()).find(item => item.id === id);
+        if (!review) throw new Error(`Unknown review ${id}`);
+
+        const updated = { ...review, status };
+        const stored = this.readStored().filter(item => item.id !== id);
+        localStorage.setItem(this.storageKey, JSON.stringify([...stored, updated]));
+        return updated;
+    }
+}
+
+/**
+ * Reviews served by an HTTP API
+ *
+ * GET   {endpoint}                        -> { reviews: [...] }
+ * POST  {endpoint}       { review }       -> created review
+ * PATCH {endpoint}/:id   { status }       -> updated review (staff session token)
+ */
+class RemoteReviewSource {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint.replace(/\/$/, '');
+        this.sessionKey = options.sessionKey || 'pawscare.adminSession';
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.endpoint}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        });
+        if (!response.ok) throw new Error(`Review request failed (${response.status})`);
+        return response.json();
+    }
+
+    async list() {
+        const data = await this.request('');
+        return data.reviews || [];
+    }
+
+    submit(review) {
+        return this.request('', { method: 'POST', body: JSON.stringify(review) });
+    }
+
+    moderate(id, status) {
+        let session = null;
+        try {
+            session = JSON.parse(sessionStorage.getItem(this.sessionKey));
+        } catch (error) {
+            // Sent without a token; the API answers 401
+        }
+        return this.request(`/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            headers: session ? { Authorization: `Bearer ${session.token}` } : {},
+            body: JSON.stringify({ status })
+        });
+    }
+}
+
+/**
+ * All reviews with their moderation state, plus per-service ratings
+ */
+class ReviewStore {
+    constructor(source) {
+        this.source = source;
+        this.reviews = [];
+        this.listeners = [];
+
+        // Reviews submitted or moderated in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key && e.key === this.source.storageKey) this.load();
+        });
+    }
+
+    setSource(source) {
+        this.source = source;
+        return this.load();
+    }
+
+    async load() {
+        try {
+            this.reviews = (await this.source.list()).map(normalizeReview).filter(Boolean);
+        } catch (error) {
+            console.error('Reviews failed to load', error);
+            this.reviews = [];
+        }
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Approved reviews, newest first, optionally for one service
+     */
+    getApproved(service) {
+        return this.reviews
+            .filter(review => review.status === 'approved' && (!service || review.service === service))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    getPending() {
+        return this.reviews
+            .filter(review => review.status === 'pending')
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * { average, count } of approved real ratings, optionally for one service
+     */
+    getRating(service) {
+        const reviews = this.getApproved(service).filter(review => !review.sample);
+        const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+        return { average: reviews.length ? total / reviews.length : 0, count: reviews.length };
+    }
+
+    async submit(data) {
+        const review = normalizeReview({ ...data, id: createSubmissionId(), date: toDateInputValue(new Date()), status: 'pending' });
+        if (!review) throw new Error('Invalid review');
+
+        const saved = normalizeReview(await this.source.submit(review)) || review;
+        this.reviews = [...this.reviews, saved];
+        this.notify();
+        return saved;
+    }
+
+    async moderate(id, status) {
+        if (!REVIEW_STATUSES.includes(status)) throw new Error(`Unknown review status "${status}"`);
+
+        const updated = normalizeReview(await this.source.moderate(id, status));
+        this.reviews = this.reviews.map(review => (review.id === id && updated ? updated : review));
+        this.notify();
+        return updated;
+    }
+}
+
+const reviewStore = new ReviewStore(new LocalReviewSource());
+
+/**
+ * schema.org LocalBusiness with AggregateRating overall and per service,
+ * plus the latest reviews. Only approved reviews are included, never samples.
+ */
+function buildReviewSchema(store, catalog) {
+    const aggregate = ({ average, count }) => ({
+        '@type': 'AggregateRating',
+        ratingValue: Math.round(average * 10) / 10,
+        reviewCount: count,
+        bestRating: 5,
+        worstRating: 1
+    });
+
+    const overall = store.getRating();
+    const schema = {
+        '@context': 'https://schema.org',
+        '@type': 'LocalBusiness',
+        name: 'PawsCare',
+        url: location.origin + location.pathname,
+        telephone: '+1-555-123-4567',
+        address: {
+            '@type': 'PostalAddress',
+            streetAddress: '123 Pet Street',
+            addressLocality: 'Animal City',
+            addressRegion: 'AC',
+            postalCode: '12345'
+        }
+    };
+    if (!overall.count) return schema;
+
+    schema.aggregateRating = aggregate(overall);
+    schema.makesOffer = catalog.getAll()
+        .map(service => ({ service: localizeService(service), rating: store.getRating(service.id) }))
+        .filter(({ rating }) => rating.count)
+        .map(({ service, rating }) => ({
+            '@type': 'Offer',
+            itemOffered: { '@type': 'Service', name: service.title, aggregateRating: aggregate(rating) }
+        }));
+    schema.review = store.getApproved().filter(review => !review.sample).slice(0, 5).map(review => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: review.name },
+        datePublished: review.date,
+        reviewBody: review.text,
+        reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 }
+    }));
+    return schema;
+}
+
+/**
+ * Reviews section: overall rating summary and the JSON-LD for search engines
+ */
+class ReviewsSection extends Component {
+    constructor(element, store, catalog) {
+        super(element);
+        this.store = store;
+        this.catalog = catalog;
+        this.summary = element.querySelector('#reviewsSummary');
+        this.schemaScript = null;
+    }
+
+    init() {
+        this.schemaScript = document.createElement('script');
+        this.schemaScript.type = 'application/ld+json';
+        this.schemaScript.id = 'reviewsSchema';
+        document.head.appendChild(this.schemaScript);
+        this.own(() => this.schemaScript.remove());
+
+        this.own(this.store.subscribe(() => this.render()));
+        this.own(this.catalog.subscribe(() => this.renderSchema()));
+        this.own(i18n.onChange(() => this.render()));
+    }
+
+    render() {
+        const { average, count } = this.store.getRating();
+        this.summary.innerHTML = '';
+        this.summary.hidden = !count;
+        if (count) {
+            const score = document.createElement('span');
+            score.className = 'reviews-score';
+            score.textContent = formatRating(average);
+            const total = document.createElement('span');
+            total.className = 'reviews-count';
+            total.textContent = i18n.plural('reviews.basedOn', count);
+            this.summary.append(score, createStars(average), total);
+        }
+        this.renderSchema();
+    }
+
+    renderSchema() {
+        this.schemaScript.textContent = JSON.stringify(buildReviewSchema(this.store, this.catalog));
+    }
+}
+
+/**
+ * Rotating testimonials from the best recent reviews. Arrow keys and swipes
+ * move between slides; autoplay stops on hover or focus, with the pause
+ * button and under prefers-reduced-motion.
+ */
+class TestimonialCarousel extends Component {
+    constructor(element, store, options = {}) {
+        super(element);
+        this.store = store;
+        this.interval = options.interval || 7000;
+        this.limit = options.limit || 8;
+        this.track = element.querySelector('.testimonial-track');
+        this.dots = element.querySelector('.testimonial-dots');
+        this.toggleButton = element.querySelector('[data-carousel-toggle]');
+        this.reviews = [];
+        this.index = 0;
+        this.paused = false;
+        this.hovered = false;
+        this.timer = null;
+        this.swipe = null;
+    }
+
+    init() {
+        this.listen(this.element.querySelector('[data-carousel-prev]'), 'click', () => this.show(this.index - 1));
+        this.listen(this.element.querySelector('[data-carousel-next]'), 'click', () => this.show(this.index + 1));
+        this.listen(this.toggleButton, 'click', () => this.setPaused(!this.paused));
+        this.listen(this.dots, 'click', (e) => {
+            const dot = e.target.closest('[data-slide]');
+            if (dot) this.show(Number(dot.dataset.slide));
+        });
+
+        this.listen(this.element, 'keydown', (e) => {
+            if (e.target.closest('.testimonial-dots') && !['ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+            // Left/right follow the reading direction
+            const step = document.documentElement.dir === 'rtl' ? -1 : 1;
+            if (e.key === 'ArrowRight') this.show(this.index + step);
+            else if (e.key === 'ArrowLeft') this.show(this.index - step);
+            else if (e.key === 'Home') this.show(0);
+            else if (e.key === 'End') this.show(this.reviews.length - 1);
+            else return;
+            e.preventDefault();
+        });
+
+        this.listen(this.track, 'pointerdown', (e) => {
+            this.swipe = { x: e.clientX, y: e.clientY };
+        });
+        this.listen(this.track, 'pointerup', (e) => {
+            if (!this.swipe) return;
+            const dx = e.clientX - this.swipe.x;
+            const dy = e.clientY - this.swipe.y;
+            this.swipe = null;
+            if (Math.abs(dx) < 50 || Math.abs(dx) < Math.abs(dy)) return;
+            const forward = document.documentElement.dir === 'rtl' ? dx > 0 : dx < 0;
+            this.show(this.index + (forward ? 1 : -1));
+        });
+        this.listen(this.track, 'pointercancel', () => {
+            this.swipe = null;
+        });
+
+        // Hovering or focusing a slide stops it moving away from the reader
+        this.listen(this.element, 'mouseenter', () => this.setHovered(true));
+        this.listen(this.element, 'mouseleave', () => this.setHovered(false));
+        this.listen(this.element, 'focusin', () => this.setHovered(true));
+        this.listen(this.element, 'focusout', (e) => {
+            if (!this.element.contains(e.relatedTarget)) this.setHovered(false);
+        });
+
+        this.paused = animations.prefersReducedMotion();
+        this.own(this.store.subscribe(() => this.render()));
+        this.own(i18n.onChange(() => this.render()));
+        this.own(() => clearInterval(this.timer));
+    }
+
+    render() {
+        this.reviews = this.store.getApproved().filter(review => review.rating >= 4).slice(0, this.limit);
+        this.element.hidden = !this.reviews.length;
+        this.track.innerHTML = '';
+        this.dots.innerHTML = '';
+
+        this.reviews.forEach((review, index) => {
+            const service = serviceCatalog.get(review.service);
+            const slide = document.createElement('figure');
+            slide.className = 'testimonial';
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', i18n.t('reviews.slide'));
+            slide.setAttribute('aria-label', i18n.t('reviews.slideLabel', {
+                index: i18n.formatNumber(index + 1),
+                total: i18n.formatNumber(this.reviews.length)
+            }));
+            slide.innerHTML = `
+                <blockquote class="testimonial-text"></blockquote>
+                <figcaption class="testimonial-author">
+                    <strong></strong>
+                    <span class="testimonial-meta"></span>
+                </figcaption>
+            `;
+            slide.prepend(createStars(review.rating));
+            slide.querySelector('blockquote').textContent = review.text;
+            slide.querySelector('strong').textContent = review.name;
+            slide.querySelector('.testimonial-meta').textContent = [
+                service ? localizeService(service).title : '',
+                i18n.formatDate(parseLocalDate(review.date), { year: 'numeric', month: 'long' })
+            ].filter(Boolean).join(' · ');
+            this.track.appendChild(slide);
+
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'testimonial-dot';
+            dot.dataset.slide = index;
+            dot.setAttribute('aria-label', i18n.t('reviews.showSlide', { index: i18n.formatNumber(index + 1) }));
+            this.dots.appendChild(dot);
+        });
+
+        this.show(Math.min(this.index, Math.max(0, this.reviews.length - 1)), false);
+        this.renderToggle();
+        this.schedule();
+    }
+
+    /**
+     * Go to slide `index` (wrapping around). Moves focus along when it was on a dot.
+     */
+    show(index, moveFocus = true) {
+        const count = this.reviews.length;
+        if (!count) return;
+        this.index = (index + count) % count;
+
+        // translateX is physical, so RTL slides move the other way
+        const direction = document.documentElement.dir === 'rtl' ? 1 : -1;
+        this.track.style.transform = `translateX(${direction * this.index * 100}%)`;
+        [...this.track.children].forEach((slide, i) => {
+            const active = i === this.index;
+            slide.setAttribute('aria-hidden', String(!active));
+            slide.inert = !active;
+        });
+        [...this.dots.children].forEach((dot, i) => {
+            dot.setAttribute('aria-current', String(i === this.index));
+        });
+        if (moveFocus && this.dots.contains(document.activeElement)) this.dots.children[this.index].focus();
+        this.schedule();
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.renderToggle();
+        this.schedule();
+    }
+
+    setHovered(hovered) {
+        this.hovered = hovered;
+        this.schedule();
+    }
+
+    renderToggle() {
+        this.toggleButton.hidden = this.reviews.length < 2;
+        this.toggleButton.setAttribute('aria-label', i18n.t(this.paused ? 'reviews.play' : 'reviews.pause'));
+        this.toggleButton.querySelector('i').className = `fas ${this.paused ? 'fa-play' : 'fa-pause'}`;
+    }
+
+    /**
+     * (Re)start the autoplay timer. While it runs, slide changes aren't announced.
+     */
+    schedule() {
+        clearInterval(this.timer);
+        const playing = !this.paused && !this.hovered && this.reviews.length > 1;
+        this.track.setAttribute('aria-live', playing ? 'off' : 'polite');
+        if (!playing) return;
+        this.timer = setInterval(() => {
+            if (!document.hidden) this.show(this.index + 1, false);
+        }, this.interval);
+    }
+}
+
+/**
+ * "Write a review" form. Reviews wait for staff approval before appearing.
+ */
+class ReviewForm extends Component {
+    constructor(form, store, catalog) {
+        super(form);
+        this.form = form;
+        this.store = store;
+        this.catalog = catalog;
+        this.serviceSelect = form.querySelector('[name="service"]');
+        this.message = form.querySelector('.form-message');
+        this.messageTimer = null;
+        this.validator = null;
+    }
+
+    init() {
+        this.validator = new FormValidator(this.form, {
+            onSubmit: (data) => this.submit(data)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
+        this.own(() => clearTimeout(this.messageTimer));
+
+        this.own(this.catalog.subscribe(() => this.renderServices()));
+        this.own(i18n.onChange(() => this.renderServices()));
+    }
+
+    renderServices() {
+        const selected = this.serviceSelect.value;
+        this.serviceSelect.innerHTML = '';
+        this.serviceSelect.appendChild(new Option(i18n.t('reviews.selectService'), ''));
+        this.catalog.getAll().map(localizeService).forEach(service => {
+            this.serviceSelect.appendChild(new Option(service.title, service.id));
+        });
+        this.serviceSelect.value = selected;
+    }
+
+    async submit(data) {
+        try {
+            await this.store.submit({ service: data.service, rating: Number(data.rating), name: data.name, text: data.text });
+            analytics.track('form_submit', { form: 'review', status: 'pending', service: data.service, rating: Number(data.rating) });
+            this.showMessage(i18n.t('reviews.thanks'), 'success');
+            this.validator.reset();
+        } catch (error) {
+            console.error('Review submission failed', error);
+            this.showMessage(i18n.t('reviews.failed'), 'error');
+        }
+    }
+
+    showMessage(text, type) {
+        clearTimeout(this.messageTimer);
+        this.message.textContent = text;
+        this.message.classList.remove('success', 'error');
+        this.message.classList.add(type);
+        this.messageTimer = setTimeout(() => {
+            this.message.textContent = '';
+            this.message.classList.remove(type);
+        }, 8000);
+    }
+}
+
+/**
+ * Pending reviews in the staff dashboard, approved or rejected one by one
+ */
+class ReviewModeration extends Component {
+    constructor(element, store) {
+        super(element);
+        this.store = store;
+        this.list = element.querySelector('#adminReviewList');
+        this.title = element.querySelector('#adminReviewsTitle');
+    }
+
+    init() {
+        this.listen(this.list, 'click', (e) => {
+            const button = e.target.closest('[data-review-status]');
+            if (button) this.moderate(button.closest('[data-review-id]').dataset.reviewId, button.dataset.reviewStatus);
+        });
+        this.own(this.store.subscribe(() => this.render()));
+        this.own(i18n.onChange(() => this.render()));
+    }
+
+    render() {
+        const pending = this.store.getPending();
+        this.title.textContent = i18n.plural('reviews.pending', pending.length);
+        this.list.innerHTML = '';
+
+        pending.forEach(review => {
+            const service = serviceCatalog.get(review.service);
+            const item = document.createElement('li');
+            item.className = 'admin-review';
+            item.dataset.reviewId = review.id;
+            item.innerHTML = `
+                <div class="admin-review-header">
+                    <strong></strong>
+                    <span class="admin-review-meta"></span>
+                </div>
+                <p class="admin-review-text"></p>
+                <div class="admin-review-actions">
+                    <button type="button" class="pet-card-button" data-review-status="approved"></button>
+                    <button type="button" class="pet-card-button pet-card-delete" data-review-status="rejected"></button>
+                </div>
+            `;
+            item.querySelector('.admin-review-header').insertBefore(createStars(review.rating), item.querySelector('.admin-review-meta'));
+            item.querySelector('strong').textContent = review.name;
+            item.querySelector('.admin-review-meta').textContent = [
+                service ? localizeService(service).title : review.service,
+                i18n.formatDate(parseLocalDate(review.date), { dateStyle: 'medium' })
+            ].join(' · ');
+            item.querySelector('.admin-review-text').textContent = review.text;
+            const approve = item.querySelector('[data-review-status="approved"]');
+            approve.textContent = i18n.t('reviews.approve');
+            approve.setAttribute('aria-label', i18n.t('reviews.approveNamed', { name: review.name }));
+            const reject = item.querySelector('[data-review-status="rejected"]');
+            reject.textContent = i18n.t('reviews.reject');
+            reject.setAttribute('aria-label', i18n.t('reviews.rejectNamed', { name: review.name }));
+            this.list.appendChild(item);
+        });
+    }
+
+    async moderate(id, status) {
+        try {
+            await this.store.moderate(id, status);
+        } catch (error) {
+            console.error('Review moderation failed', error);
+            this.title.textContent = i18n.t('admin.updateFailed');
+            return;
+        }
+        // Keep focus in the list after the moderated item disappears
+        const next = this.list.querySelector('[data-review-status]');
+        (next || this.title).focus();
+    }
+}
+
+components.define('reviews', (element) => {
+    // A data-reviews-endpoint attribute loads and submits reviews through an API;
+    // data-reviews-demo adds the sample reviews to the local store
+    const endpoint = element.dataset.reviewsEndpoint;
+    if (endpoint) reviewStore.setSource(new RemoteReviewSource(endpoint));
+    else if ('reviewsDemo' in element.dataset) reviewStore.setSource(new LocalReviewSource(undefined, SEED_REVIEWS));
+    else reviewStore.load();
+    return new ReviewsSection(element, reviewStore, serviceCatalog);
+}, { requires: ['#reviewsSummary'] });
+components.define('testimonials', (element) => new TestimonialCarousel(element, reviewStore, {
+    interval: Number(element.dataset.interval) || undefined
+}), {
+    requires: ['.testimonial-track', '.testimonial-dots', '[data-carousel-prev]', '[data-carousel-next]', '[data-carousel-toggle]']
+});
+components.define('review-form', (element) => new ReviewForm(element, reviewStore, serviceCatalog), {
+    requires: ['[name="service"]', '.form-message']
+});
+components.define('review-moderation', (element) => new ReviewModeration(element, reviewStore), {
+    requires: ['#adminReviewList', '#adminReviewsTitle']
+});
+
+// ============================================
+// APPOINTMENT BOOKING
+// ============================================
+
+/**
+ * Opening hours per weekday (0 = Sunday). Booking slots, the chat bot and the
+ * hours shown on the page all come from here.
+ */
+const BUSINESS_HOURS = {
+    0: ['10:00', '16:00'],
+    1: ['08:00', '18:00'],
+    2: ['08:00', '18:00'],
+    3: ['08:00', '18:00'],
+    4: ['08:00', '18:00'],
+    5: ['08:00', '18:00'],
+    6: ['09:00', '17:00']
+};
+
+/**
+ * Slot settings; per-service duration and capacity come from the catalog
+ */
+const BOOKING_CONFIG = {
+    slotInterval: 30,
+    bookingWindowDays: 60
+};
+
+/**
+ * Raised when a requested slot is no longer available
+ */
+class BookingConflictError extends Error {
+    constructor(message = i18n.t('booking.conflict')) {
+        super(message);
+        this.name = 'BookingConflictError';
+    }
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ */
+function parseLocalDate(value) {
+    const [year, month, day] = String(value).split('-').map(Number);
+    if (!year || !month || !day) return null;
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ */
+function toDateInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+function minutesToTime(total) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+}
+
+/**
+ * Format "HH:MM" as a localized time of day, e.g. "2:30 PM"
+ */
+function formatSlotTime(time) {
+    const minutes = timeToMinutes(time);
+    const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+    return i18n.formatDate(date, { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Opening hours with days that share hours grouped, one line per group, e.g.
+ * ["Monday–Friday: 8:00 AM–6:00 PM", "Saturday: 9:00 AM–5:00 PM", ...]
+ */
+function listBusinessHours(hours = BUSINESS_HOURS) {
+    // 7 January 2024 was a Sunday
+    const dayName = (day) => i18n.formatDate(new Date(2024, 0, 7 + day), { weekday: 'long' });
+    const groups = [];
+    [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+        const range = hours[day] ? hours[day].join('-') : null;
+        const last = groups[groups.length - 1];
+        if (last && last.range === range) {
+            last.to = day;
+        } else {
+            groups.push({ from: day, to: day, range });
+        }
+    });
+
+    return groups.filter(group => group.range).map(group => {
+        const [open, close] = hours[group.from];
+        return i18n.t('hours.days', {
+            days: group.from === group.to ? dayName(group.from) : `${dayName(group.from)}–${dayName(group.to)}`,
+            open: formatSlotTime(open),
+            close: formatSlotTime(close)
+        });
+    });
+}
+
+/**
+ * Opening hours as one line, for the chat bot
+ */
+function describeBusinessHours(hours = BUSINESS_HOURS) {
+    return listBusinessHours(hours).join('; ');
+}
+
+/**
+ * Opening hours on the page (contact details, footer), redrawn in the
+ * current language
+ */
+class BusinessHoursList extends Component {
+    init() {
+        this.render();
+        this.own(i18n.onChange(() => this.render()));
+    }
+
+    render() {
+        this.element.innerHTML = '';
+        listBusinessHours().forEach(line => {
+            const item = document.createElement('p');
+            item.textContent = line;
+            this.element.appendChild(item);
+        });
+    }
+}
+
+components.define('business-hours', (element) => new BusinessHoursList(element));
+
+/**
+ * Build the slot list for a service/date from existing bookings
+ */
+function generateSlots(service, date, bookings, now = new Date()) {
+    const rules = serviceCatalog.get(service);
+    const day = parseLocalDate(date);
+    if (!rules || !day) return [];
+
+    const hours = BUSINESS_HOURS[day.getDay()];
+    if (!hours) return [];
+
+    const isToday = toDateInputValue(now) === date;
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const open = timeToMinutes(hours[0]);
+    const close = timeToMinutes(hours[1]);
+    const slots = [];
+
+    for (let start = open; start + rules.duration <= close; start += BOOKING_CONFIG.slotInterval) {
+        const end = start + rules.duration;
+        const overlapping = bookings.filter(booking => {
+            const bookingStart = timeToMinutes(booking.time);
+            const bookingEnd = bookingStart + (booking.duration || rules.duration);
+            return start < bookingEnd && bookingStart < end;
+        }).length;
+
+        slots.push({
+            time: minutesToTime(start),
+            available: overlapping < rules.capacity && !(isToday && start <= nowMinutes)
+        });
+    }
+
+    return slots;
+}
+
+/**
+ * Generate a human-friendly reference, e.g. PC-7K2QXD
+ */
+function createBookingReference(prefix = 'PC') {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 6; i++) {
+        code += alphabet[Math.floor(Math.random() * alphabet.length)];
+    }
+    return `${prefix}-${code}`;
+}
+
+/**
+ * Slot data source backed by localStorage
+ */
+class LocalBookingSource {
+    constructor(storageKey = 'pawscare.bookings') {
+        this.storageKey = storageKey;
+    }
+
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Could not read stored bookings', error);
+            return [];
+        }
+    }
+
+    writeAll(bookings) {
+        localStorage.setItem(this.storageKey, JSON.stringify(bookings));
+    }
+
+    async getAvailability(service, date) {
+        const bookings = this.readAll().filter(b => b.service === service && b.date === date);
+        return generateSlots(service, date, bookings);
+    }
+
+    async reserve(request) {
+        const slots = await this.getAvailability(request.service, request.date);
+        const slot = slots.find(s => s.time === request.time);
+        if (!slot || !slot.available) {
+            throw new BookingConflictError();
+        }
+
+        const booking = {
+            ...request,
+            duration: serviceCatalog.get(request.service).duration,
+            reference: createBookingReference(),
+            createdAt: new Date().toISOString()
+        };
+        this.writeAll([...this.readAll(), booking]);
+        return booking;
+    }
+
+    async cancel(reference) {
+        this.writeAll(this.readAll().filter(b => b.reference !== reference));
+    }
+}
+
+/**
+ * Slot data source backed by an HTTP API (or a local mock server)
+ *
+ * GET    {endpoint}/availability?service=&date=  -> { slots: [{ time, available }] }
+ * POST   {endpoint}/bookings                      -> 201 booking | 409 conflict
+ * DELETE {endpoint}/bookings/:reference           -> 204
+ */
+class RemoteBookingSource {
+    constructor(endpoint) {
+        this.endpoint = endpoint.replace(/\/$/, '');
+    }
+
+    async getAvailability(service, date) {
+        const params = new URLSearchParams({ service, date });
+        const response = await fetch(`${this.endpoint}/availability?${params}`);
+        if (!response.ok) {
+            throw new Error(`Availability request failed (${response.status})`);
+        }
+        const data = await response.json();
+        return data.slots || [];
+    }
+
+    async reserve(request) {
+        const response = await fetch(`${this.endpoint}/bookings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        if (response.status === 409) {
+            throw new BookingConflictError();
+        }
+        if (!response.ok) {
+            throw new Error(`Booking request failed (${response.status})`);
+        }
+        return response.json();
+    }
+
+    async cancel(reference) {
+        const response = await fetch(`${this.endpoint}/bookings/${encodeURIComponent(reference)}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Booking cancellation failed (${response.status})`);
+        }
+    }
+}
+
+/**
+ * Date and time slot picker inside the contact form
+ */
+class BookingManager extends Component {
+    constructor(form, source) {
+        super(form);
+        this.form = form;
+        this.source = source;
+        this.serviceInput = form.querySelector('[name="service"]');
+        this.dateInput = form.querySelector('[name="bookingDate"]');
+        this.timeInput = form.querySelector('[name="bookingTime"]');
+        this.slotPicker = document.getElementById('slotPicker');
+        this.requestId = 0;
+    }
+
+    init() {
+        const today = new Date();
+        const lastDay = new Date(today);
+        lastDay.setDate(today.getDate() + BOOKING_CONFIG.bookingWindowDays);
+        this.dateInput.min = toDateInputValue(today);
+        this.dateInput.max = toDateInputValue(lastDay);
+
+        this.listen(this.serviceInput, 'change', () => this.loadSlots());
+        this.listen(this.dateInput, 'change', () => this.loadSlots());
+
+        this.listen(this.slotPicker, 'click', (e) => {
+            const slot = e.target.closest('.slot');
+            if (slot && !slot.disabled) {
+                this.selectSlot(slot.dataset.time);
+            }
+        });
+
+        this.renderHint('booking.hint');
+
+        // Re-render hints and slot times in the new language
+        this.own(i18n.onChange(() => {
+            if (this.slots) {
+                this.renderSlots(this.slots);
+                this.markSelected(this.timeInput.value);
+            } else {
+                this.renderHint(this.hintKey);
+            }
+        }));
+    }
+
+    destroy() {
+        super.destroy();
+        // Ignore availability responses still in flight
+        this.requestId++;
+    }
+
+    isRequested() {
+        return Boolean(this.dateInput.value);
+    }
+
+    async loadSlots() {
+        const service = this.serviceInput.value;
+        const date = this.dateInput.value;
+        this.timeInput.value = '';
+
+        if (!service || !date) {
+            this.renderHint('booking.hint');
+            return;
+        }
+
+        const requestId = ++this.requestId;
+        this.renderHint('booking.loading');
+
+        try {
+            const slots = await this.source.getAvailability(service, date);
+            // Ignore responses for a service/date the user has already changed
+            if (requestId !== this.requestId) return;
+            this.renderSlots(slots);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Could not load availability', error);
+            this.renderHint('booking.error');
+        }
+    }
+
+    renderHint(key) {
+        this.hintKey = key;
+        this.slots = null;
+        this.slotPicker.innerHTML = '';
+        const hint = document.createElement('p');
+        hint.className = 'slot-hint';
+        hint.textContent = i18n.t(key);
+        this.slotPicker.appendChild(hint);
+    }
+
+    renderSlots(slots) {
+        if (!slots.some(slot => slot.available)) {
+            this.renderHint('booking.none');
+            return;
+        }
+
+        this.slots = slots;
+        this.slotPicker.innerHTML = '';
+        slots.forEach(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'slot';
+            button.dataset.time = slot.time;
+            button.disabled = !slot.available;
+            button.textContent = formatSlotTime(slot.time);
+            button.setAttribute('aria-pressed', 'false');
+            this.slotPicker.appendChild(button);
+        });
+    }
+
+    selectSlot(time) {
+        this.timeInput.value = time;
+        // Lets live validation clear a "choose a time slot" error
+        this.timeInput.dispatchEvent(new Event('input', { bubbles: true }));
+        this.markSelected(time);
+    }
+
+    markSelected(time) {
+        this.slotPicker.querySelectorAll('.slot').forEach(slot => {
+            const selected = slot.dataset.time === time;
+            slot.classList.toggle('selected', selected);
+            slot.setAttribute('aria-pressed', String(selected));
+        });
+    }
+
+    async reserve(details) {
+        return this.source.reserve({
+            service: details.service,
+            date: this.dateInput.value,
+            time: this.timeInput.value,
+            name: details.name,
+            email: details.email,
+            phone: details.phone
+        });
+    }
+
+    /**
+     * Release a reservation whose request could not be sent, so the slot can
+     * be booked again
+     */
+    async cancel(booking) {
+        try {
+            await this.source.cancel(booking.reference);
+        } catch (error) {
+            console.warn(`Could not release booking ${booking.reference}`, error);
+        }
+    }
+
+    describe(booking) {
+        const service = serviceCatalog.get(booking.service);
+        return i18n.t('booking.summary', {
+            service: service ? localizeService(service).title : booking.service,
+            date: i18n.formatDate(parseLocalDate(booking.date), { weekday: 'short', month: 'short', day: 'numeric' }),
+            time: formatSlotTime(booking.time)
+        });
+    }
+
+    reset() {
+        this.requestId++;
+        this.timeInput.value = '';
+        this.renderHint('booking.hint');
+    }
+}
+
+// ============================================
+// FORM SUBMISSION TRANSPORT
+// ============================================
+
+/**
+ * Raised when the server rejects a submission (not retried)
+ */
+class SubmissionError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+    }
+}
+
+/**
+ * Create a unique id used as an idempotency key for a submission
+ */
+function createSubmissionId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * POSTs submissions as JSON to a configurable endpoint
+ */
+class FetchTransport {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    async send(submission) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': submission.id
+            },
+            body: JSON.stringify(submission)
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new SubmissionError(body.message || `Submission failed (${response.status})`, response.status);
+        }
+        return body;
+    }
+}
+
+/**
+ * Stand-in transport used when no endpoint is configured; keeps a local copy
+ */
+class MockTransport {
+    constructor(storageKey = 'pawscare.inquiries', latency = 500) {
+        this.storageKey = storageKey;
+        this.latency = latency;
+    }
+
+    async send(submission) {
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+
+        let inquiries = [];
+        try {
+            inquiries = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Could not read stored inquiries', error);
+        }
+        if (!inquiries.some(inquiry => inquiry.id === submission.id)) {
+            inquiries.push(submission);
+            localStorage.setItem(this.storageKey, JSON.stringify(inquiries));
+        }
+        return { id: submission.id };
+    }
+}
+
+/**
+ * Network failures, timeouts, rate limits and server errors are worth retrying
+ */
+function isRetryableError(error) {
+    if (!(error instanceof SubmissionError)) return true;
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Persistent queue of submissions that retries with exponential backoff
+ */
+class SubmissionQueue {
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.storageKey = options.storageKey || 'pawscare.outbox';
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+        this.onDelivered = options.onDelivered || (() => {});
+        this.timer = null;
+        this.flushing = false;
+        this.abortController = new AbortController();
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.flush(), { signal: this.abortController.signal });
+        // Deliver anything left over from a previous visit
+        if (this.read().length) this.scheduleRetry(0);
+    }
+
+    /**
+     * Stop retrying; queued submissions stay stored for the next visit
+     */
+    destroy() {
+        this.abortController.abort();
+        clearTimeout(this.timer);
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Could not read submission queue', error);
+            return [];
+        }
+    }
+
+    write(entries) {
+        localStorage.setItem(this.storageKey, JSON.stringify(entries));
+    }
+
+    enqueue(submission) {
+        const entries = this.read();
+        if (!entries.some(entry => entry.submission.id === submission.id)) {
+            entries.push({ submission, attempts: 0 });
+            this.write(entries);
+        }
+        this.scheduleRetry();
+    }
+
+    async flush() {
+        if (this.flushing) return;
+        if (!navigator.onLine) return;
+
+        clearTimeout(this.timer);
+        this.flushing = true;
+
+        for (const entry of this.read()) {
+            try {
+                await this.transport.send(entry.submission);
+                this.remove(entry.submission.id);
+                this.onDelivered(entry.submission);
+            } catch (error) {
+                if (isRetryableError(error)) {
+                    this.update(entry.submission.id, { attempts: entry.attempts + 1 });
+                } else {
+                    // The server will never accept this one; drop it rather than retry forever
+                    console.error('Queued submission rejected', error);
+                    this.remove(entry.submission.id);
+                }
+            }
+        }
+
+        this.flushing = false;
+        if (this.read().length) this.scheduleRetry();
+    }
+
+    remove(id) {
+        this.write(this.read().filter(entry => entry.submission.id !== id));
+    }
+
+    update(id, changes) {
+        this.write(this.read().map(entry => (
+            entry.submission.id === id ? { ...entry, ...changes } : entry
+        )));
+    }
+
+    scheduleRetry(delay) {
+        clearTimeout(this.timer);
+        if (delay === undefined) {
+            const attempts = Math.min(...this.read().map(entry => entry.attempts), 10);
+            const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** attempts);
+            // Jitter so several open tabs don't retry in lockstep
+            delay = backoff / 2 + Math.random() * backoff / 2;
+        }
+        this.timer = setTimeout(() => this.flush(), delay);
+    }
+}
+
+/**
+ * Sends form submissions, falling back to the queue when offline or failing
+ */
+class FormSubmitter {
+    constructor(transport, queue) {
+        this.transport = transport;
+        this.queue = queue;
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Resolves to { status: 'sent' | 'queued', submission }
+     */
+    submit(data) {
+        // Identical payloads in flight (e.g. a double-click) share one request
+        const fingerprint = JSON.stringify(data);
+        if (this.inFlight.has(fingerprint)) {
+            return this.inFlight.get(fingerprint);
+        }
+
+        const submission = { ...data, id: createSubmissionId(), submittedAt: new Date().toISOString() };
+        const request = this.send(submission).finally(() => this.inFlight.delete(fingerprint));
+        this.inFlight.set(fingerprint, request);
+        return request;
+    }
+
+    async send(submission) {
+        if (!navigator.onLine) {
+            this.queue.enqueue(submission);
+            return { status: 'queued', submission };
+        }
+
+        try {
+            await this.transport.send(submission);
+            return { status: 'sent', submission };
+        } catch (error) {
+            if (!isRetryableError(error)) throw error;
+            console.warn('Submission failed, queued for retry', error);
+            this.queue.enqueue(submission);
+            return { status: 'queued', submission };
+        }
+    }
+}
+
+// ============================================
+// FORM VALIDATION & SUBMISSION
+// ============================================
+
+/**
+ * Validation messages per locale.
+ * {field} is replaced with the field label, {0}, {1}... with rule parameters.
+ */
+const VALIDATION_MESSAGES = {
+    en: {
+        required: '{field} is required',
+        requiredWith: '{field} is required',
+        requiredIf: '{field} is required',
+        min: '{field} must be at least {0} characters',
+        max: '{field} must be at most {0} characters',
+        email: 'Please enter a valid email address',
+        tel: 'Please enter a valid phone number',
+        telCountry: 'Please enter a valid {0} phone number, e.g. {1}',
+        number: '{field} must be a number',
+        pattern: '{field} is not in the expected format',
+        in: 'Please choose a valid option',
+        same: '{field} must match {0}',
+        date: 'Please enter a valid date',
+        between: '{field} must be between {0} and {1}',
+        dateMin: 'Please choose a date on or after {0}',
+        dateMax: 'Please choose a date on or before {0}',
+        invalid: '{field} is invalid'
+    },
+    es: {
+        required: '{field} es obligatorio',
+        requiredWith: '{field} es obligatorio',
+        requiredIf: '{field} es obligatorio',
+        min: '{field} debe tener al menos {0} caracteres',
+        max: '{field} debe tener como máximo {0} caracteres',
+        email: 'Introduce un correo electrónico válido',
+        tel: 'Introduce un número de teléfono válido',
+        telCountry: 'Introduce un número de teléfono válido de {0}, p. ej. {1}',
+        number: '{field} debe ser un número',
+        pattern: '{field} no tiene el formato esperado',
+        in: 'Elige una opción válida',
+        same: '{field} debe coincidir con {0}',
+        date: 'Introduce una fecha válida',
+        between: '{field} debe estar entre {0} y {1}',
+        dateMin: 'Elige una fecha a partir del {0}',
+        dateMax: 'Elige una fecha hasta el {0}',
+        invalid: '{field} no es válido'
+    },
+    ar: {
+        required: '{field} مطلوب',
+        requiredWith: '{field} مطلوب',
+        requiredIf: '{field} مطلوب',
+        min: 'يجب ألا يقل {field} عن {0} أحرف',
+        max: 'يجب ألا يزيد {field} عن {0} حرفًا',
+        email: 'يرجى إدخال بريد إلكتروني صحيح',
+        tel: 'يرجى إدخال رقم هاتف صحيح',
+        telCountry: 'يرجى إدخال رقم هاتف صحيح في {0}، مثل {1}',
+        number: 'يجب أن يكون {field} رقمًا',
+        pattern: '{field} ليس بالتنسيق المتوقع',
+        in: 'يرجى اختيار خيار صحيح',
+        same: 'يجب أن يطابق {field} {0}',
+        date: 'يرجى إدخال تاريخ صحيح',
+        between: 'يجب أن يكون {field} بين {0} و{1}',
+        dateMin: 'يرجى اختيار تاريخ في {0} أو بعده',
+        dateMax: 'يرجى اختيار تاريخ في {0} أو قبله',
+        invalid: '{field} غير صالح'
+    }
+};
+
+/**
+ * Phone number formats per country. `pattern` matches the national number
+ * with spaces, dashes, dots and brackets removed; `dial` is the calling code.
+ */
+const PHONE_COUNTRIES = {
+    US: { dial: '1', pattern: /^[2-9]\d{9}$/, example: '(555) 123-4567' },
+    GB: { dial: '44', pattern: /^0?[1-9]\d{9}$/, example: '07700 900123' },
+    ES: { dial: '34', pattern: /^[6-9]\d{8}$/, example: '612 345 678' },
+    MX: { dial: '52', pattern: /^\d{10}$/, example: '55 1234 5678' },
+    AE: { dial: '971', pattern: /^0?(5\d{8}|[2-9]\d{7})$/, example: '050 123 4567' },
+    IN: { dial: '91', pattern: /^0?[6-9]\d{9}$/, example: '98765 43210' }
+};
+
+/**
+ * Check a phone number against a country's format. International numbers
+ * (+CC or 00CC) must use that country's calling code.
+ */
+function isValidPhone(value, countryCode) {
+    const country = PHONE_COUNTRIES[countryCode];
+    let digits = value.replace(/[\s\-.()]/g, '');
+
+    if (!country) return /^\+?\d{7,15}$/.test(digits);
+
+    const international = digits.match(/^(?:\+|00)(\d+)$/);
+    if (international) {
+        if (!international[1].startsWith(country.dial)) return false;
+        digits = international[1].slice(country.dial.length);
+    }
+    return country.pattern.test(digits);
+}
+
+/**
+ * Validates forms from declarative rules.
+ *
+ * Rules come from `data-validate="required|min:2|email"` attributes or an
+ * `options.schema` object ({ fieldName: 'required|email' } or an array of rule
+ * strings and custom validator functions). Validators may be async and may
+ * return true, false, a message key/text, or { key, params }.
+ */
+class FormValidator extends Component {
+    constructor(form, options = {}) {
+        super(form);
+        this.form = form;
+        this.schema = options.schema || {};
+        this.locale = options.locale || null;
+        this.messages = options.messages || {};
+        this.onSubmit = options.onSubmit || null;
+        this.liveValidation = options.liveValidation !== false;
+        this.submitButton = form.querySelector('[type="submit"]');
+        this.fields = new Map();
+        this.touched = new Set();
+        this.tokens = {};
+        this.liveValidators = {};
+        this.submitting = false;
+        // Forms with data-track="name" report funnel events
+        this.trackAs = form.dataset.track || null;
+        this.started = false;
+    }
+
+    init() {
+        // Error messages are rendered by us, not the browser's validation bubbles
+        this.form.noValidate = true;
+        this.refresh();
+
+        this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+
+        if (this.liveValidation) {
+            this.listen(this.form, 'focusout', (e) => this.handleLiveEvent(e, true));
+            this.listen(this.form, 'input', (e) => this.handleLiveEvent(e, false));
+            this.listen(this.form, 'change', (e) => this.handleLiveEvent(e, false));
+        }
+
+        // Re-render visible errors when the language changes
+        this.own(i18n.onChange(() => this.relocalizeErrors()));
+
+        if (this.trackAs) {
+            this.listen(this.form, 'input', () => {
+                if (this.started) return;
+                this.started = true;
+                analytics.track('form_start', { form: this.trackAs });
+            });
+        }
+    }
+
+    relocalizeErrors() {
+        this.fields.forEach((field, name) => {
+            if (field.input.getAttribute('aria-invalid') === 'true') this.validateField(name);
+        });
+    }
+
+    /**
+     * Re-read rules from the schema and markup (call after adding fields)
+     */
+    refresh() {
+        this.fields.clear();
+
+        this.form.querySelectorAll('[data-validate]').forEach(input => {
+            this.addField(input.name, input.dataset.validate);
+        });
+
+        for (const [name, spec] of Object.entries(this.schema)) {
+            this.addField(name, spec);
+        }
+    }
+
+    addField(name, spec) {
+        const input = this.form.querySelector(`[name="${name}"]`);
+        if (!name || !input) {
+            console.warn(`Form field not found: ${name}`);
+            return;
+        }
+
+        const existing = this.fields.get(name);
+        const rules = [...(existing ? existing.rules : []), ...this.parseRules(spec)];
+        this.fields.set(name, { name, input, rules });
+        this.linkErrorElement(input);
+    }
+
+    /**
+     * Tie the error element to its input so screen readers announce it
+     */
+    linkErrorElement(input) {
+        const errorElement = this.getErrorElement(input);
+        if (!errorElement) return;
+
+        if (!errorElement.id) errorElement.id = `${input.id || input.name}Error`;
+        errorElement.setAttribute('aria-live', 'polite');
+
+        const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorElement.id)) {
+            input.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+        }
+    }
+
+    parseRules(spec) {
+        const entries = Array.isArray(spec) ? spec : String(spec).split('|');
+
+        return entries.filter(Boolean).map(entry => {
+            if (typeof entry === 'function') {
+                return { name: 'invalid', params: [], validate: (value, params, context) => entry(value, context) };
+            }
+
+            const [name, rawParams = ''] = entry.trim().split(/:(.*)/);
+            const rule = FormValidator.rules[name];
+            if (!rule) {
+                console.warn(`Unknown validation rule: ${name}`);
+                return null;
+            }
+
+            return {
+                name,
+                params: rawParams ? rawParams.split(',') : [],
+                validate: rule.validate,
+                implicit: Boolean(rule.implicit),
+                crossField: Boolean(rule.crossField)
+            };
+        }).filter(Boolean);
+    }
+
+    handleLiveEvent(e, isBlur) {
+        const name = e.target.name;
+        if (!name) return;
+
+        if (isBlur && this.fields.has(name)) {
+            this.touched.add(name);
+            this.validateField(name);
+        } else if (!isBlur) {
+            if (this.touched.has(name)) this.scheduleLiveValidation(name);
+            // Re-check fields whose rules depend on the one that changed
+            this.getDependents(name).forEach(dependent => {
+                if (this.touched.has(dependent)) this.scheduleLiveValidation(dependent);
+            });
+        }
+    }
+
+    scheduleLiveValidation(name) {
+        if (!this.liveValidators[name]) {
+            this.liveValidators[name] = debounce(() => this.validateField(name), 250);
+        }
+        this.liveValidators[name]();
+    }
+
+    getDependents(name) {
+        const dependents = [];
+        this.fields.forEach(field => {
+            if (field.rules.some(rule => rule.crossField && rule.params[0] === name)) {
+                dependents.push(field.name);
+            }
+        });
+        return dependents;
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (this.submitting) return;
+
+        this.setSubmitting(true);
+        try {
+            if (!(await this.validateForm())) return;
+
+            if (this.onSubmit) {
+                await this.onSubmit(this.getFormData(), this);
+            } else {
+                this.form.submit();
+            }
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    /**
+     * Validate every field, or only those inside `scope` (e.g. one wizard step)
+     */
+    async validateForm(scope = this.form) {
+        const names = [...this.fields.keys()].filter(name => scope.contains(this.fields.get(name).input));
+        names.forEach(name => this.touched.add(name));
+
+        const results = await Promise.all(names.map(name => this.validateField(name)));
+        if (this.trackAs) {
+            names.forEach((name, index) => {
+                if (results[index]) return;
+                analytics.track('form_invalid', { form: this.trackAs, field: name, rule: this.fields.get(name).failedRule });
+            });
+        }
+
+        const firstInvalid = names.find((name, index) => !results[index]);
+        if (firstInvalid) {
+            const input = this.fields.get(firstInvalid).input;
+            if (input.type !== 'hidden') input.focus();
+        }
+
+        return !firstInvalid;
+    }
+
+    async validateField(name) {
+        const field = this.fields.get(name);
+        if (!field) return true;
+
+        // Only the latest run for a field may update its error state
+        const token = (this.tokens[name] || 0) + 1;
+        this.tokens[name] = token;
+
+        const message = await this.runRules(field);
+        if (this.tokens[name] === token) {
+            if (message) {
+                this.showFieldError(name, message);
+            } else {
+                this.clearFieldError(name);
+            }
+        }
+
+        return !message;
+    }
+
+    async runRules(field) {
+        const value = this.getValue(field.name);
+        const context = {
+            field: field.name,
+            input: field.input,
+            form: this.form,
+            values: this.getFormData(),
+            validator: this
+        };
+
+        for (const rule of field.rules) {
+            if (!rule.implicit && value === '') continue;
+
+            let result;
+            try {
+                result = await rule.validate(value, rule.params, context);
+            } catch (error) {
+                // A failing validator (e.g. a network check) shouldn't block the user
+                console.warn(`Validation rule "${rule.name}" failed to run`, error);
+                continue;
+            }
+
+            if (result !== true) {
+                field.failedRule = rule.name;
+                return this.formatMessage(field, rule, result);
+            }
+        }
+
+        return '';
+    }
+
+    formatMessage(field, rule, result) {
+        let key = rule.name;
+        let params = rule.params;
+
+        if (typeof result === 'string') {
+            key = result;
+        } else if (result && typeof result === 'object') {
+            key = result.key || key;
+            params = result.params || params;
+        }
+
+        const override = field.input.dataset[`msg${key.charAt(0).toUpperCase()}${key.slice(1)}`];
+        const template = override || this.translate(key) || key;
+
+        return template
+            .replace(/\{field\}/g, this.getLabel(field.name))
+            .replace(/\{(\d+)\}/g, (match, index) => (params[index] !== undefined ? params[index] : match));
+    }
+
+    translate(key) {
+        const locale = (this.locale || i18n.locale).split('-')[0];
+        const catalog = VALIDATION_MESSAGES[locale] || {};
+        return this.messages[key] || catalog[key] || VALIDATION_MESSAGES.en[key];
+    }
+
+    getLabel(name) {
+        const field = this.fields.get(name);
+        return (field && field.input.dataset.label) || this.capitalizeField(name);
+    }
+
+    getValue(name) {
+        const inputs = this.form.querySelectorAll(`[name="${name}"]`);
+        if (!inputs.length) return '';
+
+        const first = inputs[0];
+        if (first.type === 'radio') {
+            const checked = [...inputs].find(input => input.checked);
+            return checked ? checked.value : '';
+        }
+        if (first.type === 'checkbox') {
+            return first.checked ? first.value : '';
+        }
+        return first.value.trim();
+    }
+
+    getFormData() {
+        const data = {};
+        new Set([...this.form.elements].map(element => element.name).filter(Boolean)).forEach(name => {
+            data[name] = this.getValue(name);
+        });
+        return data;
+    }
+
+    getErrorElement(input) {
+        const fieldGroup = input.closest('.form-group');
+        return (fieldGroup && fieldGroup.querySelector('.error-message'))
+            || document.getElementById(`${input.name}Error`);
+    }
+
+    showFieldError(name, message) {
+        const field = this.fields.get(name);
+        const input = field ? field.input : this.form.querySelector(`[name="${name}"]`);
+        if (!input) return;
+
+        const fieldGroup = input.closest('.form-group');
+        const errorElement = this.getErrorElement(input);
+        if (!fieldGroup || !errorElement) {
+            console.warn(`Form group or error element not found: ${name}`);
+            return;
+        }
+        input.setAttribute('aria-invalid', 'true');
+        this.showError(fieldGroup, errorElement, message);
+    }
+
+    clearFieldError(name) {
+        const field = this.fields.get(name);
+        const input = field ? field.input : this.form.querySelector(`[name="${name}"]`);
+        if (!input) return;
+
+        const fieldGroup = input.closest('.form-group');
+        const errorElement = this.getErrorElement(input);
+        input.removeAttribute('aria-invalid');
+        if (fieldGroup && errorElement) {
+            this.clearError(fieldGroup, errorElement);
+        }
+    }
+
+    showError(fieldGroup, errorElement, message) {
+        fieldGroup.classList.add('error');
+        errorElement.textContent = message;
+    }
+
+    clearError(fieldGroup, errorElement) {
+        fieldGroup.classList.remove('error');
+        errorElement.textContent = '';
+    }
+
+    capitalizeField(field) {
+        return field.replace(/([A-Z])/g, ' $1').trim().replace(/^./, (c) => c.toUpperCase());
+    }
+
+    setSubmitting(submitting) {
+        this.submitting = submitting;
+        if (this.submitButton) {
+            this.submitButton.disabled = submitting;
+            this.submitButton.setAttribute('aria-busy', String(submitting));
+        }
+    }
+
+    reset() {
+        this.form.reset();
+        this.touched.clear();
+        this.started = false;
+        this.fields.forEach(field => this.clearFieldError(field.name));
+    }
+
+    /**
+     * Register a custom (optionally async) rule usable in data-validate
+     */
+    static addRule(name, validate, options = {}) {
+        FormValidator.rules[name] = { validate, ...options };
+        if (options.message) {
+            VALIDATION_MESSAGES.en[name] = options.message;
+        }
+    }
+}
+
+/**
+ * Built-in rules. `implicit` rules also run on empty values; `crossField`
+ * rules take another field name as their first parameter.
+ */
+FormValidator.rules = {
+    required: {
+        implicit: true,
+        validate: (value) => value !== ''
+    },
+    requiredWith: {
+        implicit: true,
+        crossField: true,
+        validate: (value, [other], { values }) => !values[other] || value !== ''
+    },
+    requiredIf: {
+        implicit: true,
+        crossField: true,
+        validate: (value, [other, expected], { values }) => values[other] !== expected || value !== ''
+    },
+    min: {
+        validate: (value, [length]) => value.length >= Number(length)
+    },
+    max: {
+        validate: (value, [length]) => value.length <= Number(length)
+    },
+    email: {
+        validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    },
+    tel: {
+        // tel:fieldName validates against the country chosen in that field;
+        // a bare tel accepts any plausible number, whatever the UI locale
+        crossField: true,
+        validate: (value, [countryField], { values }) => {
+            const country = countryField ? values[countryField] : null;
+            if (isValidPhone(value, country)) return true;
+            return PHONE_COUNTRIES[country]
+                ? { key: 'telCountry', params: [i18n.formatRegion(country), PHONE_COUNTRIES[country].example] }
+                : 'tel';
+        }
+    },
+    number: {
+        validate: (value) => value !== '' && !isNaN(Number(value))
+    },
+    between: {
+        validate: (value, [min, max]) => Number(value) >= Number(min) && Number(value) <= Number(max)
+    },
+    pattern: {
+        validate: (value, params, { input }) => !input.pattern || new RegExp(`^(?:${input.pattern})$`).test(value)
+    },
+    in: {
+        validate: (value, options) => options.includes(value)
+    },
+    same: {
+        crossField: true,
+        validate: (value, [other], { values, validator }) => (
+            value === values[other] || { key: 'same', params: [validator.getLabel(other)] }
+        )
+    },
+    date: {
+        validate: (value, params, { input }) => {
+            const date = parseLocalDate(value);
+            if (!date) return false;
+
+            const format = (d) => i18n.formatDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
+            const min = input.min && parseLocalDate(input.min);
+            const max = input.max && parseLocalDate(input.max);
+            if (min && date < min) return { key: 'dateMin', params: [format(min)] };
+            if (max && date > max) return { key: 'dateMax', params: [format(max)] };
+            return true;
+        }
+    }
+};
+
+// ============================================
+// PET PROFILES
+// ============================================
+
+/**
+ * Species a profile can have, with their icons
+ */
+const PET_SPECIES_ICONS = {
+    dog: 'fa-dog',
+    cat: 'fa-cat',
+    bird: 'fa-dove',
+    rabbit: 'fa-carrot',
+    reptile: 'fa-dragon',
+    other: 'fa-paw'
+};
+
+const PET_VACCINATION_STATUSES = ['up-to-date', 'due', 'unknown'];
+
+/**
+ * Kinds of care a pet's history can record (see CARE REMINDERS)
+ */
+const PET_CARE_TYPES = ['vaccination', 'deworming', 'grooming', 'checkup'];
+
+/**
+ * JSON written by PetStore.export() and read by import():
+ *   { "format": "pawscare-pets", "version": 1, "exportedAt": "…", "pets": [{ "id", "name", "species", … }] }
+ */
+const PET_EXPORT_FORMAT = 'pawscare-pets';
+const PET_EXPORT_VERSION = 1;
+
+class PetImportError extends Error {
+    constructor(message = i18n.t('pets.importInvalid')) {
+        super(message);
+        this.name = 'PetImportError';
+    }
+}
+
+/**
+ * Coerce stored, imported or submitted data into a pet profile, or null if
+ * it has no name or an unknown species
+ */
+function normalizePet(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const text = (value, max) => String(value === undefined || value === null ? '' : value).trim().slice(0, max);
+    const name = text(data.name, 40);
+    const species = text(data.species, 20);
+    if (!name || !PET_SPECIES_ICONS[species]) return null;
+
+    const weight = Number(data.weightKg);
+    return {
+        id: text(data.id, 64) || createSubmissionId(),
+        name,
+        species,
+        breed: text(data.breed, 60),
+        birthDate: parseLocalDate(data.birthDate) ? text(data.birthDate, 10) : '',
+        weightKg: weight > 0 && weight <= 150 ? Math.round(weight * 10) / 10 : null,
+        allergies: text(data.allergies, 200),
+        vaccinations: PET_VACCINATION_STATUSES.includes(data.vaccinations) ? data.vaccinations : 'unknown',
+        notes: text(data.notes, 500),
+        care: Array.isArray(data.care) ? data.care.map(normalizeCareRecord).filter(Boolean) : [],
+        updatedAt: text(data.updatedAt, 30) || new Date().toISOString()
+    };
+}
+
+/**
+ * One dated entry in a pet's care history, or null if the type or date is invalid
+ */
+function normalizeCareRecord(data) {
+    if (!data || !PET_CARE_TYPES.includes(data.type) || !parseLocalDate(data.date)) return null;
+    return {
+        id: String(data.id || createSubmissionId()).slice(0, 64),
+        type: data.type,
+        date: String(data.date).slice(0, 10),
+        note: String(data.note || '').trim().slice(0, 200)
+    };
+}
+
+/**
+ * "3 years" / "5 months" from a YYYY-MM-DD birth date
+ */
+function getPetAge(birthDate, today = new Date()) {
+    const birth = parseLocalDate(birthDate);
+    if (!birth) return '';
+
+    let months = (today.getFullYear() - birth.getFullYear()) * 12 + today.getMonth() - birth.getMonth();
+    if (today.getDate() < birth.getDate()) months--;
+    if (months < 0) return '';
+    return months < 12
+        ? i18n.plural('pets.age.months', months)
+        : i18n.plural('pets.age.years', Math.floor(months / 12));
+}
+
+/**
+ * Species, breed, age and weight, e.g. ["Dog", "Labrador", "3 years", "12 kg"]
+ */
+function getPetDetails(pet) {
+    return [
+        i18n.t(`pets.species.${pet.species}`),
+        pet.breed,
+        getPetAge(pet.birthDate),
+        pet.weightKg ? i18n.t('pets.weightValue', { weight: i18n.formatNumber(pet.weightKg) }) : ''
+    ].filter(Boolean);
+}
+
+/**
+ * One-line summary for staff, e.g. "Max · Dog · Labrador · 3 years · 12 kg · Allergies: chicken · Vaccinations up to date"
+ */
+function describePet(pet) {
+    return [
+        pet.name,
+        ...getPetDetails(pet),
+        pet.allergies ? i18n.t('pets.allergiesValue', { allergies: pet.allergies }) : '',
+        i18n.t(`pets.vaccinations.${pet.vaccinations}`)
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Pet profiles kept in localStorage, synced across tabs
+ */
+class PetStore {
+    constructor(storageKey = 'pawscare.pets') {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.abortController = new AbortController();
+        this.load();
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.load();
+                this.notify();
+            }
+        }, { signal: this.abortController.signal });
+    }
+
+    destroy() {
+        this.abortController.abort();
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            this.pets = stored.map(normalizePet).filter(Boolean);
+        } catch (error) {
+            console.warn('Could not read stored pets', error);
+            this.pets = [];
+        }
+    }
+
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.pets));
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    getAll() {
+        return [...this.pets].sort((a, b) => a.name.localeCompare(b.name, i18n.intlLocale));
+    }
+
+    get(id) {
+        return this.pets.find(pet => pet.id === id) || null;
+    }
+
+    /**
+     * Add a profile, or replace the one with the same id. The care history is
+     * kept unless `data` brings its own.
+     */
+    save(data) {
+        const existing = this.get(data.id);
+        const pet = normalizePet({
+            ...data,
+            care: data.care || (existing ? existing.care : []),
+            updatedAt: new Date().toISOString()
+        });
+        if (!pet) throw new Error('Invalid pet profile');
+
+        const index = this.pets.findIndex(existing => existing.id === pet.id);
+        if (index === -1) this.pets.push(pet);
+        else this.pets[index] = pet;
+        this.persist();
+        return pet;
+    }
+
+    remove(id) {
+        this.pets = this.pets.filter(pet => pet.id !== id);
+        this.persist();
+    }
+
+    /**
+     * Record vaccination/deworming/grooming/check-up care for a pet
+     */
+    addCare(petId, data) {
+        const pet = this.get(petId);
+        const record = normalizeCareRecord(data);
+        if (!pet || !record) throw new Error('Invalid care record');
+
+        pet.care = [...pet.care, record].sort((a, b) => a.date.localeCompare(b.date));
+        pet.updatedAt = new Date().toISOString();
+        this.persist();
+        return record;
+    }
+
+    removeCare(petId, recordId) {
+        const pet = this.get(petId);
+        if (!pet) return;
+        pet.care = pet.care.filter(record => record.id !== recordId);
+        pet.updatedAt = new Date().toISOString();
+        this.persist();
+    }
+
+    export() {
+        return JSON.stringify({
+            format: PET_EXPORT_FORMAT,
+            version: PET_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            pets: this.pets
+        }, null, 2);
+    }
+
+    /**
+     * Merge an export into the stored profiles (same id replaces).
+     * Resolves counts of imported and skipped (invalid) entries.
+     */
+    import(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new PetImportError();
+        }
+        if (!data || data.format !== PET_EXPORT_FORMAT || !Array.isArray(data.pets)) throw new PetImportError();
+        if (data.version > PET_EXPORT_VERSION) throw new PetImportError(i18n.t('pets.importVersion'));
+
+        const pets = data.pets.map(normalizePet).filter(Boolean);
+        pets.forEach(pet => {
+            const index = this.pets.findIndex(existing => existing.id === pet.id);
+            if (index === -1) this.pets.push(pet);
+            else this.pets[index] = pet;
+        });
+        this.persist();
+        return { imported: pets.length, skipped: data.pets.length - pets.length };
+    }
+}
+
+const petStore = new PetStore();
+
+/**
+ * Pet profile manager shown for #/pets: list, add/edit form, JSON export and
+ * import. #/pets/care opens it on the care reminders view.
+ */
+class PetManager extends Component {
+    constructor(element, store, router) {
+        super(element);
+        this.store = store;
+        this.router = router;
+        this.panel = element.querySelector('.pet-manager-panel');
+        this.list = element.querySelector('#petList');
+        this.form = element.querySelector('#petForm');
+        this.formTitle = element.querySelector('#petFormTitle');
+        this.cancelButton = element.querySelector('[data-pet-cancel]');
+        this.importInput = element.querySelector('#petImport');
+        this.status = element.querySelector('#petStatus');
+        this.focusTrap = new FocusTrap(this.panel);
+        this.validator = null;
+        this.view = 'profiles';
+    }
+
+    init() {
+        const route = {
+            enter: (params) => this.open(params.view),
+            leave: () => this.close()
+        };
+        this.router.add('/pets', route);
+        this.router.add('/pets/:view', route);
+        this.own(() => this.router.remove(route));
+
+        this.element.querySelectorAll('[data-pet-view]').forEach(tab => {
+            this.listen(tab, 'click', () => this.setView(tab.dataset.petView));
+        });
+
+        this.validator = new FormValidator(this.form, {
+            onSubmit: (data) => this.savePet(data)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
+
+        this.element.querySelectorAll('[data-pets-close]').forEach(element => {
+            this.listen(element, 'click', () => this.router.back('#contact'));
+        });
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.router.back('#contact');
+        });
+
+        this.listen(this.list, 'click', (e) => {
+            const edit = e.target.closest('[data-pet-edit]');
+            const remove = e.target.closest('[data-pet-delete]');
+            if (edit) this.edit(edit.closest('[data-pet-id]').dataset.petId);
+            if (remove) this.confirmRemove(remove);
+        });
+        // A pending delete confirmation is dropped when focus moves on
+        this.listen(this.list, 'focusout', (e) => {
+            if (e.target.matches('[data-pet-delete][data-confirming]')) this.resetDeleteButton(e.target);
+        });
+        this.listen(this.cancelButton, 'click', () => this.resetForm());
+
+        this.listen(this.element.querySelector('#petExport'), 'click', () => this.exportPets());
+        this.listen(this.importInput, 'change', () => {
+            if (this.importInput.files.length) this.importPets(this.importInput.files[0]);
+        });
+
+        this.renderOptions();
+        this.resetForm();
+        this.own(this.store.subscribe(() => this.render()));
+        this.own(i18n.onChange(() => {
+            this.renderOptions();
+            this.render();
+            this.renderFormTitle();
+        }));
+    }
+
+    isOpen() {
+        return this.element.classList.contains('active');
+    }
+
+    open(view = 'profiles') {
+        // Birth dates can't be in the future
+        this.form.querySelector('[name="birthDate"]').max = toDateInputValue(new Date());
+        this.status.textContent = '';
+        this.setView(view);
+        this.element.classList.add('active');
+        this.element.setAttribute('aria-hidden', 'false');
+        scrollLock.lock(this);
+        const firstPet = this.view === 'profiles' && !this.store.getAll().length;
+        this.focusTrap.activate(firstPet ? this.form.querySelector('[name="name"]') : null);
+    }
+
+    /**
+     * Switch between the profiles and care panels; unknown views show profiles
+     */
+    setView(view) {
+        const panels = this.element.querySelectorAll('[data-pet-panel]');
+        this.view = [...panels].some(panel => panel.dataset.petPanel === view) ? view : 'profiles';
+        panels.forEach(panel => {
+            panel.hidden = panel.dataset.petPanel !== this.view;
+        });
+        this.element.querySelectorAll('[data-pet-view][aria-pressed]').forEach(tab => {
+            tab.setAttribute('aria-pressed', String(tab.dataset.petView === this.view));
+        });
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.element.classList.remove('active');
+        this.element.setAttribute('aria-hidden', 'true');
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
+    }
+
+    renderOptions() {
+        const fill = (select, values, keyPrefix, placeholder) => {
+            const selected = select.value;
+            select.innerHTML = '';
+            if (placeholder) select.appendChild(new Option(i18n.t(placeholder), ''));
+            values.forEach(value => select.appendChild(new Option(i18n.t(`${keyPrefix}.${value}`), value)));
+            select.value = selected;
+        };
+        fill(this.form.querySelector('[name="species"]'), Object.keys(PET_SPECIES_ICONS), 'pets.species', 'pets.selectSpecies');
+        fill(this.form.querySelector('[name="vaccinations"]'), PET_VACCINATION_STATUSES, 'pets.vaccinations');
+    }
+
+    render() {
+        const pets = this.store.getAll();
+        this.list.innerHTML = '';
+
+        if (!pets.length) {
+            const empty = document.createElement('li');
+            empty.className = 'pet-list-empty';
+            empty.textContent = i18n.t('pets.empty');
+            this.list.appendChild(empty);
+            return;
+        }
+        pets.forEach(pet => this.list.appendChild(this.createCard(pet)));
+    }
+
+    createCard(pet) {
+        const card = document.createElement('li');
+        card.className = 'pet-card';
+        card.dataset.petId = pet.id;
+        card.innerHTML = `
+            <div class="pet-card-icon"><i class="fas ${PET_SPECIES_ICONS[pet.species]}" aria-hidden="true"></i></div>
+            <div class="pet-card-body">
+                <h4 class="pet-card-name"></h4>
+                <p class="pet-card-details"></p>
+                <p class="pet-card-allergies"></p>
+                <span class="pet-vaccination pet-vaccination-${pet.vaccinations}"></span>
+            </div>
+            <div class="pet-card-actions">
+                <button type="button" class="pet-card-button" data-pet-edit></button>
+                <button type="button" class="pet-card-button pet-card-delete" data-pet-delete></button>
+            </div>
+        `;
+        card.querySelector('.pet-card-name').textContent = pet.name;
+        card.querySelector('.pet-card-details').textContent = getPetDetails(pet).join(' · ');
+        const allergies = card.querySelector('.pet-card-allergies');
+        allergies.textContent = pet.allergies ? i18n.t('pets.allergiesValue', { allergies: pet.allergies }) : '';
+        allergies.hidden = !pet.allergies;
+        card.querySelector('.pet-vaccination').textContent = i18n.t(`pets.vaccinations.${pet.vaccinations}`);
+
+        const edit = card.querySelector('[data-pet-edit]');
+        edit.textContent = i18n.t('pets.edit');
+        edit.setAttribute('aria-label', i18n.t('pets.editNamed', { name: pet.name }));
+        this.resetDeleteButton(card.querySelector('[data-pet-delete]'), pet);
+        return card;
+    }
+
+    resetDeleteButton(button, pet = this.store.get(button.closest('[data-pet-id]').dataset.petId)) {
+        delete button.dataset.confirming;
+        button.textContent = i18n.t('pets.delete');
+        if (pet) button.setAttribute('aria-label', i18n.t('pets.deleteNamed', { name: pet.name }));
+    }
+
+    /**
+     * First click asks for confirmation, the second deletes
+     */
+    confirmRemove(button) {
+        const id = button.closest('[data-pet-id]').dataset.petId;
+        if (!button.dataset.confirming) {
+            button.dataset.confirming = 'true';
+            button.textContent = i18n.t('pets.confirmDelete');
+            button.removeAttribute('aria-label');
+            return;
+        }
+
+        const pet = this.store.get(id);
+        if (this.form.elements.id.value === id) this.resetForm();
+        this.store.remove(id);
+        if (pet) this.status.textContent = i18n.t('pets.removed', { name: pet.name });
+        this.form.querySelector('[name="name"]').focus();
+    }
+
+    edit(id) {
+        const pet = this.store.get(id);
+        if (!pet) return;
+
+        this.validator.reset();
+        ['id', 'name', 'species', 'breed', 'birthDate', 'allergies', 'vaccinations', 'notes'].forEach(name => {
+            this.form.elements[name].value = pet[name];
+        });
+        this.form.elements.weightKg.value = pet.weightKg === null ? '' : pet.weightKg;
+        this.cancelButton.hidden = false;
+        this.renderFormTitle();
+        this.form.elements.name.focus();
+    }
+
+    resetForm() {
+        this.validator.reset();
+        this.form.elements.id.value = '';
+        this.form.elements.vaccinations.value = 'unknown';
+        this.cancelButton.hidden = true;
+        this.renderFormTitle();
+    }
+
+    renderFormTitle() {
+        const pet = this.store.get(this.form.elements.id.value);
+        this.formTitle.textContent = pet ? i18n.t('pets.editTitle', { name: pet.name }) : i18n.t('pets.addTitle');
+    }
+
+    savePet(data) {
+        const pet = this.store.save({ ...data, id: data.id || undefined });
+        this.status.textContent = i18n.t('pets.saved', { name: pet.name });
+        this.resetForm();
+    }
+
+    exportPets() {
+        downloadBlob(
+            new Blob([this.store.export()], { type: 'application/json' }),
+            `pawscare-pets-${toDateInputValue(new Date())}.json`
+        );
+    }
+
+    async importPets(file) {
+        try {
+            const { imported, skipped } = this.store.import(await file.text());
+            this.status.textContent = [
+                i18n.plural('pets.imported', imported),
+                skipped ? i18n.plural('pets.skipped', skipped) : ''
+            ].filter(Boolean).join(' ');
+        } catch (error) {
+            if (!(error instanceof PetImportError)) console.error('Pet import failed', error);
+            this.status.textContent = error instanceof PetImportError ? error.message : i18n.t('pets.importInvalid');
+        } finally {
+            // Choosing the same file again should import it again
+            this.importInput.value = '';
+        }
+    }
+}
+
+/**
+ * Pet picker in the booking form. A pet added while the form is open is
+ * selected for it; the chosen pet's details are previewed below.
+ */
+class PetSelect extends Component {
+    constructor(select, store) {
+        super(select);
+        this.select = select;
+        this.store = store;
+        this.summary = select.closest('.form-group').querySelector('[data-pet-summary]');
+        this.knownIds = null;
+    }
+
+    init() {
+        this.listen(this.select, 'change', () => this.renderSummary());
+        // Form reset restores the first option; refresh the preview after it
+        this.listen(this.select.form, 'reset', () => setTimeout(() => this.renderSummary(), 0));
+        this.own(this.store.subscribe(() => this.render()));
+        this.own(i18n.onChange(() => this.render()));
+    }
+
+    render() {
+        const pets = this.store.getAll();
+        const selected = this.select.value;
+        const added = this.knownIds ? pets.find(pet => !this.knownIds.has(pet.id)) : null;
+        this.knownIds = new Set(pets.map(pet => pet.id));
+
+        this.select.innerHTML = '';
+        this.select.appendChild(new Option(i18n.t(pets.length ? 'pets.none' : 'pets.noneSaved'), ''));
+        pets.forEach(pet => {
+            this.select.appendChild(new Option(`${pet.name} (${i18n.t(`pets.species.${pet.species}`)})`, pet.id));
+        });
+
+        if (added && !selected) this.select.value = added.id;
+        else this.select.value = pets.some(pet => pet.id === selected) ? selected : '';
+        this.renderSummary();
+    }
+
+    renderSummary() {
+        if (!this.summary) return;
+        const pet = this.store.get(this.select.value);
+        this.summary.textContent = pet ? describePet(pet) : '';
+        this.summary.hidden = !pet;
+    }
+}
+
+components.define('pet-manager', (element) => new PetManager(element, petStore, router), {
+    requires: ['.pet-manager-panel', '#petList', '#petForm', '#petFormTitle', '[data-pet-cancel]', '#petExport', '#petImport', '#petStatus']
+});
+components.define('pet-select', (element) => new PetSelect(element, petStore));
+
+// ============================================
+// CARE REMINDERS
+// ============================================
+
+/**
+ * Months until each kind of care is due again, per species. A type missing
+ * for a species gets no reminders. Override per page with data-care-schedules,
+ * e.g. data-care-schedules='{"dog": {"grooming": 1}}'.
+ */
+const CARE_SCHEDULES = {
+    dog: { vaccination: 12, deworming: 3, grooming: 2, checkup: 12 },
+    cat: { vaccination: 12, deworming: 3, grooming: 3, checkup: 12 },
+    rabbit: { vaccination: 12, deworming: 6, grooming: 3, checkup: 12 },
+    bird: { deworming: 6, grooming: 4, checkup: 12 },
+    reptile: { deworming: 12, checkup: 12 },
+    other: { checkup: 12 }
+};
+
+const CARE_TYPE_ICONS = {
+    vaccination: 'fa-syringe',
+    deworming: 'fa-tablets',
+    grooming: 'fa-scissors',
+    checkup: 'fa-stethoscope'
+};
+
+// Reminders this many days out are flagged as "soon"
+const CARE_SOON_DAYS = 14;
+
+const BUSINESS_ADDRESS = '123 Pet Street, Animal City, AC 12345';
+
+/**
+ * Merge per-species overrides into the default schedules
+ */
+function mergeCareSchedules(overrides = {}) {
+    const schedules = {};
+    Object.keys(CARE_SCHEDULES).forEach(species => {
+        schedules[species] = { ...CARE_SCHEDULES[species], ...(overrides[species] || {}) };
+    });
+    return schedules;
+}
+
+/**
+ * Same day `months` later, clamped to the end of shorter months (Jan 31 + 1 → Feb 28)
+ */
+function addMonths(date, months) {
+    const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(date.getDate(), lastDay));
+    return result;
+}
+
+/**
+ * Whole calendar days from `from` to `to` (negative if `to` is earlier), DST-safe
+ */
+function daysBetween(from, to) {
+    const day = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    return Math.round((day(to) - day(from)) / 86400000);
+}
+
+function getReminderStatus(days) {
+    if (days < 0) return 'overdue';
+    if (days === 0) return 'due';
+    if (days <= CARE_SOON_DAYS) return 'soon';
+    return 'upcoming';
+}
+
+/**
+ * Next due date for every scheduled care type a pet has been given at least
+ * once, soonest first: [{ id, pet, type, lastDate, dueDate, days, status }]
+ */
+function getCareReminders(pets, schedules = CARE_SCHEDULES, today = new Date()) {
+    const reminders = [];
+    pets.forEach(pet => {
+        const schedule = schedules[pet.species] || {};
+        Object.entries(schedule).forEach(([type, months]) => {
+            const dates = pet.care.filter(record => record.type === type).map(record => record.date).sort();
+            if (!dates.length || !(months > 0)) return;
+
+            const lastDate = dates[dates.length - 1];
+            const due = addMonths(parseLocalDate(lastDate), months);
+            const days = daysBetween(today, due);
+            reminders.push({
+                id: `${pet.id}:${type}`,
+                pet,
+                type,
+                lastDate,
+                dueDate: toDateInputValue(due),
+                days,
+                status: getReminderStatus(days)
+            });
+        });
+    });
+    return reminders.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+function getReminderTitle(reminder) {
+    return i18n.t('care.reminderTitle', {
+        type: i18n.t(`care.type.${reminder.type}`),
+        name: reminder.pet.name
+    });
+}
+
+/**
+ * "Overdue by 3 days" / "Due today" / "Due in 5 days" / "Due Mar 4, 2027"
+ */
+function describeReminderDue(reminder) {
+    if (reminder.status === 'overdue') return i18n.plural('care.overdue', -reminder.days);
+    if (reminder.status === 'due') return i18n.t('care.dueToday');
+    if (reminder.status === 'soon') return i18n.plural('care.dueIn', reminder.days);
+    return i18n.t('care.dueOn', { date: formatCareDate(reminder.dueDate) });
+}
+
+function formatCareDate(value) {
+    return i18n.formatDate(parseLocalDate(value), { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Appointments booked from this browser, kept so they can be added to a calendar
+ */
+class AppointmentStore {
+    constructor(storageKey = 'pawscare.appointments') {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.abortController = new AbortController();
+        this.load();
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.load();
+                this.notify();
+            }
+        }, { signal: this.abortController.signal });
+    }
+
+    destroy() {
+        this.abortController.abort();
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            this.appointments = stored.filter(item => item && item.reference && parseLocalDate(item.date));
+        } catch (error) {
+            console.warn('Could not read stored appointments', error);
+            this.appointments = [];
+        }
+    }
+
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.appointments));
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Remember a booking: { reference, service, date, time, pet }
+     */
+    add(appointment) {
+        this.appointments = this.appointments.filter(item => item.reference !== appointment.reference);
+        this.appointments.push(appointment);
+        this.persist();
+    }
+
+    /**
+     * Appointments from today on, soonest first
+     */
+    getUpcoming(today = new Date()) {
+        const from = toDateInputValue(today);
+        return this.appointments
+            .filter(item => item.date >= from)
+            .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+    }
+}
+
+const appointmentStore = new AppointmentStore();
+
+/**
+ * Escape TEXT values for iCalendar (RFC 5545 §3.3.11)
+ */
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets, without splitting a character
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    let folded = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            folded += '\r\n ';
+            octets = 1;
+        }
+        folded += char;
+        octets += size;
+    }
+    return folded;
+}
+
+function formatIcsDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function formatIcsDateTime(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${formatIcsDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+/**
+ * iCalendar file for events { uid, title, date, time?, duration?, description?, location?, alarm? }.
+ * Events without a time are all-day; timed events use floating local time,
+ * which is the clinic's time for anyone booking locally. `alarm` is a
+ * TRIGGER duration such as "-PT2H".
+ */
+function toIcs(events) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//PawsCare//Pet Care//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+    events.forEach(event => {
+        const day = parseLocalDate(event.date);
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        if (event.time) {
+            const minutes = timeToMinutes(event.time);
+            const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+            const end = new Date(start.getTime() + (event.duration || 60) * 60000);
+            lines.push(`DTSTART:${formatIcsDateTime(start)}`, `DTEND:${formatIcsDateTime(end)}`);
+        } else {
+            const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(day)}`, `DTEND;VALUE=DATE:${formatIcsDate(next)}`);
+        }
+        lines.push(`SUMMARY:${escapeIcsText(event.title)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+        if (event.alarm) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeIcsText(event.title)}`, `TRIGGER:${event.alarm}`, 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function reminderToIcsEvent(reminder) {
+    return {
+        uid: `${reminder.pet.id}-${reminder.type}-${reminder.dueDate}@pawscare`,
+        title: getReminderTitle(reminder),
+        date: reminder.dueDate,
+        description: i18n.t('care.lastDone', { date: formatCareDate(reminder.lastDate) }),
+        // 9:00 the day before
+        alarm: '-PT15H'
+    };
+}
+
+function appointmentToIcsEvent(appointment) {
+    const service = serviceCatalog.get(appointment.service);
+    const title = service ? localizeService(service).title : appointment.service;
+    return {
+        uid: `${appointment.reference}@pawscare`,
+        title: appointment.pet
+            ? i18n.t('care.appointmentTitleFor', { service: title, name: appointment.pet })
+            : i18n.t('care.appointmentTitle', { service: title }),
+        date: appointment.date,
+        time: appointment.time,
+        duration: service ? service.duration : 60,
+        description: i18n.t('care.appointmentReference', { reference: appointment.reference }),
+        location: BUSINESS_ADDRESS,
+        alarm: '-PT2H'
+    };
+}
+
+function downloadIcs(events, filename) {
+    downloadBlob(new Blob([toIcs(events)], { type: 'text/calendar;charset=utf-8' }), filename);
+}
+
+/**
+ * Browser notifications for care that falls due, shown once per reminder and
+ * due date. The opt-in and what was already shown live in localStorage.
+ */
+class CareNotifier {
+    constructor(storageKey = 'pawscare.careNotifications') {
+        this.storageKey = storageKey;
+    }
+
+    get supported() {
+        return 'Notification' in window;
+    }
+
+    get permission() {
+        return this.supported ? Notification.permission : 'denied';
+    }
+
+    get enabled() {
+        return this.permission === 'granted' && this.read().enabled;
+    }
+
+    read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return { enabled: Boolean(stored.enabled), shown: Array.isArray(stored.shown) ? stored.shown : [] };
+        } catch (error) {
+            return { enabled: false, shown: [] };
+        }
+    }
+
+    write(state) {
+        localStorage.setItem(this.storageKey, JSON.stringify(state));
+    }
+
+    /**
+     * Ask for permission; resolves whether notifications are now on
+     */
+    async enable() {
+        if (!this.supported) return false;
+        const permission = Notification.permission === 'granted'
+            ? 'granted'
+            : await Notification.requestPermission();
+        this.write({ ...this.read(), enabled: permission === 'granted' });
+        return permission === 'granted';
+    }
+
+    disable() {
+        this.write({ ...this.read(), enabled: false });
+    }
+
+    check(reminders) {
+        if (!this.enabled) return;
+
+        const state = this.read();
+        reminders
+            .filter(reminder => reminder.days <= 0)
+            .forEach(reminder => {
+                const key = `${reminder.id}:${reminder.dueDate}`;
+                if (state.shown.includes(key)) return;
+                this.show(reminder, key);
+                state.shown.push(key);
+            });
+        // Older keys belong to due dates that have long passed
+        state.shown = state.shown.slice(-100);
+        this.write(state);
+    }
+
+    show(reminder, tag) {
+        const title = getReminderTitle(reminder);
+        const options = {
+            body: describeReminderDue(reminder),
+            icon: 'icons/icon-192.png',
+            tag,
+            data: { url: '#/pets/care' }
+        };
+
+        // Mobile browsers only allow notifications from the service worker,
+        // which also handles the click (see sw.js)
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.ready
+                .then(registration => registration.showNotification(title, options))
+                .catch(error => console.warn('Could not show notification', error));
+            return;
+        }
+
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            router.navigate('#/pets/care');
+            notification.close();
+        };
+    }
+}
+
+/**
+ * Care panel of the pet manager: upcoming reminders, booked appointments,
+ * recording care, calendar export and the notification opt-in
+ */
+class CareDashboard extends Component {
+    constructor(element, options = {}) {
+        super(element);
+        this.store = options.store;
+        this.appointments = options.appointments;
+        this.notifier = options.notifier;
+        this.schedules = options.schedules || CARE_SCHEDULES;
+        this.remindersList = element.querySelector('#careReminders');
+        this.appointmentsList = element.querySelector('#careAppointments');
+        this.historyList = element.querySelector('#careHistory');
+        this.form = element.querySelector('#careForm');
+        this.noPets = element.querySelector('[data-care-no-pets]');
+        this.notifyButton = element.querySelector('[data-care-notify]');
+        this.status = element.querySelector('#careStatus');
+        this.validator = null;
+    }
+
+    init() {
+        this.validator = new FormValidator(this.form, {
+            onSubmit: (data) => this.saveRecord(data)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
+
+        this.listen(this.remindersList, 'click', (e) => {
+            const item = e.target.closest('[data-reminder-id]');
+            const reminder = item && this.getReminders().find(r => r.id === item.dataset.reminderId);
+            if (!reminder) return;
+            if (e.target.closest('[data-care-done]')) this.markDone(reminder);
+            if (e.target.closest('[data-care-ics]')) {
+                downloadIcs([reminderToIcsEvent(reminder)], `pawscare-${reminder.type}-${reminder.dueDate}.ics`);
+            }
+        });
+        this.listen(this.appointmentsList, 'click', (e) => {
+            const button = e.target.closest('[data-appointment-ics]');
+            const appointment = button && this.appointments.getUpcoming()
+                .find(item => item.reference === button.dataset.appointmentIcs);
+            if (appointment) downloadIcs([appointmentToIcsEvent(appointment)], `pawscare-${appointment.reference}.ics`);
+        });
+        this.listen(this.historyList, 'click', (e) => {
+            const button = e.target.closest('[data-care-remove]');
+            if (button) this.removeRecord(button.closest('[data-pet-id]').dataset.petId, button.dataset.careRemove);
+        });
+        this.listen(this.element.querySelector('#careExport'), 'click', () => this.exportAll());
+        this.listen(this.notifyButton, 'click', () => this.toggleNotifications());
+
+        this.renderOptions();
+        this.resetForm();
+        this.own(this.store.subscribe(() => {
+            this.renderPetOptions();
+            this.render();
+            this.notifier.check(this.getReminders());
+        }));
+        this.own(this.appointments.subscribe(() => this.renderAppointments()));
+        this.own(i18n.onChange(() => {
+            this.renderOptions();
+            this.render();
+            this.renderAppointments();
+        }));
+
+        // Reminders move from "soon" to "due" as days pass in an open tab
+        const timer = setInterval(() => {
+            this.render();
+            this.notifier.check(this.getReminders());
+        }, 60 * 60 * 1000);
+        this.own(() => clearInterval(timer));
+    }
+
+    getReminders() {
+        return getCareReminders(this.store.getAll(), this.schedules);
+    }
+
+    renderOptions() {
+        const type = this.form.elements.type;
+        const selected = type.value;
+        type.innerHTML = '';
+        PET_CARE_TYPES.forEach(value => type.appendChild(new Option(i18n.t(`care.type.${value}`), value)));
+        type.value = selected || PET_CARE_TYPES[0];
+        this.renderPetOptions();
+    }
+
+    renderPetOptions() {
+        const select = this.form.elements.pet;
+        const pets = this.store.getAll();
+        const selected = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(i18n.t('care.selectPet'), ''));
+        pets.forEach(pet => select.appendChild(new Option(pet.name, pet.id)));
+        select.value = pets.some(pet => pet.id === selected) ? selected : (pets.length === 1 ? pets[0].id : '');
+
+        this.form.hidden = !pets.length;
+        this.noPets.hidden = Boolean(pets.length);
+    }
+
+    render() {
+        this.renderReminders();
+        this.renderHistory();
+        this.renderNotifyButton();
+    }
+
+    renderReminders() {
+        const reminders = this.getReminders();
+        this.remindersList.innerHTML = '';
+        if (!reminders.length) {
+            this.remindersList.appendChild(this.createEmptyItem('care.empty'));
+            return;
+        }
+
+        reminders.forEach(reminder => {
+            const item = document.createElement('li');
+            item.className = `care-item care-item-${reminder.status}`;
+            item.dataset.reminderId = reminder.id;
+            item.innerHTML = `
+                <div class="care-item-icon"><i class="fas ${CARE_TYPE_ICONS[reminder.type]}" aria-hidden="true"></i></div>
+                <div class="care-item-body">
+                    <h5 class="care-item-title"></h5>
+                    <p class="care-item-when"></p>
+                    <p class="care-item-meta"></p>
+                </div>
+                <div class="pet-card-actions">
+                    <button type="button" class="pet-card-button" data-care-done></button>
+                    <button type="button" class="pet-card-button" data-care-ics><i class="fas fa-calendar-plus" aria-hidden="true"></i> .ics</button>
+                </div>
+            `;
+            const title = getReminderTitle(reminder);
+            item.querySelector('.care-item-title').textContent = title;
+            item.querySelector('.care-item-when').textContent = describeReminderDue(reminder);
+            item.querySelector('.care-item-meta').textContent = i18n.t('care.lastDone', { date: formatCareDate(reminder.lastDate) });
+            const done = item.querySelector('[data-care-done]');
+            done.textContent = i18n.t('care.markDone');
+            done.setAttribute('aria-label', i18n.t('care.markDoneNamed', { title }));
+            item.querySelector('[data-care-ics]').setAttribute('aria-label', i18n.t('care.addToCalendarNamed', { title }));
+            this.remindersList.appendChild(item);
+        });
+    }
+
+    renderAppointments() {
+        const appointments = this.appointments.getUpcoming();
+        this.appointmentsList.innerHTML = '';
+        if (!appointments.length) {
+            this.appointmentsList.appendChild(this.createEmptyItem('care.noAppointments'));
+            return;
+        }
+
+        appointments.forEach(appointment => {
+            const event = appointmentToIcsEvent(appointment);
+            const item = document.createElement('li');
+            item.className = 'care-item';
+            item.innerHTML = `
+                <div class="care-item-icon"><i class="fas fa-calendar-check" aria-hidden="true"></i></div>
+                <div class="care-item-body">
+                    <h5 class="care-item-title"></h5>
+                    <p class="care-item-when"></p>
+                    <p class="care-item-meta"></p>
+                </div>
+                <div class="pet-card-actions">
+                    <button type="button" class="pet-card-button" data-appointment-ics><i class="fas fa-calendar-plus" aria-hidden="true"></i> .ics</button>
+                </div>
+            `;
+            item.querySelector('.care-item-title').textContent = event.title;
+            item.querySelector('.care-item-when').textContent = i18n.t('care.appointmentWhen', {
+                date: formatCareDate(appointment.date),
+                time: formatSlotTime(appointment.time)
+            });
+            item.querySelector('.care-item-meta').textContent = event.description;
+            const button = item.querySelector('[data-appointment-ics]');
+            button.dataset.appointmentIcs = appointment.reference;
+            button.setAttribute('aria-label', i18n.t('care.addToCalendarNamed', { title: event.title }));
+            this.appointmentsList.appendChild(item);
+        });
+    }
+
+    /**
+     * The ten most recent records across all pets
+     */
+    renderHistory() {
+        const records = this.store.getAll()
+            .flatMap(pet => pet.care.map(record => ({ pet, record })))
+            .sort((a, b) => b.record.date.localeCompare(a.record.date))
+            .slice(0, 10);
+        this.historyList.innerHTML = '';
+        if (!records.length) {
+            this.historyList.appendChild(this.createEmptyItem('care.noHistory'));
+            return;
+        }
+
+        records.forEach(({ pet, record }) => {
+            const item = document.createElement('li');
+            item.className = 'care-history-item';
+            item.dataset.petId = pet.id;
+            const text = document.createElement('span');
+            text.textContent = [
+                formatCareDate(record.date),
+                getReminderTitle({ type: record.type, pet }),
+                record.note
+            ].filter(Boolean).join(' · ');
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'pet-card-button pet-card-delete';
+            remove.dataset.careRemove = record.id;
+            remove.textContent = i18n.t('care.remove');
+            remove.setAttribute('aria-label', i18n.t('care.removeNamed', { record: text.textContent }));
+            item.append(text, remove);
+            this.historyList.appendChild(item);
+        });
+    }
+
+    renderNotifyButton() {
+        const blocked = this.notifier.permission === 'denied';
+        this.notifyButton.hidden = !this.notifier.supported;
+        this.notifyButton.setAttribute('aria-pressed', String(this.notifier.enabled));
+        this.notifyButton.querySelector('span').textContent = i18n.t(blocked ? 'care.notifyBlocked' : 'care.notify');
+        this.notifyButton.disabled = blocked;
+    }
+
+    createEmptyItem(key) {
+        const empty = document.createElement('li');
+        empty.className = 'pet-list-empty';
+        empty.textContent = i18n.t(key);
+        return empty;
+    }
+
+    resetForm() {
+        this.validator.reset();
+        // Care can't be recorded ahead of time
+        const today = toDateInputValue(new Date());
+        this.form.elements.date.max = today;
+        this.form.elements.date.value = today;
+        this.renderPetOptions();
+    }
+
+    saveRecord(data) {
+        const pet = this.store.get(data.pet);
+        if (!pet) return;
+        this.store.addCare(pet.id, { type: data.type, date: data.date, note: data.note });
+        this.status.textContent = i18n.t('care.saved', { title: getReminderTitle({ type: data.type, pet }) });
+        this.form.elements.note.value = '';
+    }
+
+    markDone(reminder) {
+        this.store.addCare(reminder.pet.id, { type: reminder.type, date: toDateInputValue(new Date()) });
+        this.status.textContent = i18n.t('care.saved', { title: getReminderTitle(reminder) });
+    }
+
+    removeRecord(petId, recordId) {
+        this.store.removeCare(petId, recordId);
+        this.status.textContent = i18n.t('care.removed');
+        this.form.elements.pet.focus();
+    }
+
+    exportAll() {
+        const events = [
+            ...this.getReminders().map(reminderToIcsEvent),
+            ...this.appointments.getUpcoming().map(appointmentToIcsEvent)
+        ];
+        if (!events.length) {
+            this.status.textContent = i18n.t('care.exportEmpty');
+            return;
+        }
+        downloadIcs(events, `pawscare-care-${toDateInputValue(new Date())}.ics`);
+    }
+
+    async toggleNotifications() {
+        if (this.notifier.enabled) {
+            this.notifier.disable();
+        } else if (await this.notifier.enable()) {
+            this.notifier.check(this.getReminders());
+        }
+        this.renderNotifyButton();
+    }
+}
+
+components.define('care-dashboard', (element) => {
+    let overrides = {};
+    try {
+        overrides = JSON.parse(element.dataset.careSchedules || '{}');
+    } catch (error) {
+        console.warn('Ignoring invalid data-care-schedules', error);
+    }
+    return new CareDashboard(element, {
+        store: petStore,
+        appointments: appointmentStore,
+        notifier: new CareNotifier(),
+        schedules: mergeCareSchedules(overrides)
+    });
+}, {
+    requires: ['#careReminders', '#careAppointments', '#careHistory', '#careForm', '[data-care-no-pets]', '[data-care-notify]', '#careExport', '#careStatus']
+});
+
+// ============================================
+// CONTACT FORM
+// ============================================
+
+/**
+ * Contact form submission: optional booking, then delivery via FormSubmitter
+ */
+class ContactForm extends Component {
+    constructor(form, options = {}) {
+        super(form);
+        this.form = form;
+        this.booking = options.booking || null;
+        this.pets = options.pets || null;
+        this.appointments = options.appointments || null;
+        this.submitter = options.submitter;
+        this.formMessage = document.getElementById('formMessage');
+        this.messageTimer = null;
+        this.phoneCountry = form.querySelector('select[name="phoneCountry"]');
+        this.countryChosen = false;
+        this.pickupOption = form.querySelector('[data-pickup-option]');
+        this.pickup = null;
+        this.validator = null;
+    }
+
+    init() {
+        if (this.phoneCountry) this.initPhoneCountry();
+        this.validator = new FormValidator(this.form, {
+            onSubmit: (data) => this.submit(data)
+        });
+        this.validator.init();
+
+        this.own(() => this.validator.destroy());
+        if (this.booking) {
+            this.booking.init();
+            this.own(() => this.booking.destroy());
+        }
+        if (this.submitter.queue) this.own(() => this.submitter.queue.destroy());
+        if (this.pickupOption) this.own(i18n.onChange(() => this.renderPickup()));
+        this.own(() => clearTimeout(this.messageTimer));
+    }
+
+    /**
+     * Phone country picker. Follows the site language until the visitor picks a country.
+     */
+    initPhoneCountry() {
+        const render = () => {
+            const selected = this.countryChosen ? this.phoneCountry.value : i18n.country;
+            this.phoneCountry.innerHTML = '';
+            Object.entries(PHONE_COUNTRIES).forEach(([code, country]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = `${i18n.formatRegion(code)} (+${country.dial})`;
+                // Form reset returns to this option
+                option.defaultSelected = code === selected;
+                this.phoneCountry.appendChild(option);
+            });
+            this.phoneCountry.value = selected;
+        };
+
+        this.listen(this.phoneCountry, 'change', () => {
+            this.countryChosen = true;
+        });
+        render();
+        this.own(i18n.onChange(render));
+    }
+
+    async submit(data) {
+        const { bookingDate, bookingTime, pet: petId, pickup, ...details } = data;
+
+        // The pet's details travel with the request, not just its local id
+        const pet = this.pets && petId ? this.pets.get(petId) : null;
+        if (pet) details.pet = pet;
+        if (pickup && this.pickup) details.pickup = this.pickup;
+
+        try {
+            let booking = null;
+            if (this.booking && this.booking.isRequested()) {
+                try {
+                    booking = await this.booking.reserve(details);
+                } catch (error) {
+                    this.handleBookingError(error);
+                    return;
+                }
+                Object.assign(details, {
+                    bookingReference: booking.reference,
+                    bookingDate: booking.date,
+                    bookingTime: booking.time
+                });
+            }
+
+            let result;
+            try {
+                result = await this.submitter.submit(details);
+            } catch (error) {
+                if (booking) await this.booking.cancel(booking);
+                throw error;
+            }
+            if (booking && this.appointments) {
+                this.appointments.add({
+                    reference: booking.reference,
+                    service: booking.service,
+                    date: booking.date,
+                    time: booking.time,
+                    pet: pet ? pet.name : ''
+                });
+            }
+            analytics.track('form_submit', {
+                form: 'contact',
+                status: result.status,
+                service: details.service || null,
+                booking: Boolean(booking),
+                pickup: Boolean(details.pickup)
+            });
+
+            const confirmation = booking
+                ? i18n.t('contact.booked', { summary: this.booking.describe(booking), reference: booking.reference })
+                : i18n.t('contact.sent');
+
+            if (result.status === 'queued') {
+                this.showMessage(`${booking ? confirmation + ' ' : ''}${i18n.t('contact.queued')}`, 'pending', 15000);
+            } else {
+                // Longer for bookings so the reference can be noted
+                this.showMessage(confirmation, 'success', booking ? 15000 : 5000);
+            }
+
+            // Reset form
+            this.validator.reset();
+            if (this.booking) this.booking.reset();
+        } catch (error) {
+            console.error('Submission failed', error);
+            this.showMessage(error instanceof SubmissionError
+                ? error.message
+                : i18n.t('contact.failed'), 'error');
+        }
+    }
+
+    /**
+     * Offer pickup & delivery for an address checked in the service area
+     * section ({ place, postcode, distanceMiles, fee, currency }), or withdraw
+     * the offer with null
+     */
+    setPickup(pickup) {
+        this.pickup = pickup;
+        if (!this.pickupOption) return;
+        const checkbox = this.pickupOption.querySelector('input');
+        // Chosen by default, and kept chosen when the form is reset
+        checkbox.checked = checkbox.defaultChecked = Boolean(pickup);
+        this.renderPickup();
+    }
+
+    renderPickup() {
+        this.pickupOption.hidden = !this.pickup;
+        if (!this.pickup) return;
+        this.pickupOption.querySelector('[data-pickup-label]').textContent = i18n.t('contact.pickup', {
+            place: this.pickup.place,
+            fee: formatPickupFee(this.pickup.fee)
+        });
+    }
+
+    focusPickup() {
+        smoothScrollTo(this.form);
+        const checkbox = this.pickupOption && this.pickupOption.querySelector('input');
+        if (checkbox && !this.pickupOption.hidden) checkbox.focus({ preventScroll: true });
+    }
+
+    /**
+     * Send an inquiry built elsewhere on the page (e.g. a quote) through this
+     * form's transport and offline queue. Resolves to { status, submission }.
+     */
+    sendInquiry(details) {
+        return this.submitter.submit(details);
+    }
+
+    showMessage(text, type, duration = 0) {
+        if (!this.formMessage) {
+            console.error('Form message element not found');
+            return;
+        }
+
+        clearTimeout(this.messageTimer);
+        this.formMessage.textContent = text;
+        this.formMessage.classList.remove('success', 'error', 'pending');
+        this.formMessage.classList.add(type);
+
+        if (duration) {
+            this.messageTimer = setTimeout(() => {
+                this.formMessage.textContent = '';
+                this.formMessage.classList.remove(type);
+            }, duration);
+        }
+    }
+
+    handleBookingError(error) {
+        if (error instanceof BookingConflictError) {
+            this.validator.showFieldError('bookingTime', error.message);
+            this.booking.loadSlots();
+            return;
+        }
+
+        console.error('Booking failed', error);
+        this.showMessage(i18n.t('booking.failed'), 'error');
+    }
+}
+
+components.define('contact-form', (element) => {
+    // A data-booking-endpoint attribute switches availability to a remote/mock API
+    const endpoint = element.dataset.bookingEndpoint;
+    const source = endpoint ? new RemoteBookingSource(endpoint) : new LocalBookingSource();
+    const booking = document.getElementById('slotPicker')
+        ? new BookingManager(element, source)
+        : null;
+
+    // Without a data-submit-endpoint, submissions are kept locally by MockTransport
+    const submitEndpoint = element.dataset.submitEndpoint;
+    const transport = submitEndpoint ? new FetchTransport(submitEndpoint) : new MockTransport();
+    const controller = new ContactForm(element, {
+        booking,
+        pets: petStore,
+        appointments: appointmentStore,
+        submitter: new FormSubmitter(transport, new SubmissionQueue(transport, {
+            onDelivered: () => controller.showMessage(i18n.t('contact.delivered'), 'success', 5000)
+        }))
+    });
+    return controller;
+});
+
+// ============================================
+// QUOTE WIZARD
+// ============================================
+
+/**
+ * Pricing rules behind the quote wizard, in cents like the shop. Services
+ * without an entry aren't offered. `unit` and `quantity` add the nights or
+ * sessions step and `discounts` apply from `min` of them; `sized: false`
+ * ignores the pet's size. Add-ons are charged once, per unit with
+ * `perUnit`, and scale with size when `sized`.
+ */
+const QUOTE_PRICING = {
+    sizes: { small: 1, medium: 1.25, large: 1.5, giant: 1.75 },
+    services: {
+        grooming: {
+            base: 4000,
+            species: ['dog', 'cat', 'rabbit'],
+            addOns: [
+                { id: 'nails', price: 1000 },
+                { id: 'teeth', price: 1200 },
+                { id: 'deshedding', price: 2500, sized: true },
+                { id: 'flea', price: 1800, sized: true }
+            ]
+        },
+        veterinary: {
+            base: 6000,
+            sized: false,
+            addOns: [
+                { id: 'bloodwork', price: 9000 },
+                { id: 'vaccination', price: 3500 },
+                { id: 'microchip', price: 4500 }
+            ]
+        },
+        training: {
+            base: 8000,
+            sized: false,
+            species: ['dog'],
+            unit: 'session',
+            quantity: { min: 1, max: 12, default: 4 },
+            discounts: [{ min: 6, percent: 10 }],
+            addOns: [
+                { id: 'homeVisit', price: 2500, perUnit: true },
+                { id: 'report', price: 1500 }
+            ]
+        },
+        boarding: {
+            base: 4500,
+            species: ['dog', 'cat', 'rabbit', 'bird'],
+            unit: 'night',
+            quantity: { min: 1, max: 30, default: 3 },
+            discounts: [{ min: 7, percent: 10 }, { min: 14, percent: 15 }],
+            addOns: [
+                { id: 'playtime', price: 1500, perUnit: true },
+                { id: 'webcam', price: 500, perUnit: true },
+                { id: 'bath', price: 2500, sized: true },
+                { id: 'taxi', price: 2000 }
+            ]
+        },
+        wellness: {
+            base: 12000,
+            sized: false,
+            species: ['dog', 'cat', 'rabbit'],
+            addOns: [
+                { id: 'dental', price: 15000 },
+                { id: 'microchip', price: 4500 }
+            ]
+        }
+    }
+};
+
+/**
+ * Itemized estimate for { service, size, addOns, quantity }, or null for a
+ * service without pricing. Amounts are in cents.
+ */
+function calculateQuote({ service, species = '', size = '', addOns = [], quantity }, pricing = QUOTE_PRICING) {
+    const rule = pricing.services[service];
+    if (!rule) return null;
+
+    const range = rule.quantity;
+    const count = range
+        ? Math.min(range.max, Math.max(range.min, Math.round(Number(quantity)) || range.default))
+        : 1;
+    const multiplier = rule.sized === false ? 1 : (pricing.sizes[size] || 1);
+
+    const lines = [{ id: 'base', quantity: count, unitPrice: Math.round(rule.base * multiplier) }];
+    (rule.addOns || []).filter(addOn => addOns.includes(addOn.id)).forEach(addOn => {
+        lines.push({
+            id: addOn.id,
+            addOn: true,
+            quantity: addOn.perUnit ? count : 1,
+            unitPrice: Math.round(addOn.price * (addOn.sized ? multiplier : 1))
+        });
+    });
+    lines.forEach(line => {
+        line.amount = line.unitPrice * line.quantity;
+    });
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const tier = (rule.discounts || [])
+        .filter(discount => count >= discount.min)
+        .reduce((best, discount) => (!best || discount.percent > best.percent ? discount : best), null);
+    const discount = tier ? Math.round(subtotal * tier.percent / 100) : 0;
+
+    return {
+        service,
+        species,
+        size: rule.sized === false ? '' : size,
+        unit: rule.unit || '',
+        quantity: count,
+        lines,
+        subtotal,
+        discountPercent: tier ? tier.percent : 0,
+        discount,
+        total: subtotal - discount
+    };
+}
+
+/**
+ * "$45 per night" for unit-priced services, else just the price
+ */
+function formatUnitPrice(cents, unit) {
+    const price = formatCurrency(cents);
+    return unit ? i18n.t(`quote.per.${unit}`, { price }) : price;
+}
+
+/**
+ * Localized [label, amount] rows for an estimate, ending with the total
+ */
+function getQuoteRows(quote) {
+    const service = serviceCatalog.get(quote.service);
+    const title = service ? localizeService(service).title : quote.service;
+    const units = quote.unit ? i18n.plural(`quote.units.${quote.unit}`, quote.quantity) : '';
+
+    const rows = quote.lines.map(line => {
+        let label = line.addOn
+            ? i18n.t(`quote.addOn.${line.id}`)
+            : (quote.size ? i18n.t('quote.baseSized', { service: title, size: i18n.t(`quote.size.${quote.size}`) }) : title);
+        if (line.quantity > 1) label = i18n.t('quote.lineQuantity', { label, quantity: units });
+        return [label, formatCurrency(line.amount)];
+    });
+
+    if (quote.discount) {
+        rows.push(
+            [i18n.t('quote.subtotal'), formatCurrency(quote.subtotal)],
+            [i18n.t('quote.discount', { quantity: units, percent: formatStatValue(quote.discountPercent, { format: 'percent' }) }), `-${formatCurrency(quote.discount)}`]
+        );
+    }
+    rows.push([i18n.t('quote.total'), formatCurrency(quote.total)]);
+    return rows;
+}
+
+/**
+ * Plain-text estimate sent as the inquiry message
+ */
+function describeQuote(quote, reference) {
+    const pet = [
+        quote.species && i18n.t(`pets.species.${quote.species}`),
+        quote.size && i18n.t(`quote.size.${quote.size}`)
+    ].filter(Boolean).join(', ');
+    return [
+        i18n.t('quote.messageTitle', { reference }),
+        ...(pet ? [i18n.t('quote.messagePet', { pet })] : []),
+        ...getQuoteRows(quote).map(([label, amount]) => `${label}: ${amount}`)
+    ].join('\n');
+}
+
+/**
+ * Multi-step price estimate: service -> pet -> extras -> nights/sessions ->
+ * estimate. Opened at #/quote or #/quote/:service; answers are kept while
+ * the dialog is closed and cleared once a quote is sent.
+ */
+class QuoteWizard extends Component {
+    constructor(element, catalog, router, contactForm, pricing = QUOTE_PRICING) {
+        super(element);
+        this.catalog = catalog;
+        this.router = router;
+        this.contactForm = contactForm;
+        this.pricing = pricing;
+        this.panel = element.querySelector('.quote-panel');
+        this.form = element.querySelector('#quoteForm');
+        this.steps = [...this.form.querySelectorAll('.quote-step')];
+        this.progressItems = [...element.querySelectorAll('.quote-progress [data-step]')];
+        this.serviceList = element.querySelector('#quoteServices');
+        this.speciesSelect = this.form.querySelector('[name="species"]');
+        this.sizeGroup = element.querySelector('.quote-size');
+        this.addOnList = element.querySelector('#quoteAddOns');
+        this.quantityInput = this.form.querySelector('[name="quantity"]');
+        this.backButton = element.querySelector('#quoteBack');
+        this.nextButton = element.querySelector('#quoteNext');
+        this.sendButton = element.querySelector('#quoteSend');
+        this.errorElement = element.querySelector('#quoteError');
+        this.confirmation = element.querySelector('#quoteConfirmation');
+        this.focusTrap = new FocusTrap(this.panel);
+        this.validator = null;
+        this.currentStep = 0;
+    }
+
+    init() {
+        const route = {
+            enter: (params) => this.open(params.service),
+            leave: () => this.close()
+        };
+        this.router.add('/quote', route);
+        this.router.add('/quote/:service', route);
+        this.own(() => this.router.remove(route));
+
+        this.validator = new FormValidator(this.form, {
+            onSubmit: (data) => this.send(data)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
+
+        this.element.querySelectorAll('[data-quote-close]').forEach(element => {
+            this.listen(element, 'click', () => this.router.back('#services'));
+        });
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.router.back('#services');
+        });
+
+        this.listen(this.backButton, 'click', () => this.goTo(this.currentStep - 1));
+        this.listen(this.nextButton, 'click', () => this.next());
+        // Enter in a field advances a step instead of sending early
+        this.listen(this.form, 'keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && !this.isLastStep()) {
+                e.preventDefault();
+                this.next();
+            }
+        });
+        this.listen(this.form, 'change', (e) => {
+            if (e.target.name === 'service') this.applyService();
+        });
+
+        this.own(this.catalog.subscribe(() => this.render()));
+        this.own(i18n.onChange(() => this.render()));
+    }
+
+    render() {
+        this.renderServices();
+        this.applyService();
+    }
+
+    isOpen() {
+        return this.element.classList.contains('active');
+    }
+
+    /**
+     * Open at the first step, or at the pet step with `serviceId` chosen
+     */
+    open(serviceId) {
+        if (serviceId && !this.getServiceRadio(serviceId)) {
+            console.warn(`No quote pricing for service: ${serviceId}`);
+            this.router.navigate('#services', { replace: true });
+            return;
+        }
+
+        if (serviceId) this.setService(serviceId);
+        this.form.hidden = false;
+        this.confirmation.hidden = true;
+        this.errorElement.textContent = '';
+        // Reopening returns to the step the visitor left off at
+        this.goTo(serviceId ? 1 : this.currentStep);
+        setActiveNavLink('services');
+        this.element.classList.add('active');
+        this.element.setAttribute('aria-hidden', 'false');
+        scrollLock.lock(this);
+        this.focusTrap.activate(this.getStepFocus());
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.element.classList.remove('active');
+        this.element.setAttribute('aria-hidden', 'true');
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
+    }
+
+    getRule() {
+        return this.pricing.services[this.validator.getValue('service')] || null;
+    }
+
+    /**
+     * Steps that apply to the chosen service (nights/sessions only when priced per unit)
+     */
+    getActiveSteps() {
+        const rule = this.getRule();
+        return this.steps.filter(step => step.dataset.step !== 'quantity' || (rule && rule.quantity));
+    }
+
+    isLastStep() {
+        return this.currentStep === this.getActiveSteps().length - 1;
+    }
+
+    async next() {
+        // Only the fields in the visible step are checked before moving on
+        if (await this.validator.validateForm(this.getActiveSteps()[this.currentStep])) {
+            this.goTo(this.currentStep + 1);
+            this.getStepFocus().focus();
+        }
+    }
+
+    goTo(index) {
+        const active = this.getActiveSteps();
+        this.currentStep = Math.max(0, Math.min(index, active.length - 1));
+        const current = active[this.currentStep];
+
+        this.steps.forEach(step => {
+            step.hidden = step !== current;
+        });
+        this.progressItems.forEach(item => {
+            const position = active.findIndex(step => step.dataset.step === item.dataset.step);
+            item.hidden = position === -1;
+            item.classList.toggle('active', position === this.currentStep);
+            item.classList.toggle('complete', position !== -1 && position < this.currentStep);
+            if (position === this.currentStep) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        this.backButton.hidden = this.currentStep === 0;
+        this.nextButton.hidden = this.isLastStep();
+        this.sendButton.hidden = !this.isLastStep();
+
+        if (this.isLastStep()) this.renderEstimate();
+    }
+
+    getStepFocus() {
+        const step = this.getActiveSteps()[this.currentStep];
+        return step.querySelector('input:checked, select, input:not([type="radio"]):not([type="checkbox"])')
+            || step.querySelector('input')
+            || this.nextButton;
+    }
+
+    getServiceRadio(id) {
+        return [...this.serviceList.querySelectorAll('[name="service"]')].find(radio => radio.value === id) || null;
+    }
+
+    setService(id) {
+        const radio = this.getServiceRadio(id);
+        if (!radio || radio.checked) return;
+        radio.checked = true;
+        this.applyService();
+    }
+
+    renderServices() {
+        const selected = this.validator.getValue('service');
+        this.serviceList.innerHTML = '';
+
+        this.catalog.getAll().filter(service => this.pricing.services[service.id]).forEach(service => {
+            const rule = this.pricing.services[service.id];
+            const { title } = localizeService(service);
+            const choice = document.createElement('label');
+            choice.className = 'choice quote-choice';
+            choice.innerHTML = `
+                <input type="radio" name="service">
+                <i class="fas ${service.icon}" aria-hidden="true"></i>
+                <span class="quote-choice-title"></span>
+                <span class="quote-choice-price"></span>
+            `;
+            const radio = choice.querySelector('input');
+            radio.value = service.id;
+            radio.checked = service.id === selected;
+            choice.querySelector('.quote-choice-title').textContent = title;
+            choice.querySelector('.quote-choice-price').textContent =
+                i18n.t('quote.from', { price: formatUnitPrice(rule.base, rule.unit) });
+            this.serviceList.appendChild(choice);
+        });
+
+        const first = this.serviceList.querySelector('input');
+        if (first) {
+            first.dataset.validate = 'required';
+            first.dataset.label = i18n.t('quote.serviceLabel');
+        }
+        this.validator.refresh();
+    }
+
+    /**
+     * Fit the later steps to the chosen service, keeping answers that still apply
+     */
+    applyService() {
+        const rule = this.getRule();
+
+        const species = this.speciesSelect.value;
+        const allowed = rule ? (rule.species || Object.keys(PET_SPECIES_ICONS)) : [];
+        this.speciesSelect.innerHTML = '';
+        this.speciesSelect.appendChild(new Option(i18n.t('pets.selectSpecies'), ''));
+        allowed.forEach(value => this.speciesSelect.appendChild(new Option(i18n.t(`pets.species.${value}`), value)));
+        this.speciesSelect.value = allowed.length === 1 ? allowed[0] : (allowed.includes(species) ? species : '');
+
+        const sized = Boolean(rule) && rule.sized !== false;
+        this.sizeGroup.hidden = !sized;
+        const firstSize = this.sizeGroup.querySelector('input');
+        if (sized) {
+            firstSize.dataset.validate = 'required';
+        } else {
+            firstSize.removeAttribute('data-validate');
+            this.validator.clearFieldError('size');
+        }
+
+        this.renderAddOns(rule);
+        this.applyQuantity(rule);
+        this.validator.refresh();
+
+        // The number of steps may have changed; stay on the same one
+        this.goTo(this.currentStep);
+    }
+
+    renderAddOns(rule) {
+        const checked = [...this.addOnList.querySelectorAll('input:checked')].map(input => input.value);
+        const addOns = rule ? rule.addOns || [] : [];
+        this.addOnList.innerHTML = '';
+
+        addOns.forEach(addOn => {
+            const price = formatUnitPrice(addOn.price, addOn.perUnit ? rule.unit : '');
+            const choice = document.createElement('label');
+            choice.className = 'choice quote-choice';
+            choice.innerHTML = `
+                <input type="checkbox" name="addOns">
+                <span class="quote-choice-title"></span>
+                <span class="quote-choice-price"></span>
+            `;
+            const input = choice.querySelector('input');
+            input.value = addOn.id;
+            input.checked = checked.includes(addOn.id);
+            choice.querySelector('.quote-choice-title').textContent = i18n.t(`quote.addOn.${addOn.id}`);
+            choice.querySelector('.quote-choice-price').textContent = addOn.sized
+                ? i18n.t('quote.from', { price: `+${price}` })
+                : `+${price}`;
+            this.addOnList.appendChild(choice);
+        });
+
+        const empty = this.element.querySelector('.quote-addons-empty');
+        empty.hidden = addOns.length > 0;
+    }
+
+    applyQuantity(rule) {
+        const range = rule && rule.quantity;
+        if (!range) {
+            this.quantityInput.removeAttribute('data-validate');
+            return;
+        }
+
+        this.quantityInput.min = range.min;
+        this.quantityInput.max = range.max;
+        this.quantityInput.dataset.validate = `required|number|between:${range.min},${range.max}`;
+        const value = Number(this.quantityInput.value);
+        if (!this.quantityInput.value || value < range.min || value > range.max) {
+            this.quantityInput.value = range.default;
+        }
+
+        this.element.querySelector('#quoteQuantityLabel').textContent = i18n.t(`quote.quantity.${rule.unit}`);
+        this.quantityInput.dataset.label = i18n.t(`quote.quantity.${rule.unit}`);
+        this.element.querySelector('.quote-quantity-hint').textContent = (rule.discounts || [])
+            .map(discount => i18n.t('quote.discountHint', {
+                quantity: i18n.plural(`quote.units.${rule.unit}`, discount.min),
+                percent: formatStatValue(discount.percent, { format: 'percent' })
+            }))
+            .join(' ');
+        this.progressItems
+            .filter(item => item.dataset.step === 'quantity')
+            .forEach(item => {
+                item.textContent = i18n.t(`quote.steps.${rule.unit}`);
+            });
+    }
+
+    getSelection() {
+        return {
+            service: this.validator.getValue('service'),
+            species: this.validator.getValue('species'),
+            size: this.validator.getValue('size'),
+            addOns: [...this.addOnList.querySelectorAll('input:checked')].map(input => input.value),
+            quantity: this.validator.getValue('quantity')
+        };
+    }
+
+    renderEstimate() {
+        const quote = calculateQuote(this.getSelection(), this.pricing);
+        const summary = this.element.querySelector('#quoteSummary');
+        summary.innerHTML = '';
+        if (!quote) return;
+
+        const list = document.createElement('ul');
+        list.className = 'review-lines';
+        const rows = getQuoteRows(quote);
+        rows.forEach(([label, amount], index) => {
+            const line = document.createElement('li');
+            if (index === rows.length - 1) line.className = 'review-total';
+            line.innerHTML = '<span></span><span></span>';
+            line.children[0].textContent = label;
+            line.children[1].textContent = amount;
+            list.appendChild(line);
+        });
+        summary.appendChild(list);
+    }
+
+    async send(data) {
+        const quote = calculateQuote(this.getSelection(), this.pricing);
+        if (!quote) return;
+
+        const reference = createBookingReference('QTE');
+        this.errorElement.textContent = '';
+
+        try {
+            const result = await this.contactForm.sendInquiry({
+                type: 'quote',
+                name: data.name,
+                email: data.email,
+                phone: data.phone,
+                service: quote.service,
+                message: describeQuote(quote, reference),
+                quote: { reference, ...quote, currency: CART_CONFIG.currency }
+            });
+            analytics.track('form_submit', {
+                form: 'quote',
+                status: result.status,
+                service: quote.service,
+                value: quote.total
+            });
+            this.showConfirmation(reference, data.email, result.status === 'queued');
+            this.reset();
+        } catch (error) {
+            console.error('Quote could not be sent', error);
+            this.errorElement.textContent = error instanceof SubmissionError
+                ? error.message
+                : i18n.t('quote.failed');
+        }
+    }
+
+    reset() {
+        this.currentStep = 0;
+        this.validator.reset();
+        this.applyService();
+    }
+
+    showConfirmation(reference, email, queued) {
+        this.form.hidden = true;
+        this.confirmation.hidden = false;
+        this.confirmation.querySelector('.confirmation-reference').textContent = reference;
+        this.confirmation.querySelector('.confirmation-note').textContent = queued
+            ? i18n.t('quote.queued')
+            : i18n.t('quote.sent', { email });
+        this.confirmation.querySelector('button').focus();
+    }
+}
+
+// data-contact-form names the form whose submission pipeline sends the quotes
+components.define('quote-wizard', (element) => {
+    const formElement = document.getElementById(element.dataset.contactForm);
+    const contactForm = formElement && components.mountComponent(formElement, 'contact-form');
+    if (!contactForm) throw new Error(`No contact form "${element.dataset.contactForm}" for the quote wizard`);
+    return new QuoteWizard(element, serviceCatalog, router, contactForm);
+}, {
+    requires: [
+        '.quote-panel', '#quoteForm', '#quoteServices', '.quote-size', '#quoteAddOns', '#quoteQuantityLabel',
+        '#quoteSummary', '#quoteBack', '#quoteNext', '#quoteSend', '#quoteError', '#quoteConfirmation'
+    ]
+});
+
+// ============================================
+// LIVE CHAT
+// ============================================
+
+/**
+ * Whether we're open at `now`: { open: true, closes } or
+ * { open: false, opens, date } with the next opening time and its day
+ */
+function getOpeningStatus(now = new Date(), hours = BUSINESS_HOURS) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const today = hours[now.getDay()];
+    if (today && minutes >= timeToMinutes(today[0]) && minutes < timeToMinutes(today[1])) {
+        return { open: true, closes: today[1] };
+    }
+
+    for (let offset = 0; offset < 8; offset++) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        const day = hours[date.getDay()];
+        if (day && (offset > 0 || minutes < timeToMinutes(day[0]))) {
+            return { open: false, opens: day[0], date };
+        }
+    }
+    return { open: false, opens: null, date: null };
+}
+
+/**
+ * FAQ bot topics. Keywords are matched anywhere in the message (normalized as
+ * for site search), so Arabic words still match with a prefix such as "ال".
+ */
+const CHAT_BOT_RULES = [
+    {
+        id: 'hours',
+        keywords: ['hour', 'open', 'close', 'closing', 'weekend', 'saturday', 'sunday', 'holiday',
+            'horario', 'abierto', 'abren', 'cierran', 'sabado', 'domingo',
+            'ساعات', 'مفتوح', 'تفتح', 'تغلق', 'دوام', 'السبت', 'الأحد']
+    },
+    {
+        id: 'location',
+        keywords: ['where', 'address', 'location', 'directions', 'parking', 'map',
+            'donde', 'direccion', 'ubicacion', 'aparcamiento', 'mapa',
+            'أين', 'عنوان', 'موقع', 'مكان', 'خريطة']
+    },
+    {
+        id: 'services',
+        keywords: ['service', 'offer', 'price', 'cost', 'grooming', 'boarding', 'training', 'vet', 'vaccin',
+            'servicio', 'precio', 'cuesta', 'peluqueria', 'guarderia', 'adiestramiento', 'veterinari',
+            'خدمة', 'خدمات', 'سعر', 'أسعار', 'تكلفة', 'تدريب', 'بيطري']
+    },
+    {
+        id: 'agent',
+        keywords: ['human', 'person', 'agent', 'someone', 'staff', 'talk to',
+            'humano', 'persona', 'agente', 'alguien',
+            'موظف', 'شخص', 'إنسان']
+    }
+];
+
+/**
+ * Id of the FAQ topic with the most keyword hits in `text`, or null.
+ * Ties go to the earlier rule.
+ */
+function matchChatRule(text, rules = CHAT_BOT_RULES) {
+    const normalized = normalizeSearchText(text);
+    let best = null;
+    let bestScore = 0;
+    rules.forEach(rule => {
+        const score = rule.keywords.filter(keyword => normalized.includes(normalizeSearchText(keyword))).length;
+        if (score > bestScore) {
+            best = rule.id;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+const CHAT_AUTHORS = ['visitor', 'agent', 'bot'];
+const CHAT_MESSAGE_LIMIT = 2000;
+
+/**
+ * Validate a stored or received chat message. Bot messages keep the answer id
+ * (and params), not the text, so they follow the language.
+ */
+function normalizeChatMessage(data) {
+    if (!data || !CHAT_AUTHORS.includes(data.from)) return null;
+    const message = {
+        id: typeof data.id === 'string' && data.id ? data.id : createSubmissionId(),
+        from: data.from,
+        sentAt: typeof data.sentAt === 'string' && !isNaN(Date.parse(data.sentAt)) ? data.sentAt : new Date().toISOString()
+    };
+
+    if (data.from === 'bot') {
+        if (typeof data.answer !== 'string' || !data.answer) return null;
+        message.answer = data.answer;
+        if (data.params && typeof data.params === 'object') {
+            message.params = Object.fromEntries(Object.entries(data.params)
+                .filter(([, value]) => typeof value === 'string'));
+        }
+        return message;
+    }
+
+    const text = typeof data.text === 'string' ? data.text.trim().slice(0, CHAT_MESSAGE_LIMIT) : '';
+    if (!text) return null;
+    message.text = text;
+    if (data.from === 'agent' && typeof data.author === 'string' && data.author.trim()) {
+        message.author = data.author.trim().slice(0, 60);
+    }
+    return message;
+}
+
+/**
+ * Text and optional follow-up link of a bot answer, in the current language
+ */
+function getChatBotReply(message, now = new Date()) {
+    const params = message.params || {};
+    switch (message.answer) {
+        case 'hours': {
+            const status = getOpeningStatus(now);
+            let state;
+            if (status.open) {
+                state = i18n.t('chat.bot.openNow', { time: formatSlotTime(status.closes) });
+            } else if (status.date && toDateInputValue(status.date) === toDateInputValue(now)) {
+                state = i18n.t('chat.bot.opensToday', { time: formatSlotTime(status.opens) });
+            } else if (status.date) {
+                state = i18n.t('chat.bot.opensOn', {
+                    day: i18n.formatDate(status.date, { weekday: 'long' }),
+                    time: formatSlotTime(status.opens)
+                });
+            }
+            return { text: `${i18n.t('chat.bot.hours', { hours: describeBusinessHours() })} ${state || ''}`.trim() };
+        }
+        case 'location':
+            return {
+                text: i18n.t('chat.bot.location', { address: BUSINESS_ADDRESS }),
+                link: { href: '#contact', label: i18n.t('chat.bot.locationLink') }
+            };
+        case 'services': {
+            const titles = serviceCatalog.getAll().map(service => localizeService(service).title);
+            return {
+                text: i18n.t('chat.bot.services', {
+                    services: new Intl.ListFormat(i18n.intlLocale, { type: 'conjunction' }).format(titles)
+                }),
+                link: { href: '#/quote', label: i18n.t('chat.bot.servicesLink') }
+            };
+        }
+        default:
+            return { text: i18n.t(`chat.bot.${message.answer}`, params) };
+    }
+}
+
+/**
+ * Conversation history kept in localStorage so it survives reloads and is
+ * shared between tabs. The visitor id lets the chat server resume a thread.
+ */
+class ChatStore {
+    constructor(storageKey = 'pawscare.chat', limit = 100) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.listeners = [];
+        this.abortController = new AbortController();
+        this.load();
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.load();
+                this.notify();
+            }
+        }, { signal: this.abortController.signal });
+    }
+
+    destroy() {
+        this.abortController.abort();
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            this.visitorId = typeof stored.visitorId === 'string' ? stored.visitorId : createSubmissionId();
+            this.messages = (Array.isArray(stored.messages) ? stored.messages : [])
+                .map(normalizeChatMessage)
+                .filter(Boolean);
+        } catch (error) {
+            console.warn('Could not read chat history', error);
+            this.visitorId = createSubmissionId();
+            this.messages = [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                visitorId: this.visitorId,
+                messages: this.messages
+            }));
+        } catch (error) {
+            // The conversation still works for this page view
+            console.warn('Could not save chat history', error);
+        }
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    getMessages() {
+        return [...this.messages];
+    }
+
+    /**
+     * Append a message; returns the stored copy, or null if it was invalid or
+     * already there (e.g. a server echo)
+     */
+    add(data) {
+        const message = normalizeChatMessage(data);
+        if (!message || this.messages.some(existing => existing.id === message.id)) return null;
+        this.messages = [...this.messages, message].slice(-this.limit);
+        this.persist();
+        return message;
+    }
+
+    clear() {
+        this.messages = [];
+        this.persist();
+    }
+}
+
+// Chat transports implement connect({ onStatus, onMessage, onTyping }),
+// send(message) (a promise) and disconnect(). onStatus reports 'connecting',
+// 'online' (someone can answer) or 'offline' (unreachable or nobody around).
+
+/**
+ * Chat over a WebSocket. JSON frames:
+ *
+ *   -> { type: 'hello', visitorId, locale }           after every (re)connect
+ *   -> { type: 'message', id, text, sentAt }
+ *   <- { type: 'presence', online }
+ *   <- { type: 'typing' }
+ *   <- { type: 'message', id, text, author, sentAt }
+ *
+ * Dropped connections are retried with exponential backoff, and at once when
+ * the browser comes back online.
+ */
+class WebSocketChatTransport {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.visitorId = options.visitorId || null;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+        this.socket = null;
+        this.timer = null;
+        this.attempts = 0;
+        this.handlers = null;
+        this.abortController = null;
+    }
+
+    connect(handlers) {
+        this.handlers = handlers;
+        this.abortController = new AbortController();
+        window.addEventListener('online', () => this.reconnect(), { signal: this.abortController.signal });
+        this.open();
+    }
+
+    open() {
+        clearTimeout(this.timer);
+        this.handlers.onStatus('connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('Chat server URL is invalid', error);
+            this.handlers.onStatus('offline');
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.attempts = 0;
+            socket.send(JSON.stringify({ type: 'hello', visitorId: this.visitorId, locale: i18n.locale }));
+        });
+        socket.addEventListener('message', (e) => this.handleFrame(e.data));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.handlers.onStatus('offline');
+            this.scheduleReconnect();
+        });
+    }
+
+    handleFrame(data) {
+        let frame;
+        try {
+            frame = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed chat frame', error);
+            return;
+        }
+
+        if (frame.type === 'presence') {
+            this.handlers.onStatus(frame.online ? 'online' : 'offline');
+        } else if (frame.type === 'typing') {
+            this.handlers.onTyping();
+        } else if (frame.type === 'message') {
+            this.handlers.onMessage({ id: frame.id, text: frame.text, author: frame.author, sentAt: frame.sentAt });
+        }
+    }
+
+    async send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('Chat server is not connected');
+        }
+        this.socket.send(JSON.stringify({ type: 'message', id: message.id, text: message.text, sentAt: message.sentAt }));
+    }
+
+    reconnect() {
+        if (this.socket || !this.handlers) return;
+        this.attempts = 0;
+        this.open();
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.timer);
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** Math.min(this.attempts, 10));
+        this.attempts++;
+        this.timer = setTimeout(() => this.open(), backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    disconnect() {
+        clearTimeout(this.timer);
+        if (this.abortController) this.abortController.abort();
+        const socket = this.socket;
+        this.socket = null;
+        this.handlers = null;
+        if (socket) socket.close();
+    }
+}
+
+/**
+ * Stand-in chat server for development (used when no data-chat-server is
+ * set): someone is "online" during opening hours and answers with a canned
+ * reply after a short typing pause.
+ */
+class MockChatTransport {
+    constructor(options = {}) {
+        this.latency = options.latency !== undefined ? options.latency : 400;
+        this.replyDelay = options.replyDelay !== undefined ? options.replyDelay : 1500;
+        this.isAvailable = options.isAvailable || (() => getOpeningStatus().open);
+        this.agentName = options.agentName || 'Sam';
+        this.timers = new Set();
+        this.handlers = null;
+    }
+
+    later(delay, callback) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    connect(handlers) {
+        this.handlers = handlers;
+        handlers.onStatus('connecting');
+        this.later(this.latency, () => handlers.onStatus(this.isAvailable() ? 'online' : 'offline'));
+    }
+
+    async send() {
+        if (!this.handlers) throw new Error('Chat server is not connected');
+        if (!this.isAvailable()) {
+            this.handlers.onStatus('offline');
+            throw new Error('Nobody is available to chat');
+        }
+
+        this.later(this.latency, () => this.handlers.onTyping());
+        this.later(this.latency + this.replyDelay, () => this.handlers.onMessage({
+            id: createSubmissionId(),
+            text: i18n.t('chat.mockReply'),
+            author: this.agentName,
+            sentAt: new Date().toISOString()
+        }));
+    }
+
+    disconnect() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.handlers = null;
+    }
+}
+
+/**
+ * Floating chat panel. FAQ questions are answered by the bot; anything else
+ * goes to the team while someone is online, and otherwise the visitor is
+ * offered a "leave a message" form sent through the contact form pipeline.
+ * Connects on first open, or at once when there's a conversation to resume.
+ */
+class ChatWidget extends Component {
+    constructor(element, store, transport, contactForm) {
+        super(element);
+        this.store = store;
+        this.transport = transport;
+        this.contactForm = contactForm;
+        this.toggleButton = element.querySelector('.chat-toggle');
+        this.badge = element.querySelector('.chat-badge');
+        this.panel = element.querySelector('.chat-panel');
+        this.log = element.querySelector('#chatLog');
+        this.statusElement = element.querySelector('#chatStatus');
+        this.typingElement = element.querySelector('.chat-typing');
+        this.composer = element.querySelector('#chatComposer');
+        this.input = this.composer.querySelector('[name="text"]');
+        this.leaveForm = element.querySelector('#chatLeaveForm');
+        this.leaveError = element.querySelector('#chatLeaveError');
+        this.leaveButton = element.querySelector('[data-chat-leave]');
+        this.validator = null;
+        this.status = 'offline';
+        this.connected = false;
+        // Questions asked while connecting, waiting to hear if anyone is there
+        this.statusWaiters = [];
+        this.unread = 0;
+        // Ids of the messages in the log; null until the first render
+        this.rendered = null;
+        this.typingTimer = null;
+    }
+
+    init() {
+        // Lifts the scroll-to-top button above the chat button
+        document.body.classList.add('has-chat');
+        this.own(() => document.body.classList.remove('has-chat'));
+
+        this.validator = new FormValidator(this.leaveForm, {
+            onSubmit: (data) => this.leaveMessage(data)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
+
+        this.listen(this.toggleButton, 'click', () => (this.isOpen() ? this.close() : this.open()));
+        this.element.querySelectorAll('[data-chat-close]').forEach(button => {
+            this.listen(button, 'click', () => this.close());
+        });
+        this.listen(this.panel, 'keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        this.listen(this.composer, 'submit', (e) => {
+            e.preventDefault();
+            const text = this.input.value.trim();
+            if (!text) return;
+            this.input.value = '';
+            this.ask(text);
+        });
+        this.element.querySelectorAll('[data-chat-ask]').forEach(button => {
+            this.listen(button, 'click', () => this.ask(button.textContent.trim(), button.dataset.chatAsk));
+        });
+        this.listen(this.leaveButton, 'click', () => this.setLeaveMode(!this.isLeaving()));
+        this.element.querySelectorAll('[data-chat-leave-cancel]').forEach(button => {
+            this.listen(button, 'click', () => this.setLeaveMode(false));
+        });
+        this.element.querySelectorAll('[data-chat-clear]').forEach(button => {
+            this.listen(button, 'click', () => this.store.clear());
+        });
+        // The contact form link and links in answers close the panel so
+        // what they point to isn't covered
+        this.element.querySelectorAll('.chat-contact-link').forEach(link => {
+            this.listen(link, 'click', () => this.close());
+        });
+        this.listen(this.log, 'click', (e) => {
+            if (e.target.closest('.chat-message-link')) this.close();
+        });
+
+        this.own(this.store.subscribe(() => this.renderLog()));
+        this.own(i18n.onChange(() => {
+            this.renderLog(true);
+            this.renderStatus();
+            this.renderBadge();
+        }));
+        this.own(() => {
+            clearTimeout(this.typingTimer);
+            if (this.connected) this.transport.disconnect();
+        });
+
+        this.renderStatus();
+        this.renderBadge();
+        if (this.store.getMessages().some(message => message.from === 'agent')) this.connect();
+    }
+
+    connect() {
+        if (this.connected) return;
+        this.connected = true;
+        this.transport.connect({
+            onStatus: (status) => this.setStatus(status),
+            onTyping: () => this.showTyping(),
+            onMessage: (data) => this.receive(data)
+        });
+    }
+
+    isOpen() {
+        return this.element.classList.contains('open');
+    }
+
+    open() {
+        this.connect();
+        this.element.classList.add('open');
+        this.panel.hidden = false;
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+        this.unread = 0;
+        this.renderBadge();
+        this.log.scrollTop = this.log.scrollHeight;
+        (this.isLeaving() ? this.leaveForm.querySelector('input') : this.input).focus();
+        analytics.track('chat_open', { status: this.status });
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.element.classList.remove('open');
+        this.panel.hidden = true;
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        this.toggleButton.focus();
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.renderStatus();
+        if (status !== 'connecting') this.statusWaiters.splice(0).forEach(resolve => resolve(status));
+    }
+
+    /**
+     * Resolves with 'online' or 'offline' once the connection has settled
+     */
+    whenSettled() {
+        this.connect();
+        if (this.status !== 'connecting') return Promise.resolve(this.status);
+        return new Promise(resolve => this.statusWaiters.push(resolve));
+    }
+
+    renderStatus() {
+        this.element.dataset.chatStatus = this.connected ? this.status : 'idle';
+        this.statusElement.textContent = this.connected ? i18n.t(`chat.status.${this.status}`) : '';
+        this.leaveButton.hidden = this.connected && this.status === 'online';
+    }
+
+    renderBadge() {
+        this.badge.hidden = this.unread === 0;
+        this.badge.textContent = i18n.formatNumber(this.unread);
+        this.toggleButton.setAttribute('aria-label', this.unread
+            ? i18n.plural('chat.openUnread', this.unread)
+            : i18n.t('chat.open'));
+    }
+
+    /**
+     * Post a visitor question: FAQ topics are answered here, the rest is
+     * forwarded to the team (or turned into a "leave a message" prompt)
+     */
+    async ask(text, topic = matchChatRule(text)) {
+        const message = this.store.add({ from: 'visitor', text });
+        if (!message) return;
+
+        if (topic && topic !== 'agent') {
+            this.store.add({ from: 'bot', answer: topic });
+            return;
+        }
+        if (await this.whenSettled() !== 'online') {
+            this.store.add({ from: 'bot', answer: topic === 'agent' ? 'agentOffline' : 'unknownOffline' });
+            this.setLeaveMode(true, false);
+            return;
+        }
+        if (topic === 'agent') this.store.add({ from: 'bot', answer: 'agent' });
+
+        try {
+            await this.transport.send(message);
+        } catch (error) {
+            console.warn('Chat message could not be delivered', error);
+            this.setStatus('offline');
+            this.store.add({ from: 'bot', answer: 'undelivered' });
+            this.setLeaveMode(true, false);
+        }
+    }
+
+    receive(data) {
+        const message = this.store.add({ ...data, from: 'agent' });
+        if (!message) return;
+        this.hideTyping();
+        if (!this.isOpen()) {
+            this.unread++;
+            this.renderBadge();
+        }
+    }
+
+    showTyping() {
+        this.typingElement.hidden = false;
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(() => this.hideTyping(), 8000);
+    }
+
+    hideTyping() {
+        clearTimeout(this.typingTimer);
+        this.typingElement.hidden = true;
+    }
+
+    isLeaving() {
+        return !this.leaveForm.hidden;
+    }
+
+    setLeaveMode(leaving, focus = true) {
+        this.leaveForm.hidden = !leaving;
+        this.composer.hidden = leaving;
+        this.leaveButton.setAttribute('aria-expanded', String(leaving));
+        this.leaveError.textContent = '';
+        if (leaving) {
+            if (focus) this.leaveForm.querySelector('input').focus();
+        } else {
+            this.validator.reset();
+            if (focus) this.input.focus();
+        }
+    }
+
+    /**
+     * The conversation as plain text, for the message the team receives
+     */
+    getTranscript() {
+        return this.store.getMessages().map(message => {
+            const time = i18n.formatDate(new Date(message.sentAt), { dateStyle: 'short', timeStyle: 'short' });
+            const text = message.from === 'bot' ? getChatBotReply(message).text : message.text;
+            return `[${time}] ${this.getAuthorLabel(message)}: ${text}`;
+        }).join('\n');
+    }
+
+    async leaveMessage(data) {
+        this.leaveError.textContent = '';
+        try {
+            const result = await this.contactForm.sendInquiry({
+                type: 'chat',
+                name: data.name,
+                email: data.email,
+                message: data.message,
+                transcript: this.getTranscript(),
+                visitorId: this.store.visitorId
+            });
+            analytics.track('form_submit', { form: 'chat', status: result.status });
+            this.setLeaveMode(false, false);
+            this.store.add(result.status === 'queued'
+                ? { from: 'bot', answer: 'leftQueued' }
+                : { from: 'bot', answer: 'left', params: { email: data.email } });
+            this.input.focus();
+        } catch (error) {
+            console.error('Chat message could not be sent', error);
+            this.leaveError.textContent = error instanceof SubmissionError
+                ? error.message
+                : i18n.t('chat.failed');
+        }
+    }
+
+    getAuthorLabel(message) {
+        if (message.from === 'visitor') return i18n.t('chat.you');
+        if (message.from === 'bot') return i18n.t('chat.assistant');
+        return message.author || i18n.t('chat.team');
+    }
+
+    /**
+     * Append new messages to the log; `full` redraws it (language change,
+     * history cleared or changed in another tab)
+     */
+    renderLog(full = false) {
+        const messages = this.store.getMessages();
+        const isPrefix = this.rendered !== null && this.rendered.length <= messages.length
+            && this.rendered.every((id, index) => messages[index].id === id);
+
+        if (full || !isPrefix) {
+            this.log.innerHTML = '';
+            this.rendered = [];
+            this.log.appendChild(this.createMessage({ from: 'bot', answer: 'welcome', sentAt: null }));
+        }
+
+        messages.slice(this.rendered.length).forEach(message => {
+            this.log.appendChild(this.createMessage(message));
+            this.rendered.push(message.id);
+        });
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+
+    createMessage(message) {
+        const item = document.createElement('li');
+        item.className = `chat-message chat-message-${message.from}`;
+        item.innerHTML = '<span class="sr-only"></span><p class="chat-message-text"></p>';
+        item.querySelector('.sr-only').textContent = `${this.getAuthorLabel(message)}:`;
+
+        const reply = message.from === 'bot' ? getChatBotReply(message) : { text: message.text };
+        item.querySelector('.chat-message-text').textContent = reply.text;
+
+        if (reply.link) {
+            const link = document.createElement('a');
+            link.className = 'chat-message-link';
+            link.href = reply.link.href;
+            link.textContent = reply.link.label;
+            item.appendChild(link);
+        }
+
+        if (message.from === 'agent' && message.author) {
+            const author = document.createElement('span');
+            author.className = 'chat-message-author';
+            author.setAttribute('aria-hidden', 'true');
+            author.textContent = message.author;
+            item.prepend(author);
+        }
+
+        if (message.sentAt) {
+            const time = document.createElement('time');
+            time.dateTime = message.sentAt;
+            time.textContent = i18n.formatDate(new Date(message.sentAt), { hour: 'numeric', minute: '2-digit' });
+            item.appendChild(time);
+        }
+        return item;
+    }
+}
+
+const chatStore = new ChatStore();
+
+// data-chat-server="wss://..." connects to a real chat server; without it the
+// in-page mock answers. data-contact-form names the form whose pipeline
+// delivers "leave a message" requests.
+components.define('chat-widget', (element) => {
+    const formElement = document.getElementById(element.dataset.contactForm);
+    const contactForm = formElement && components.mountComponent(formElement, 'contact-form');
+    if (!contactForm) throw new Error(`No contact form "${element.dataset.contactForm}" for the chat widget`);
+
+    const transport = element.dataset.chatServer
+        ? new WebSocketChatTransport(element.dataset.chatServer, { visitorId: chatStore.visitorId })
+        : new MockChatTransport();
+    return new ChatWidget(element, chatStore, transport, contactForm);
+}, {
+    requires: [
+        '.chat-toggle', '.chat-badge', '.chat-panel', '#chatLog', '#chatStatus', '.chat-typing',
+        '#chatComposer', '#chatLeaveForm', '#chatLeaveError', '[data-chat-leave]'
+    ]
+});
+
+// ============================================
+// SERVICE AREA
+// ============================================
+
+/**
+ * Where pickup & delivery runs from, how far it goes and what it costs by
+ * distance (fees in cents, like the shop)
+ */
+const SERVICE_AREA = {
+    center: { lat: 40.7128, lng: -74.0060 },
+    radiusMiles: 10,
+    fees: [
+        { upTo: 3, fee: 0 },
+        { upTo: 6, fee: 500 },
+        { upTo: 10, fee: 900 }
+    ]
+};
+
+/**
+ * Postcodes and neighborhoods we can place without an external geocoder
+ */
+const GEOCODE_TABLE = [
+    { postcode: '12345', place: 'Animal City', lat: 40.7128, lng: -74.0060 },
+    { postcode: '12346', place: 'Barkside', lat: 40.7306, lng: -73.9866 },
+    { postcode: '12347', place: 'Whisker Heights', lat: 40.7580, lng: -73.9855 },
+    { postcode: '12348', place: 'Meadowbrook', lat: 40.6782, lng: -73.9442 },
+    { postcode: '12349', place: 'Tailwood Park', lat: 40.7831, lng: -73.9712 },
+    { postcode: '12350', place: 'Puppy Hollow', lat: 40.6501, lng: -73.9496 },
+    { postcode: '12351', place: 'Harbor Paws', lat: 40.6195, lng: -74.0300 },
+    { postcode: '12352', place: 'Collar Grove', lat: 40.7282, lng: -73.8500 },
+    { postcode: '12353', place: 'Kitten Creek', lat: 40.8448, lng: -73.8648 },
+    { postcode: '12354', place: 'Saddle Ridge', lat: 40.5795, lng: -74.1502 },
+    { postcode: '12355', place: 'Far Pastures', lat: 40.9176, lng: -74.1719 }
+];
+
+// OpenStreetMap's public tiles need no key; data-map-tiles points elsewhere
+const DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SIZE = 256;
+
+/**
+ * Finds a 5-digit postcode in the query, else a known neighborhood name.
+ * Async so a remote geocoder can take its place.
+ */
+class LocalGeocoder {
+    constructor(table = GEOCODE_TABLE) {
+        this.table = table;
+    }
+
+    async geocode(query) {
+        const postcode = (String(query).match(/\b\d{5}\b/) || [])[0];
+        const byPostcode = postcode && this.table.find(entry => entry.postcode === postcode);
+        if (byPostcode) return byPostcode;
+
+        const normalized = normalizeSearchText(query);
+        return this.table.find(entry => normalized.includes(normalizeSearchText(entry.place))) || null;
+    }
+}
+
+/**
+ * Great-circle distance between two { lat, lng } points
+ */
+function distanceInMiles(from, to) {
+    const radians = (degrees) => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 3958.8 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * { distance, eligible, fee } for pickup & delivery to `point`; fee is null
+ * outside the area
+ */
+function checkServiceArea(point, area = SERVICE_AREA) {
+    const distance = distanceInMiles(area.center, point);
+    const eligible = distance <= area.radiusMiles;
+    const tier = area.fees.find(entry => distance <= entry.upTo) || area.fees[area.fees.length - 1];
+    return { distance, eligible, fee: eligible ? tier.fee : null };
+}
+
+/**
+ * Localized distance, e.g. "3.2 mi"
+ */
+function formatMiles(miles) {
+    return i18n.formatNumber(miles, { style: 'unit', unit: 'mile', maximumFractionDigits: 1 });
+}
+
+/**
+ * Pickup & delivery fee, or "Free"
+ */
+function formatPickupFee(cents) {
+    return cents === 0 ? i18n.t('area.free') : formatCurrency(cents);
+}
+
+/**
+ * Web Mercator: { lat, lng } to pixels at `zoom`, and back
+ */
+function projectPoint(point, zoom) {
+    const scale = TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(point.lat * Math.PI / 180);
+    return {
+        x: (point.lng + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    };
+}
+
+function unprojectPoint(pixel, zoom) {
+    const scale = TILE_SIZE * 2 ** zoom;
+    return {
+        lat: Math.atan(Math.sinh(Math.PI - 2 * Math.PI * pixel.y / scale)) * 180 / Math.PI,
+        lng: pixel.x / scale * 360 - 180
+    };
+}
+
+/**
+ * Self-hosted slippy map: tiles from a {z}/{x}/{y} URL template (with an
+ * optional {s} subdomain), the service radius and markers drawn on top.
+ * Drag or use the arrow keys to pan; +/- or the buttons zoom.
+ */
+class ServiceAreaMap extends Component {
+    constructor(element, area, options = {}) {
+        super(element);
+        this.area = area;
+        this.tileUrl = options.tileUrl || DEFAULT_TILE_URL;
+        this.minZoom = options.minZoom || 3;
+        this.maxZoom = options.maxZoom || 18;
+        this.viewport = element.querySelector('.service-map-viewport');
+        this.tileLayer = element.querySelector('.service-map-tiles');
+        this.radius = element.querySelector('.service-map-radius');
+        this.shopMarker = element.querySelector('.service-map-shop');
+        this.locationMarker = element.querySelector('.service-map-location');
+        this.center = { ...area.center };
+        this.zoom = 10;
+        this.location = null;
+        this.tiles = new Map();
+        this.drag = null;
+    }
+
+    init() {
+        this.element.querySelectorAll('[data-map-zoom]').forEach(button => {
+            this.listen(button, 'click', () => this.setZoom(this.zoom + Number(button.dataset.mapZoom)));
+        });
+        this.element.querySelectorAll('[data-map-recenter]').forEach(button => {
+            this.listen(button, 'click', () => this.fit());
+        });
+
+        this.listen(this.viewport, 'keydown', (e) => this.handleKey(e));
+        this.listen(this.viewport, 'pointerdown', (e) => {
+            if (e.button !== 0) return;
+            this.drag = { x: e.clientX, y: e.clientY, origin: projectPoint(this.center, this.zoom) };
+            if (this.viewport.setPointerCapture) this.viewport.setPointerCapture(e.pointerId);
+            this.viewport.classList.add('dragging');
+        });
+        this.listen(this.viewport, 'pointermove', (e) => {
+            if (!this.drag) return;
+            this.panTo(unprojectPoint({
+                x: this.drag.origin.x - (e.clientX - this.drag.x),
+                y: this.drag.origin.y - (e.clientY - this.drag.y)
+            }, this.zoom));
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.listen(this.viewport, type, () => {
+                this.drag = null;
+                this.viewport.classList.remove('dragging');
+            });
+        });
+
+        if ('ResizeObserver' in window) {
+            const observer = new ResizeObserver(() => this.render());
+            observer.observe(this.viewport);
+            this.own(() => observer.disconnect());
+        } else {
+            this.listen(window, 'resize', throttle(() => this.render(), 100));
+        }
+
+        this.fit();
+    }
+
+    handleKey(e) {
+        const step = 80;
+        const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+        if (moves[e.key]) {
+            const pixel = projectPoint(this.center, this.zoom);
+            this.panTo(unprojectPoint({ x: pixel.x + moves[e.key][0], y: pixel.y + moves[e.key][1] }, this.zoom));
+        } else if (e.key === '+' || e.key === '=') {
+            this.setZoom(this.zoom + 1);
+        } else if (e.key === '-' || e.key === '_') {
+            this.setZoom(this.zoom - 1);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    getSize() {
+        // Hidden or not laid out yet: assume the default map size
+        return {
+            width: this.viewport.clientWidth || 600,
+            height: this.viewport.clientHeight || 400
+        };
+    }
+
+    panTo(center) {
+        this.center = center;
+        this.render();
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+        this.render();
+    }
+
+    /**
+     * Show the whole service area, plus the checked location if there is one
+     */
+    fit() {
+        const { center, radiusMiles } = this.area;
+        const latSpan = radiusMiles / 69;
+        const lngSpan = radiusMiles / (69.17 * Math.cos(center.lat * Math.PI / 180));
+        const points = [
+            { lat: center.lat + latSpan, lng: center.lng - lngSpan },
+            { lat: center.lat - latSpan, lng: center.lng + lngSpan }
+        ];
+        if (this.location) points.push(this.location);
+
+        const size = this.getSize();
+        const padding = 32;
+        let zoom = this.maxZoom;
+        let box;
+        for (; zoom >= this.minZoom; zoom--) {
+            const projected = points.map(point => projectPoint(point, zoom));
+            const xs = projected.map(point => point.x);
+            const ys = projected.map(point => point.y);
+            box = { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+            if (box.right - box.left <= size.width - 2 * padding
+                && box.bottom - box.top <= size.height - 2 * padding) break;
+        }
+
+        this.zoom = Math.max(zoom, this.minZoom);
+        this.center = unprojectPoint({ x: (box.left + box.right) / 2, y: (box.top + box.bottom) / 2 }, this.zoom);
+        this.render();
+    }
+
+    /**
+     * Mark a checked address and bring it into view with the area
+     */
+    showLocation(point, eligible) {
+        this.location = { lat: point.lat, lng: point.lng };
+        this.locationMarker.hidden = false;
+        this.locationMarker.classList.toggle('outside', !eligible);
+        this.fit();
+    }
+
+    getTileUrl(x, y, zoom) {
+        return this.tileUrl
+            .replace('{s}', 'abc'[(x + y) % 3])
+            .replace('{z}', zoom)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    render() {
+        const size = this.getSize();
+        const centerPixel = projectPoint(this.center, this.zoom);
+        const left = centerPixel.x - size.width / 2;
+        const top = centerPixel.y - size.height / 2;
+        const count = 2 ** this.zoom;
+        const wanted = new Set();
+
+        for (let ty = Math.floor(top / TILE_SIZE); ty * TILE_SIZE < top + size.height; ty++) {
+            if (ty < 0 || ty >= count) continue;
+            for (let tx = Math.floor(left / TILE_SIZE); tx * TILE_SIZE < left + size.width; tx++) {
+                const key = `${this.zoom}/${tx}/${ty}`;
+                wanted.add(key);
+                let tile = this.tiles.get(key);
+                if (!tile) {
+                    tile = document.createElement('img');
+                    tile.className = 'service-map-tile';
+                    tile.alt = '';
+                    tile.draggable = false;
+                    tile.decoding = 'async';
+                    // CORS, so the service worker can tell a real tile from an error
+                    tile.crossOrigin = 'anonymous';
+                    tile.addEventListener('error', () => tile.classList.add('failed'), { once: true });
+                    // The world repeats east and west
+                    tile.src = this.getTileUrl(((tx % count) + count) % count, ty, this.zoom);
+                    this.tileLayer.appendChild(tile);
+                    this.tiles.set(key, tile);
+                }
+                tile.style.transform = `translate(${Math.round(tx * TILE_SIZE - left)}px, ${Math.round(ty * TILE_SIZE - top)}px)`;
+            }
+        }
+
+        this.tiles.forEach((tile, key) => {
+            if (wanted.has(key)) return;
+            tile.remove();
+            this.tiles.delete(key);
+        });
+
+        const toScreen = (point) => {
+            const pixel = projectPoint(point, this.zoom);
+            return { x: Math.round(pixel.x - left), y: Math.round(pixel.y - top) };
+        };
+        const shop = toScreen(this.area.center);
+        const metersPerPixel = 40075016.686 * Math.cos(this.area.center.lat * Math.PI / 180) / (TILE_SIZE * count);
+        this.radius.setAttribute('cx', shop.x);
+        this.radius.setAttribute('cy', shop.y);
+        this.radius.setAttribute('r', Math.round(this.area.radiusMiles * 1609.344 / metersPerPixel));
+        this.shopMarker.style.transform = `translate(${shop.x}px, ${shop.y}px)`;
+        if (this.location) {
+            const location = toScreen(this.location);
+            this.locationMarker.style.transform = `translate(${location.x}px, ${location.y}px)`;
+        }
+    }
+}
+
+// data-map-tiles="https://tiles.example.com/{z}/{x}/{y}.png" sets the tile server
+components.define('service-map', (element) => new ServiceAreaMap(element, SERVICE_AREA, {
+    tileUrl: element.dataset.mapTiles
+}), {
+    requires: ['.service-map-viewport', '.service-map-tiles', '.service-map-radius', '.service-map-shop', '.service-map-location']
+});
+
+/**
+ * Address/postcode checker: says whether pickup & delivery reaches the
+ * address and at what fee, marks it on the map and offers pickup in the
+ * booking form
+ */
+class ServiceAreaCheck extends Component {
+    constructor(form, area, geocoder, map, contactForm) {
+        super(form);
+        this.form = form;
+        this.area = area;
+        this.geocoder = geocoder;
+        this.map = map;
+        this.contactForm = contactForm;
+        this.resultElement = form.querySelector('#serviceAreaResult');
+        this.feeList = form.querySelector('#serviceAreaFees');
+        this.validator = null;
+        this.result = null;
+        this.requestId = 0;
+    }
+
+    init() {
+        this.validator = new FormValidator(this.form, {
+            onSubmit: (data) => this.check(data.address)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
+
+        this.own(i18n.onChange(() => {
+            this.renderFees();
+            this.renderResult();
+        }));
+        this.renderFees();
+    }
+
+    async check(query) {
+        const requestId = ++this.requestId;
+        const place = await this.geocoder.geocode(query);
+        if (requestId !== this.requestId) return;
+
+        if (!place) {
+            this.result = null;
+            this.renderResult();
+            this.validator.showFieldError('address', i18n.t('area.notFound'));
+            if (this.contactForm) this.contactForm.setPickup(null);
+            return;
+        }
+
+        this.result = { place, ...checkServiceArea(place, this.area) };
+        this.renderResult();
+        if (this.map) this.map.showLocation(place, this.result.eligible);
+        if (this.contactForm) {
+            this.contactForm.setPickup(this.result.eligible ? {
+                place: place.place,
+                postcode: place.postcode,
+                distanceMiles: Math.round(this.result.distance * 10) / 10,
+                fee: this.result.fee,
+                currency: CART_CONFIG.currency
+            } : null);
+        }
+        // Only the outcome: the address itself is never tracked
+        analytics.track('area_check', { eligible: this.result.eligible });
+    }
+
+    renderFees() {
+        this.feeList.innerHTML = '';
+        this.area.fees.forEach((tier, index) => {
+            const item = document.createElement('li');
+            const range = index === 0
+                ? i18n.t('area.feeUpTo', { distance: formatMiles(tier.upTo) })
+                : i18n.t('area.feeBetween', {
+                    from: formatMiles(this.area.fees[index - 1].upTo),
+                    to: formatMiles(tier.upTo)
+                });
+            item.innerHTML = '<span></span><strong></strong>';
+            item.children[0].textContent = range;
+            item.children[1].textContent = formatPickupFee(tier.fee);
+            this.feeList.appendChild(item);
+        });
+    }
+
+    renderResult() {
+        const result = this.result;
+        this.resultElement.innerHTML = '';
+        this.resultElement.classList.toggle('eligible', Boolean(result && result.eligible));
+        this.resultElement.classList.toggle('outside', Boolean(result && !result.eligible));
+        if (!result) return;
+
+        const params = {
+            place: `${result.place.place} (${result.place.postcode})`,
+            distance: formatMiles(result.distance),
+            radius: formatMiles(this.area.radiusMiles)
+        };
+        const text = document.createElement('p');
+        text.textContent = result.eligible
+            ? i18n.t('area.eligible', { ...params, fee: formatPickupFee(result.fee) })
+            : i18n.t('area.outside', params);
+        this.resultElement.appendChild(text);
+
+        if (result.eligible && this.contactForm) {
+            const book = document.createElement('button');
+            book.type = 'button';
+            book.className = 'btn-gradient';
+            book.textContent = i18n.t('area.book');
+            this.listen(book, 'click', () => this.contactForm.focusPickup());
+            this.resultElement.appendChild(book);
+        }
+    }
+}
+
+// data-map and data-contact-form name the map and booking form to update
+components.define('service-area-check', (element) => {
+    const mapElement = document.getElementById(element.dataset.map);
+    const formElement = document.getElementById(element.dataset.contactForm);
+    return new ServiceAreaCheck(
+        element,
+        SERVICE_AREA,
+        new LocalGeocoder(),
+        mapElement && components.mountComponent(mapElement, 'service-map'),
+        formElement && components.mountComponent(formElement, 'contact-form')
+    );
+}, { requires: ['#serviceAreaResult', '#serviceAreaFees'] });
+
+// ============================================
+// SHOP: PRODUCT CATALOG & CART
+// ============================================
+
+/**
+ * Products sold in the shop. Prices are in cents.
+ */
+const PRODUCT_CATALOG = [
+    { id: 'dog-food-premium', name: 'Premium Dog Food', category: 'Dogs', price: 4999, unit: '12 kg bag', icon: 'fa-bone', gradient: 'var(--gradient-primary)', description: 'Grain-free recipe with real chicken and vegetables for adult dogs' },
+    { id: 'cat-food-salmon', name: 'Salmon Cat Food', category: 'Cats', price: 3499, unit: '6 kg bag', icon: 'fa-fish', gradient: 'var(--gradient-secondary)', description: 'Omega-rich salmon formula for a healthy coat and digestion' },
+    { id: 'puppy-food', name: 'Puppy Growth Formula', category: 'Dogs', price: 3999, unit: '8 kg bag', icon: 'fa-dog', gradient: 'var(--gradient-tertiary)', description: 'DHA-enriched nutrition for puppies up to 12 months' },
+    { id: 'training-treats', name: 'Training Treats', category: 'Dogs', price: 899, unit: '500 g pouch', icon: 'fa-cookie-bite', gradient: 'var(--gradient-warm)', description: 'Soft, bite-sized rewards made with natural ingredients' },
+    { id: 'bird-seed-mix', name: 'Gourmet Bird Seed', category: 'Birds', price: 1299, unit: '2 kg bag', icon: 'fa-dove', gradient: 'var(--gradient-pink)', description: 'Balanced seed and fruit blend for parrots and finches' },
+    { id: 'rabbit-hay', name: 'Timothy Hay', category: 'Exotics', price: 1499, unit: '1.5 kg box', icon: 'fa-carrot', gradient: 'var(--gradient-secondary)', description: 'High-fibre hay for rabbits, guinea pigs and chinchillas' }
+];
+
+/**
+ * Tax rate and discount codes applied at checkout
+ */
+const CART_CONFIG = {
+    currency: 'USD',
+    taxRate: 0.08,
+    maxQuantity: 99,
+    discountCodes: {
+        PAWS10: { type: 'percent', value: 10 },
+        WELCOME5: { type: 'fixed', value: 500, minSubtotal: 2500 }
+    }
+};
+
+/**
+ * Format an amount in cents as currency
+ */
+function formatCurrency(cents) {
+    return i18n.formatCurrency(cents / 100, CART_CONFIG.currency);
+}
+
+/**
+ * Shopping cart persisted to localStorage
+ */
+class Cart {
+    constructor(storageKey = 'pawscare.cart') {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.abortController = new AbortController();
+        this.load();
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.load();
+                this.notify();
+            }
+        }, { signal: this.abortController.signal });
+    }
+
+    destroy() {
+        this.abortController.abort();
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            // Drop products that are no longer in the catalog
+            this.items = (stored.items || []).filter(item => this.getProduct(item.id));
+            this.discountCode = stored.discountCode || '';
+        } catch (error) {
+            console.warn('Could not read stored cart', error);
+            this.items = [];
+            this.discountCode = '';
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            items: this.items,
+            discountCode: this.discountCode
+        }));
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    getProduct(id) {
+        return PRODUCT_CATALOG.find(product => product.id === id);
+    }
+
+    add(id, quantity = 1) {
+        const item = this.items.find(i => i.id === id);
+        if (item) {
+            return this.setQuantity(id, item.quantity + quantity);
+        }
+        if (!this.getProduct(id)) return;
+        this.items.push({ id, quantity: Math.min(quantity, CART_CONFIG.maxQuantity) });
+        this.save();
+    }
+
+    setQuantity(id, quantity) {
+        quantity = Math.floor(Number(quantity));
+        if (!quantity || quantity < 1) {
+            return this.remove(id);
+        }
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+        item.quantity = Math.min(quantity, CART_CONFIG.maxQuantity);
+        this.save();
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    clear() {
+        this.items = [];
+        this.discountCode = '';
+        this.save();
+    }
+
+    getCount() {
+        return this.items.reduce((count, item) => count + item.quantity, 0);
+    }
+
+    getLines() {
+        return this.items.map(item => {
+            const product = this.getProduct(item.id);
+            return { product, quantity: item.quantity, total: product.price * item.quantity };
+        });
+    }
+
+    /**
+     * Returns null if the code was applied, else { key, minimum } for the
+     * error message (minimum in cents)
+     */
+    applyDiscount(code) {
+        const normalized = String(code).trim().toUpperCase();
+        const discount = CART_CONFIG.discountCodes[normalized];
+        if (!discount) {
+            return { key: 'cart.discountInvalid' };
+        }
+        if (discount.minSubtotal && this.getSubtotal() < discount.minSubtotal) {
+            return { key: 'cart.discountMinimum', minimum: discount.minSubtotal };
+        }
+        this.discountCode = normalized;
+        this.save();
+        return null;
+    }
+
+    removeDiscount() {
+        this.discountCode = '';
+        this.save();
+    }
+
+    getSubtotal() {
+        return this.items.reduce((sum, item) => sum + this.getProduct(item.id).price * item.quantity, 0);
+    }
+
+    getTotals() {
+        const subtotal = this.getSubtotal();
+        const discount = CART_CONFIG.discountCodes[this.discountCode];
+        let discountAmount = 0;
+
+        // A code stays attached but stops applying if the cart drops below its minimum
+        if (discount && !(discount.minSubtotal && subtotal < discount.minSubtotal)) {
+            discountAmount = discount.type === 'percent'
+                ? Math.round(subtotal * discount.value / 100)
+                : Math.min(discount.value, subtotal);
+        }
+
+        const tax = Math.round((subtotal - discountAmount) * CART_CONFIG.taxRate);
+        return {
+            subtotal,
+            discount: discountAmount,
+            tax,
+            total: subtotal - discountAmount + tax
+        };
+    }
+}
+
+/**
+ * Product grid, navbar cart badge and cart drawer
+ */
+class ShopView extends Component {
+    constructor(element, cart) {
+        super(element);
+        this.cart = cart;
+        this.grid = document.getElementById('productsGrid');
+        this.drawer = document.getElementById('cartDrawer');
+        this.itemsList = document.getElementById('cartItems');
+        this.cartToggle = document.getElementById('cartToggle');
+        this.cartCount = document.getElementById('cartCount');
+        this.discountForm = document.getElementById('discountForm');
+        this.checkoutButton = document.getElementById('checkoutButton');
+        this.focusTrap = new FocusTrap(this.drawer.querySelector('.cart-panel'));
+        // Last discount code error, kept to redraw it in a new language
+        this.discountError = null;
+    }
+
+    init() {
+        this.renderProducts();
+
+        this.listen(this.grid, 'click', (e) => {
+            const button = e.target.closest('[data-add-to-cart]');
+            if (!button) return;
+            this.cart.add(button.dataset.addToCart);
+            this.confirmAdded(button);
+        });
+
+        this.listen(this.cartToggle, 'click', () => this.openDrawer());
+        this.drawer.querySelectorAll('[data-cart-close]').forEach(element => {
+            this.listen(element, 'click', () => this.closeDrawer());
+        });
+
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.drawer.classList.contains('active')) {
+                this.closeDrawer();
+            }
+        });
+
+        // Quantity controls are re-rendered on every change, so delegate
+        this.listen(this.itemsList, 'click', (e) => {
+            const button = e.target.closest('[data-cart-action]');
+            if (!button) return;
+            const id = button.closest('.cart-item').dataset.productId;
+            const item = this.cart.items.find(i => i.id === id);
+            if (button.dataset.cartAction === 'increase') this.cart.setQuantity(id, item.quantity + 1);
+            if (button.dataset.cartAction === 'decrease') this.cart.setQuantity(id, item.quantity - 1);
+            if (button.dataset.cartAction === 'remove') this.cart.remove(id);
+        });
+
+        this.listen(this.itemsList, 'change', (e) => {
+            if (!e.target.matches('.cart-quantity')) return;
+            this.cart.setQuantity(e.target.closest('.cart-item').dataset.productId, e.target.value);
+        });
+
+        this.listen(this.discountForm, 'submit', (e) => {
+            e.preventDefault();
+            const input = this.discountForm.querySelector('[name="discountCode"]');
+            this.discountError = this.cart.applyDiscount(input.value);
+            this.discountForm.classList.toggle('error', Boolean(this.discountError));
+            input.setAttribute('aria-invalid', String(Boolean(this.discountError)));
+            this.renderDiscountError();
+            if (!this.discountError) input.value = '';
+        });
+
+        this.own(this.cart.subscribe(() => this.render()));
+        this.own(i18n.onChange(() => {
+            this.renderProducts();
+            this.render();
+            this.renderDiscountError();
+        }));
+    }
+
+    renderDiscountError() {
+        const error = this.discountError;
+        document.getElementById('discountCodeError').textContent = error
+            ? i18n.t(error.key, { minimum: formatCurrency(error.minimum || 0) })
+            : '';
+    }
+
+    renderProducts() {
+        this.grid.innerHTML = '';
+        PRODUCT_CATALOG.forEach((product, index) => {
+            const card = document.createElement('article');
+            card.className = 'product-card';
+            card.setAttribute('data-aos', 'fade-up');
+            card.setAttribute('data-delay', String((index % 3 + 1) * 100));
+            card.innerHTML = `
+                <div class="product-image" style="background: ${product.gradient}">
+                    <i class="fas ${product.icon}"></i>
+                </div>
+                <div class="product-body">
+                    <span class="product-category"></span>
+                    <h3></h3>
+                    <p class="product-description"></p>
+                    <div class="product-footer">
+                        <div>
+                            <span class="product-price">${formatCurrency(product.price)}</span>
+                            <span class="product-unit"></span>
+                        </div>
+                        <button type="button" class="btn-gradient" data-add-to-cart="${product.id}">
+                            <i class="fas fa-cart-plus"></i> <span></span>
+                        </button>
+                    </div>
+                </div>
+            `;
+            card.querySelector('.product-category').textContent = product.category;
+            card.querySelector('h3').textContent = product.name;
+            card.querySelector('.product-description').textContent = product.description;
+            card.querySelector('.product-unit').textContent = product.unit;
+            card.querySelector('[data-add-to-cart] span').textContent = i18n.t('cart.add');
+            this.grid.appendChild(card);
+        });
+    }
+
+    confirmAdded(button) {
+        const label = button.innerHTML;
+        button.innerHTML = '<i class="fas fa-check"></i> <span></span>';
+        button.querySelector('span').textContent = i18n.t('cart.added');
+        button.disabled = true;
+        setTimeout(() => {
+            button.innerHTML = label;
+            button.disabled = false;
+        }, 1200);
+    }
+
+    render() {
+        const count = this.cart.getCount();
+        this.cartCount.textContent = count;
+        this.cartCount.hidden = count === 0;
+        this.cartToggle.setAttribute('aria-label', i18n.plural('cart.toggle', count));
+
+        this.itemsList.innerHTML = '';
+        const lines = this.cart.getLines();
+        if (!lines.length) {
+            const empty = document.createElement('li');
+            empty.className = 'cart-empty';
+            empty.textContent = i18n.t('cart.empty');
+            this.itemsList.appendChild(empty);
+        }
+
+        lines.forEach(({ product, quantity, total }) => {
+            const item = document.createElement('li');
+            item.className = 'cart-item';
+            item.dataset.productId = product.id;
+            item.innerHTML = `
+                <div class="cart-item-icon" style="background: ${product.gradient}"><i class="fas ${product.icon}"></i></div>
+                <div class="cart-item-details">
+                    <h4></h4>
+                    <span class="cart-item-price">${formatCurrency(product.price)}</span>
+                    <div class="cart-item-quantity">
+                        <button type="button" data-cart-action="decrease"><i class="fas fa-minus"></i></button>
+                        <input type="number" class="cart-quantity" min="1" max="${CART_CONFIG.maxQuantity}" value="${quantity}">
+                        <button type="button" data-cart-action="increase"><i class="fas fa-plus"></i></button>
+                    </div>
+                </div>
+                <div class="cart-item-total">
+                    <span>${formatCurrency(total)}</span>
+                    <button type="button" class="cart-item-remove" data-cart-action="remove"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+            item.querySelector('h4').textContent = product.name;
+            item.querySelector('[data-cart-action="decrease"]').setAttribute('aria-label', i18n.t('cart.decrease'));
+            item.querySelector('.cart-quantity').setAttribute('aria-label', i18n.t('cart.quantity'));
+            item.querySelector('[data-cart-action="increase"]').setAttribute('aria-label', i18n.t('cart.increase'));
+            item.querySelector('[data-cart-action="remove"]').setAttribute('aria-label', i18n.t('cart.remove', { product: product.name }));
+            this.itemsList.appendChild(item);
+        });
+
+        const totals = this.cart.getTotals();
+        document.getElementById('cartSubtotal').textContent = formatCurrency(totals.subtotal);
+        document.getElementById('cartDiscount').textContent = `-${formatCurrency(totals.discount)}`;
+        document.getElementById('cartDiscountRow').hidden = !totals.discount;
+        document.getElementById('cartDiscountLabel').textContent = this.cart.discountCode;
+        document.getElementById('cartTax').textContent = formatCurrency(totals.tax);
+        document.getElementById('cartTotal').textContent = formatCurrency(totals.total);
+        this.checkoutButton.disabled = !lines.length;
+    }
+
+    openDrawer() {
+        this.drawer.classList.add('active');
+        this.drawer.setAttribute('aria-hidden', 'false');
+        this.cartToggle.setAttribute('aria-expanded', 'true');
+        scrollLock.lock(this);
+        this.focusTrap.activate();
+    }
+
+    closeDrawer() {
+        this.drawer.classList.remove('active');
+        this.drawer.setAttribute('aria-hidden', 'true');
+        this.cartToggle.setAttribute('aria-expanded', 'false');
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
+    }
+}
+
+// ============================================
+// CHECKOUT
+// ============================================
+
+/**
+ * Multi-step checkout: details -> delivery -> review, validated per step
+ */
+class Checkout extends Component {
+    constructor(modal, cart, shopView, submitter) {
+        super(modal);
+        this.cart = cart;
+        this.shopView = shopView;
+        this.submitter = submitter;
+        this.modal = modal;
+        this.form = document.getElementById('checkoutForm');
+        this.steps = [...this.form.querySelectorAll('.checkout-step')];
+        this.progressItems = [...this.modal.querySelectorAll('.checkout-progress li')];
+        this.backButton = document.getElementById('checkoutBack');
+        this.nextButton = document.getElementById('checkoutNext');
+        this.placeButton = document.getElementById('checkoutPlace');
+        this.currentStep = 0;
+        this.focusTrap = new FocusTrap(this.modal.querySelector('.checkout-panel'));
+        this.validator = null;
+        // The order on the confirmation screen, if any
+        this.order = null;
+    }
+
+    init() {
+        this.validator = new FormValidator(this.form, {
+            onSubmit: (data) => this.placeOrder(data)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
+        if (this.submitter.queue) this.own(() => this.submitter.queue.destroy());
+
+        this.listen(document.getElementById('checkoutButton'), 'click', () => this.open());
+        this.modal.querySelectorAll('[data-checkout-close]').forEach(element => {
+            this.listen(element, 'click', () => this.close());
+        });
+
+        this.listen(this.backButton, 'click', () => this.goTo(this.currentStep - 1));
+        this.listen(this.nextButton, 'click', () => this.next());
+
+        // Enter in a field advances a step instead of submitting early
+        this.listen(this.form, 'keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && !this.isLastStep()) {
+                e.preventDefault();
+                this.next();
+            }
+        });
+
+        this.listen(this.form, 'change', (e) => {
+            if (e.target.name === 'deliveryMethod') this.toggleAddress();
+        });
+
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.modal.classList.contains('active')) this.close();
+        });
+
+        this.own(i18n.onChange(() => {
+            if (this.isLastStep()) this.renderReview();
+            if (this.order) this.renderConfirmationNote();
+        }));
+    }
+
+    open() {
+        if (!this.cart.items.length) return;
+        this.shopView.closeDrawer();
+        this.form.hidden = false;
+        document.getElementById('checkoutConfirmation').hidden = true;
+        this.order = null;
+        this.goTo(0);
+        this.toggleAddress();
+        this.modal.classList.add('active');
+        this.modal.setAttribute('aria-hidden', 'false');
+        scrollLock.lock(this);
+        this.focusTrap.activate();
+    }
+
+    close() {
+        this.modal.classList.remove('active');
+        this.modal.setAttribute('aria-hidden', 'true');
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
+    }
+
+    isLastStep() {
+        return this.currentStep === this.steps.length - 1;
+    }
+
+    async next() {
+        // Only the fields in the visible step are checked before moving on
+        if (await this.validator.validateForm(this.steps[this.currentStep])) {
+            this.goTo(this.currentStep + 1);
+        }
+    }
+
+    goTo(index) {
+        this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== this.currentStep;
+        });
+        this.progressItems.forEach((item, i) => {
+            item.classList.toggle('active', i === this.currentStep);
+            item.classList.toggle('complete', i < this.currentStep);
+        });
+
+        this.backButton.hidden = this.currentStep === 0;
+        this.nextButton.hidden = this.isLastStep();
+        this.placeButton.hidden = !this.isLastStep();
+
+        if (this.isLastStep()) this.renderReview();
+    }
+
+    toggleAddress() {
+        const delivery = this.validator.getValue('deliveryMethod') === 'delivery';
+        this.form.querySelector('.checkout-address').hidden = !delivery;
+    }
+
+    renderReview() {
+        const data = this.validator.getFormData();
+        const review = document.getElementById('checkoutReview');
+        const totals = this.cart.getTotals();
+        review.innerHTML = '';
+
+        const list = document.createElement('ul');
+        list.className = 'review-lines';
+        this.cart.getLines().forEach(({ product, quantity, total }) => {
+            const line = document.createElement('li');
+            line.innerHTML = '<span></span><span></span>';
+            line.children[0].textContent = `${quantity} × ${product.name}`;
+            line.children[1].textContent = formatCurrency(total);
+            list.appendChild(line);
+        });
+
+        const rows = [
+            [i18n.t('cart.subtotal'), formatCurrency(totals.subtotal)],
+            ...(totals.discount ? [[i18n.t('checkout.discount', { code: this.cart.discountCode }), `-${formatCurrency(totals.discount)}`]] : []),
+            [i18n.t('cart.tax'), formatCurrency(totals.tax)],
+            [i18n.t('cart.total'), formatCurrency(totals.total), 'review-total']
+        ];
+        rows.forEach(([label, value, className = 'review-summary']) => {
+            const line = document.createElement('li');
+            line.className = className;
+            line.innerHTML = '<span></span><span></span>';
+            line.children[0].textContent = label;
+            line.children[1].textContent = value;
+            list.appendChild(line);
+        });
+
+        const delivery = document.createElement('p');
+        delivery.className = 'review-delivery';
+        delivery.textContent = data.deliveryMethod === 'delivery'
+            ? i18n.t('checkout.deliverTo', data)
+            : i18n.t('checkout.pickupAt', { name: data.name, address: BUSINESS_ADDRESS });
+
+        review.append(list, delivery);
+    }
+
+    async placeOrder(data) {
+        const order = {
+            type: 'order',
+            reference: createBookingReference('ORD'),
+            customer: data,
+            items: this.cart.getLines().map(({ product, quantity, total }) => ({
+                id: product.id,
+                name: product.name,
+                quantity,
+                total
+            })),
+            discountCode: this.cart.discountCode,
+            totals: this.cart.getTotals()
+        };
+
+        const errorElement = document.getElementById('checkoutError');
+        errorElement.textContent = '';
+
+        try {
+            const result = await this.submitter.submit(order);
+            analytics.track('form_submit', {
+                form: 'checkout',
+                status: result.status,
+                items: order.items.reduce((sum, item) => sum + item.quantity, 0),
+                value: order.totals.total
+            });
+            this.cart.clear();
+            this.validator.reset();
+            this.showConfirmation(order, result.status === 'queued');
+        } catch (error) {
+            console.error('Order failed', error);
+            errorElement.textContent = error instanceof SubmissionError
+                ? error.message
+                : i18n.t('checkout.failed');
+        }
+    }
+
+    showConfirmation(order, queued) {
+        this.order = { ...order, queued };
+        this.form.hidden = true;
+        const confirmation = document.getElementById('checkoutConfirmation');
+        confirmation.hidden = false;
+        confirmation.querySelector('button').focus();
+        confirmation.querySelector('.confirmation-reference').textContent = order.reference;
+        this.renderConfirmationNote();
+    }
+
+    renderConfirmationNote() {
+        document.querySelector('#checkoutConfirmation .confirmation-note').textContent = this.order.queued
+            ? i18n.t('checkout.queued')
+            : i18n.t('checkout.sent', { email: this.order.customer.email });
+    }
+}
+
+components.define('shop', (element) => {
+    const cart = new Cart();
+    const shopView = new ShopView(element, cart);
+    shopView.own(() => cart.destroy());
+    return shopView;
+}, { requires: ['#productsGrid', '#cartDrawer', '#cartDrawer .cart-panel', '#cartItems', '#cartToggle', '#cartCount', '#discountForm'] });
+
+// data-shop names the element whose cart the checkout places orders for
+components.define('checkout', (element) => {
+    const shopElement = document.getElementById(element.dataset.shop);
+    const shopView = shopElement && components.mountComponent(shopElement, 'shop');
+    if (!shopView) throw new Error(`No shop "${element.dataset.shop}" for the checkout`);
+
+    const endpoint = document.getElementById('checkoutForm').dataset.submitEndpoint;
+    const transport = endpoint ? new FetchTransport(endpoint) : new MockTransport('pawscare.orders');
+    return new Checkout(element, shopView.cart, shopView, new FormSubmitter(transport, new SubmissionQueue(transport, {
+        storageKey: 'pawscare.orderOutbox'
+    })));
+}, {
+    requires: ['#checkoutForm', '.checkout-panel', '#checkoutButton', '#checkoutBack', '#checkoutNext', '#checkoutPlace', '#checkoutConfirmation']
+});
+
+// ============================================
+// SITE SEARCH & COMMAND PALETTE
+// ============================================
+
+/**
+ * Lowercase and strip accents so "peluqueria" finds "Peluquería"
+ */
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Score a normalized query term against normalized text (0 = no match).
+ * Substrings beat scattered letters; word starts and consecutive runs score higher.
+ */
+function fuzzyScore(term, text) {
+    if (!term || !text) return 0;
+
+    const index = text.indexOf(term);
+    if (index !== -1) {
+        const wordStart = index === 0 || /[\s\-/(]/.test(text[index - 1]);
+        return 100 + term.length * 4 + (wordStart ? 40 : 0) - Math.min(index, 40);
+    }
+
+    // Very short terms only match as substrings; scattered single letters are noise
+    if (term.length < 3) return 0;
+
+    let score = 0;
+    let run = 0;
+    let first = -1;
+    let position = 0;
+    for (const char of term) {
+        const found = text.indexOf(char, position);
+        if (found === -1) return 0;
+        if (first === -1) first = found;
+        run = found === position && found !== first ? run + 1 : 1;
+        score += run * 2 + (found === 0 || /\s/.test(text[found - 1]) ? 4 : 0);
+        position = found + 1;
+    }
+
+    // Letters spread too far apart aren't a meaningful match
+    return position - first > term.length * 3 ? 0 : score;
+}
+
+/**
+ * Client-side index over documents produced by registered sources:
+ *   { id, type, icon, title, text?, keywords?, suggested?, run() }
+ * Rebuilt lazily after invalidate(), e.g. when the language changes.
+ */
+class SearchIndex {
+    constructor() {
+        this.sources = [];
+        this.documents = null;
+    }
+
+    addSource(source) {
+        this.sources.push(source);
+        this.invalidate();
+        return this;
+    }
+
+    invalidate() {
+        this.documents = null;
+    }
+
+    build() {
+        this.documents = [];
+        this.sources.forEach(source => {
+            try {
+                source().forEach(doc => {
+                    this.documents.push({
+                        ...doc,
+                        fields: [
+                            { text: normalizeSearchText(doc.title), weight: 3 },
+                            { text: normalizeSearchText((doc.keywords || []).join(' ')), weight: 2 },
+                            { text: normalizeSearchText(doc.text), weight: 1 }
+                        ]
+                    });
+                });
+            } catch (error) {
+                console.error('Search source failed', error);
+            }
+        });
+    }
+
+    /**
+     * Best matches for `query`; an empty query returns the suggested documents
+     */
+    search(query, limit = 8) {
+        if (!this.documents) this.build();
+
+        const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+        if (!terms.length) {
+            return this.documents.filter(doc => doc.suggested).slice(0, limit);
+        }
+
+        return this.documents
+            .map(doc => ({ doc, score: this.score(doc, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(result => result.doc);
+    }
+
+    /**
+     * Every term has to match some field; each counts its best weighted field
+     */
+    score(doc, terms) {
+        let total = 0;
+        for (const term of terms) {
+            const best = Math.max(...doc.fields.map(field => fuzzyScore(term, field.text) * field.weight));
+            if (!best) return 0;
+            total += best;
+        }
+        return total;
+    }
+}
+
+/**
+ * Font Awesome icon class used by an element, e.g. "fa-award"
+ */
+function getIconName(element, fallback) {
+    const icon = element && [...element.classList].find(name => name.startsWith('fa-'));
+    return icon || fallback;
+}
+
+/**
+ * Text of an element with <br> line breaks kept as separators
+ */
+function getReadableText(element) {
+    if (!element) return '';
+    return [...element.childNodes]
+        .map(node => node.textContent.trim())
+        .filter(Boolean)
+        .join(' · ');
+}
+
+const searchIndex = new SearchIndex();
+
+searchIndex
+    // Page sections, labelled like the nav menu
+    .addSource(() => [...document.querySelectorAll('.nav-link')].map(link => {
+        const hash = link.getAttribute('href');
+        return {
+            id: `section:${hash}`,
+            type: 'section',
+            icon: 'fa-hashtag',
+            title: link.textContent.trim(),
+            run: () => goToSection(hash)
+        };
+    }))
+    // Services, "Book …" actions and service FAQs
+    .addSource(() => serviceCatalog.getAll().map(localizeService).flatMap(service => {
+        const detail = `#/services/${service.id}`;
+        return [
+            {
+                id: `service:${service.id}`,
+                type: 'service',
+                icon: service.icon,
+                title: service.title,
+                text: service.description,
+                keywords: (service.tiers || []).map(tier => tier.name),
+                run: () => router.navigate(detail)
+            },
+            {
+                id: `book:${service.id}`,
+                type: 'action',
+                icon: 'fa-calendar-check',
+                title: i18n.t('search.book', { service: service.title }),
+                keywords: [i18n.t('search.bookKeywords'), service.id],
+                suggested: true,
+                run: () => {
+                    router.navigate('#contact');
+                    setActiveNavLink('contact');
+                    preselectService(service.id);
+                }
+            },
+            ...(service.faqs || []).map((faq, index) => ({
+                id: `faq:${service.id}:${index}`,
+                type: 'faq',
+                icon: 'fa-circle-question',
+                title: faq.question,
+                text: faq.answer,
+                keywords: [service.title],
+                run: () => router.navigate(detail)
+            }))
+        ];
+    }))
+    // Built-in gallery photos by alt text, caption, tags and category
+    .addSource(() => GALLERY_ITEMS.map(item => ({
+        id: `photo:${item.id}`,
+        type: 'photo',
+        icon: 'fa-image',
+        title: item.alt,
+        text: item.caption,
+        keywords: [...item.tags, i18n.t(`gallery.category.${item.category}`)],
+        run: () => {
+            const hash = `#/gallery/${item.id}`;
+            if (router.match(hash)) {
+                router.navigate(hash);
+            } else {
+                goToSection('#gallery');
+            }
+        }
+    })))
+    // "Why choose us" features
+    .addSource(() => [...document.querySelectorAll('#why-choose .feature-box')].map((box, index) => ({
+        id: `feature:${index}`,
+        type: 'feature',
+        icon: getIconName(box.querySelector('.feature-icon i'), 'fa-star'),
+        title: box.querySelector('h3').textContent.trim(),
+        text: getReadableText(box.querySelector('p')),
+        run: () => goToSection('#why-choose')
+    })))
+    // Address, phone, email and service area
+    .addSource(() => [...document.querySelectorAll('#contact .info-box')].map((box, index) => ({
+        id: `contact:${index}`,
+        type: 'contact',
+        icon: getIconName(box.querySelector('.info-icon i'), 'fa-address-card'),
+        title: box.querySelector('h3').textContent.trim(),
+        text: getReadableText(box.querySelector('p')),
+        run: () => goToSection('#contact')
+    })));
+
+// Titles and DOM-sourced copy follow the language and the catalog
+i18n.onChange(() => searchIndex.invalidate());
+serviceCatalog.subscribe(() => searchIndex.invalidate());
+
+/**
+ * Combobox over search results: an input with role="combobox", a list with
+ * role="listbox" and an optional [data-search-status] live region.
+ */
+class SearchBox extends Component {
+    constructor(element, index, options = {}) {
+        super(element);
+        this.index = index;
+        this.input = element.querySelector('[role="combobox"]');
+        this.list = element.querySelector('[role="listbox"]');
+        this.status = element.querySelector('[data-search-status]');
+        this.limit = options.limit || 8;
+        this.showSuggestions = Boolean(options.showSuggestions);
+        this.onSelect = options.onSelect || (() => {});
+        this.results = [];
+        this.activeIndex = -1;
+    }
+
+    init() {
+        this.listen(this.input, 'input', () => this.update());
+        this.listen(this.input, 'keydown', (e) => this.handleKeydown(e));
+
+        // Keep focus in the input while clicking a result
+        this.listen(this.list, 'mousedown', (e) => e.preventDefault());
+        this.listen(this.list, 'click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.select(Number(option.dataset.index));
+        });
+
+        this.own(i18n.onChange(() => {
+            if (this.isOpen()) this.update();
+        }));
+    }
+
+    isOpen() {
+        return !this.list.hidden;
+    }
+
+    update() {
+        const query = this.input.value.trim();
+        this.results = query || this.showSuggestions ? this.index.search(query, this.limit) : [];
+        this.render(query);
+    }
+
+    render(query) {
+        this.list.innerHTML = '';
+        this.results.forEach((doc, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.list.id}-option-${index}`;
+            option.className = 'search-result';
+            option.setAttribute('role', 'option');
+            option.dataset.index = index;
+            option.innerHTML = `
+                <i class="fas ${doc.icon}" aria-hidden="true"></i>
+                <span class="search-result-title"></span>
+                <span class="search-result-type"></span>
+            `;
+            option.querySelector('.search-result-title').textContent = doc.title;
+            option.querySelector('.search-result-type').textContent = i18n.t(`search.type.${doc.type}`);
+            this.list.appendChild(option);
+        });
+
+        if (query && !this.results.length) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.setAttribute('role', 'presentation');
+            empty.textContent = i18n.t('search.empty', { query });
+            this.list.appendChild(empty);
+        }
+
+        const open = Boolean(query) || this.showSuggestions;
+        this.list.hidden = !open;
+        this.input.setAttribute('aria-expanded', String(open));
+        this.setActive(this.results.length ? 0 : -1);
+
+        if (this.status) {
+            this.status.textContent = query ? i18n.plural('search.results', this.results.length) : '';
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        const options = [...this.list.querySelectorAll('[role="option"]')];
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+
+        const active = options[index];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(e) {
+        const count = this.results.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!this.isOpen()) {
+                this.update();
+            } else if (count) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActive((this.activeIndex + step + count) % count);
+            }
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            e.preventDefault();
+            this.select(this.activeIndex);
+        } else if (e.key === 'Escape' && this.isOpen() && !this.showSuggestions) {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    select(index) {
+        const doc = this.results[index];
+        if (!doc) return;
+        this.onSelect(doc);
+        doc.run();
+    }
+
+    close() {
+        this.list.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.setActive(-1);
+    }
+
+    reset() {
+        this.input.value = '';
+        this.update();
+    }
+}
+
+/**
+ * Navbar search box with a results dropdown
+ */
+class SiteSearch extends SearchBox {
+    constructor(element, index) {
+        super(element, index, { limit: 6, onSelect: () => this.reset() });
+    }
+
+    init() {
+        super.init();
+
+        this.listen(this.input, 'focus', () => {
+            if (this.input.value.trim()) this.update();
+        });
+        this.listen(this.element, 'focusout', (e) => {
+            if (!this.element.contains(e.relatedTarget)) this.close();
+        });
+
+        const shortcut = this.element.querySelector('.nav-search-shortcut');
+        if (shortcut && /Mac|iPhone|iPad/.test(navigator.platform)) shortcut.textContent = '⌘K';
+    }
+}
+
+/**
+ * Ctrl/Cmd+K palette; also opened by any [data-palette-open] button
+ */
+class CommandPalette extends Component {
+    constructor(element, index) {
+        super(element);
+        this.panel = element.querySelector('.command-palette-panel');
+        this.searchBox = new SearchBox(this.panel, index, {
+            limit: 10,
+            showSuggestions: true,
+            onSelect: () => this.close()
+        });
+        this.focusTrap = new FocusTrap(this.panel);
+    }
+
+    init() {
+        this.searchBox.init();
+        this.own(() => this.searchBox.destroy());
+        this.own(() => this.close());
+
+        this.listen(document, 'keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (this.isOpen()) {
+                    this.close();
+                } else {
+                    this.open();
+                }
+            } else if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+
+        this.listen(document, 'click', (e) => {
+            if (e.target.closest('[data-palette-open]')) this.open();
+        });
+
+        this.element.querySelectorAll('[data-palette-close]').forEach(element => {
+            this.listen(element, 'click', () => this.close());
+        });
+    }
+
+    isOpen() {
+        return this.element.classList.contains('active');
+    }
+
+    open() {
+        if (this.isOpen()) return;
+        setMenuOpen(false);
+        this.searchBox.reset();
+        this.element.classList.add('active');
+        this.element.setAttribute('aria-hidden', 'false');
+        scrollLock.lock(this);
+        this.focusTrap.activate(this.searchBox.input);
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.element.classList.remove('active');
+        this.element.setAttribute('aria-hidden', 'true');
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
+    }
+}
+
+components.define('site-search', (element) => new SiteSearch(element, searchIndex), {
+    requires: ['[role="combobox"]', '[role="listbox"]']
+});
+
+components.define('command-palette', (element) => new CommandPalette(element, searchIndex), {
+    requires: ['.command-palette-panel', '[role="combobox"]', '[role="listbox"]']
+});
+
+// ============================================
+// ADMIN DASHBOARD
+// ============================================
+
+/**
+ * Request workflow; a request only moves forward one step at a time
+ */
+const ADMIN_STATUSES = ['new', 'contacted', 'booked', 'done'];
+
+function getNextAdminStatus(status) {
+    const index = ADMIN_STATUSES.indexOf(status);
+    return index === -1 ? null : ADMIN_STATUSES[index + 1] || null;
+}
+
+/**
+ * Raised for a wrong password or an expired/missing staff session
+ */
+class AdminAuthError extends Error {
+    constructor(message = i18n.t('admin.authFailed')) {
+        super(message);
+        this.name = 'AdminAuthError';
+    }
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Merge a contact inquiry and/or its booking into one dashboard record
+ */
+function toAdminRecord(inquiry, booking) {
+    const pick = (field) => (inquiry && inquiry[field]) || (booking && booking[field]) || '';
+    return {
+        id: booking ? booking.reference : inquiry.id,
+        name: pick('name'),
+        email: pick('email'),
+        phone: pick('phone'),
+        service: pick('service'),
+        message: (inquiry && inquiry.message) || '',
+        reference: booking ? booking.reference : (inquiry.bookingReference || ''),
+        date: booking ? booking.date : (inquiry.bookingDate || ''),
+        time: booking ? booking.time : (inquiry.bookingTime || ''),
+        pet: normalizePet(inquiry && inquiry.pet),
+        submittedAt: (inquiry && inquiry.submittedAt) || (booking && booking.createdAt) || ''
+    };
+}
+
+/**
+ * Admin data source over what the local mocks store (MockTransport inquiries and
+ * LocalBookingSource bookings). Statuses and notes are kept alongside.
+ *
+ * Demo only (data-admin-demo): the password hash ships with the page and the
+ * session is a plain sessionStorage entry, so anyone can get in. Real
+ * deployments must use RemoteAdminSource (data-admin-endpoint), whose server
+ * checks the password and issues a session token.
+ */
+class LocalAdminSource {
+    constructor(options = {}) {
+        this.demo = Boolean(options.demo);
+        this.passwordHash = options.passwordHash || '';
+        this.inquiriesKey = options.inquiriesKey || 'pawscare.inquiries';
+        this.bookingsKey = options.bookingsKey || 'pawscare.bookings';
+        this.recordsKey = options.recordsKey || 'pawscare.adminRecords';
+        this.sessionKey = options.sessionKey || 'pawscare.adminSession';
+        this.sessionTtl = options.sessionTtl || 8 * 60 * 60 * 1000;
+        this.storageKeys = [this.inquiriesKey, this.bookingsKey, this.recordsKey];
+    }
+
+    read(storage, key, fallback) {
+        try {
+            return JSON.parse(storage.getItem(key)) || fallback;
+        } catch (error) {
+            console.warn(`Could not read ${key}`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Without the demo flag and a hash there is no local sign-in at all
+     */
+    isEnabled() {
+        return this.demo && Boolean(this.passwordHash);
+    }
+
+    isAuthenticated() {
+        if (!this.isEnabled()) return false;
+        const session = this.read(sessionStorage, this.sessionKey, null);
+        return Boolean(session && session.expires > Date.now());
+    }
+
+    async login(password) {
+        if (!this.isEnabled()) throw new AdminAuthError(i18n.t('admin.notConfigured'));
+        if (!window.crypto || !crypto.subtle) {
+            throw new AdminAuthError(i18n.t('admin.unavailable'));
+        }
+        if (await sha256Hex(password) !== this.passwordHash.toLowerCase()) {
+            throw new AdminAuthError();
+        }
+        sessionStorage.setItem(this.sessionKey, JSON.stringify({ expires: Date.now() + this.sessionTtl }));
+    }
+
+    logout() {
+        sessionStorage.removeItem(this.sessionKey);
+    }
+
+    requireSession() {
+        if (!this.isAuthenticated()) throw new AdminAuthError(i18n.t('admin.sessionExpired'));
+    }
+
+    async list() {
+        this.requireSession();
+        const inquiries = this.read(localStorage, this.inquiriesKey, []);
+        const bookings = new Map(this.read(localStorage, this.bookingsKey, []).map(booking => [booking.reference, booking]));
+        const meta = this.read(localStorage, this.recordsKey, {});
+
+        const records = inquiries.map(inquiry => {
+            const booking = bookings.get(inquiry.bookingReference);
+            bookings.delete(inquiry.bookingReference);
+            return toAdminRecord(inquiry, booking);
+        });
+        // Bookings whose inquiry hasn't arrived yet (e.g. still queued offline)
+        bookings.forEach(booking => records.push(toAdminRecord(null, booking)));
+
+        return records
+            .map(record => ({ status: 'new', notes: [], history: [], ...record, ...meta[record.id] }))
+            .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+    }
+
+    /**
+     * Apply { status } and/or { note } to a record; resolves to the updated fields
+     */
+    async update(id, changes) {
+        this.requireSession();
+        const meta = this.read(localStorage, this.recordsKey, {});
+        const entry = { status: 'new', notes: [], history: [], ...meta[id] };
+        const at = new Date().toISOString();
+
+        if (changes.status && changes.status !== entry.status) {
+            if (changes.status !== getNextAdminStatus(entry.status)) {
+                throw new Error(`Cannot move request ${id} from "${entry.status}" to "${changes.status}"`);
+            }
+            entry.status = changes.status;
+            entry.history = [...entry.history, { status: changes.status, at }];
+        }
+        if (changes.note) {
+            entry.notes = [...entry.notes, { text: changes.note, at }];
+        }
+
+        meta[id] = entry;
+        localStorage.setItem(this.recordsKey, JSON.stringify(meta));
+        return entry;
+    }
+}
+
+/**
+ * Admin data source backed by an HTTP API (or a local mock server)
+ *
+ * POST  {endpoint}/login         { password }        -> { token, expiresIn? }
+ * GET   {endpoint}/records                           -> { records: [...] }
+ * PATCH {endpoint}/records/:id   { status?, note? }  -> updated fields
+ * Any 401 response ends the session.
+ */
+class RemoteAdminSource {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint.replace(/\/$/, '');
+        this.sessionKey = options.sessionKey || 'pawscare.adminSession';
+        this.storageKeys = [];
+    }
+
+    isEnabled() {
+        return true;
+    }
+
+    get session() {
+        try {
+            const session = JSON.parse(sessionStorage.getItem(this.sessionKey));
+            return session && session.expires > Date.now() ? session : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isAuthenticated() {
+        return Boolean(this.session);
+    }
+
+    async login(password) {
+        const response = await fetch(`${this.endpoint}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        if (response.status === 401) throw new AdminAuthError();
+        if (!response.ok) throw new Error(`Login failed (${response.status})`);
+
+        const { token, expiresIn = 8 * 60 * 60 } = await response.json();
+        sessionStorage.setItem(this.sessionKey, JSON.stringify({ token, expires: Date.now() + expiresIn * 1000 }));
+    }
+
+    logout() {
+        sessionStorage.removeItem(this.sessionKey);
+    }
+
+    async request(path, options = {}) {
+        const session = this.session;
+        if (!session) throw new AdminAuthError(i18n.t('admin.sessionExpired'));
+
+        const response = await fetch(`${this.endpoint}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.token}`, ...options.headers }
+        });
+        if (response.status === 401) {
+            this.logout();
+            throw new AdminAuthError(i18n.t('admin.sessionExpired'));
+        }
+        if (!response.ok) throw new Error(`Admin request failed (${response.status})`);
+        return response.json();
+    }
+
+    async list() {
+        const data = await this.request('/records');
+        return (data.records || []).map(record => ({ status: 'new', notes: [], history: [], ...record }));
+    }
+
+    update(id, changes) {
+        return this.request(`/records/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    }
+}
+
+/**
+ * Quote a CSV cell; cells that spreadsheets would run as formulas get a leading '
+ */
+function toCsvCell(value) {
+    let text = String(value === undefined || value === null ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    // Close menu when clicking outside
-    document.addEventListener('click', (e) => {
-        if (!e.target.closest('.navbar-container')) {
-            menuToggle.classList.remove('active');
-            navMenu.classList.remove('active');
-        }
-    });
+function toCsv(rows) {
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
 }
 
 /**
- * Smooth scroll on nav link click
+ * First day of the week for the current locale (0 = Sunday)
  */
-navLinks.forEach(link => {
-    link.addEventListener('click', (e) => {
-        e.preventDefault();
-        
-        // Remove active class from all links
-        navLinks.forEach(l => l.classList.remove('active'));
-        link.classList.add('active');
-        
-        // Close mobile menu
-        if (menuToggle && navMenu) {
-            menuToggle.classList.remove('active');
-            navMenu.classList.remove('active');
-        }
-        
-        // Smooth scroll
-        const targetId = link.getAttribute('href');
-        const targetSection = document.querySelector(targetId);
-        if (targetSection) {
-            smoothScrollTo(targetSection);
-        }
-    });
-});
+function getFirstDayOfWeek() {
+    try {
+        const locale = new Intl.Locale(i18n.intlLocale);
+        const info = locale.getWeekInfo ? locale.getWeekInfo() : locale.weekInfo;
+        if (info) return info.firstDay % 7;
+    } catch (error) {
+        // Older engines without Intl.Locale week data
+    }
+    return 0;
+}
 
 /**
- * Update active nav link on scroll
+ * Staff view at #/admin: sign-in, filterable request list with status
+ * workflow and notes, CSV export and a calendar of upcoming appointments
  */
-window.addEventListener('scroll', throttle(() => {
-    let current = '';
-    const sections = document.querySelectorAll('section');
+class AdminDashboard extends Component {
+    constructor(element, router, source) {
+        super(element);
+        this.router = router;
+        this.source = source;
+        this.panel = element.querySelector('.admin-panel');
+        this.loginForm = element.querySelector('#adminLogin');
+        this.unavailable = element.querySelector('#adminUnavailable');
+        this.dashboard = element.querySelector('#adminDashboard');
+        this.logoutButton = element.querySelector('[data-admin-logout]');
+        this.serviceFilter = element.querySelector('#adminServiceFilter');
+        this.statusFilter = element.querySelector('#adminStatusFilter');
+        this.summary = element.querySelector('#adminSummary');
+        this.list = element.querySelector('#adminList');
+        this.calendar = element.querySelector('#adminCalendar');
+        this.calendarTitle = element.querySelector('#adminCalendarTitle');
+        this.calendarGrid = element.querySelector('#adminCalendarGrid');
+        this.focusTrap = new FocusTrap(this.panel);
+        this.records = [];
+        this.view = 'list';
+        this.month = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+        this.validator = null;
+    }
 
-    sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.clientHeight;
-        if (scrollY >= sectionTop - 200) {
-            current = section.getAttribute('id');
-        }
-    });
+    init() {
+        const route = {
+            enter: () => this.open(),
+            leave: () => this.close()
+        };
+        this.router.add('/admin', route);
+        this.own(() => this.router.remove(route));
 
-    navLinks.forEach(link => {
-        link.classList.remove('active');
-        if (link.getAttribute('href').slice(1) === current) {
-            link.classList.add('active');
-        }
-    });
-}, 100));
+        this.validator = new FormValidator(this.loginForm, {
+            onSubmit: (data) => this.login(data.password)
+        });
+        this.validator.init();
+        this.own(() => this.validator.destroy());
 
-// ============================================
-// SCROLL REVEAL ANIMATIONS (Animate On Scroll)
-// ============================================
+        this.element.querySelectorAll('[data-admin-close]').forEach(element => {
+            this.listen(element, 'click', () => this.router.back('#home'));
+        });
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.router.back('#home');
+        });
+        this.listen(this.logoutButton, 'click', () => this.logout());
 
-class ScrollReveal {
-    constructor() {
-        this.elements = document.querySelectorAll('[data-aos]');
-        this.observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -100px 0px'
-        };
-        this.init();
-    }
+        this.listen(this.serviceFilter, 'change', () => this.render());
+        this.listen(this.statusFilter, 'change', () => this.render());
+        this.element.querySelectorAll('[data-admin-view]').forEach(tab => {
+            this.listen(tab, 'click', () => this.setView(tab.dataset.adminView));
+        });
+        this.listen(this.element.querySelector('#adminExport'), 'click', () => this.exportCsv());
 
-    init() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.revealElement(entry.target);
-                    observer.unobserve(entry.target);
-                }
+        this.listen(this.list, 'click', (e) => {
+            const button = e.target.closest('[data-admin-advance]');
+            if (button) this.updateRecord(button.closest('.admin-record').dataset.recordId, { status: button.dataset.adminAdvance });
+        });
+        this.listen(this.list, 'submit', (e) => {
+            if (!e.target.matches('.admin-note-form')) return;
+            e.preventDefault();
+            const input = e.target.querySelector('[name="note"]');
+            const note = input.value.trim();
+            if (note) this.updateRecord(e.target.closest('.admin-record').dataset.recordId, { note }, true);
+        });
+
+        this.element.querySelectorAll('[data-calendar-step]').forEach(button => {
+            this.listen(button, 'click', () => {
+                this.month = new Date(this.month.getFullYear(), this.month.getMonth() + Number(button.dataset.calendarStep), 1);
+                this.renderCalendar();
             });
-        }, this.observerOptions);
+        });
+        this.listen(this.calendarGrid, 'click', (e) => {
+            const appointment = e.target.closest('[data-record-id]');
+            if (appointment) this.showRecord(appointment.dataset.recordId);
+        });
 
-        this.elements.forEach(element => {
-            observer.observe(element);
+        // New submissions or changes from another tab
+        this.listen(window, 'storage', (e) => {
+            if (this.isOpen() && this.source.storageKeys.includes(e.key)) this.refresh();
         });
+        this.own(i18n.onChange(() => {
+            if (this.isOpen() && this.source.isAuthenticated()) this.render();
+        }));
     }
 
-    revealElement(element) {
-        const delay = element.getAttribute('data-delay') || 0;
-        setTimeout(() => {
-            element.classList.add('aos-show');
-        }, parseInt(delay));
+    isOpen() {
+        return this.element.classList.contains('active');
     }
-}
 
-// Initialize scroll reveal
-document.addEventListener('DOMContentLoaded', () => {
-    new ScrollReveal();
-});
+    open() {
+        this.element.classList.add('active');
+        this.element.setAttribute('aria-hidden', 'false');
+        scrollLock.lock(this);
 
-// ============================================
-// COUNTER ANIMATION
-// ============================================
+        if (this.source.isAuthenticated()) {
+            this.showDashboard();
+            this.focusTrap.activate();
+        } else {
+            this.showLogin();
+            this.focusTrap.activate(this.source.isEnabled() ? this.loginForm.querySelector('[name="password"]') : undefined);
+        }
+    }
 
-class Counter {
-    constructor(element, target) {
-        this.element = element;
-        this.target = parseInt(target);
-        this.current = 0;
-        this.animated = false;
+    close() {
+        if (!this.isOpen()) return;
+        this.element.classList.remove('active');
+        this.element.setAttribute('aria-hidden', 'true');
+        scrollLock.unlock(this);
+        this.focusTrap.deactivate();
     }
 
-    animate() {
-        if (this.animated) return;
+    showLogin(message) {
+        this.records = [];
+        this.list.innerHTML = '';
+        this.calendarGrid.innerHTML = '';
+        this.dashboard.hidden = true;
+        this.logoutButton.hidden = true;
+        // Without a staff API (or the demo) there is nothing to sign in to
+        this.loginForm.hidden = !this.source.isEnabled();
+        this.unavailable.hidden = this.source.isEnabled();
+        this.validator.reset();
+        if (message) this.validator.showFieldError('password', message);
+    }
 
-        const increment = this.target / 50;
-        const timer = setInterval(() => {
-            this.current += increment;
-            if (this.current >= this.target) {
-                this.current = this.target;
-                clearInterval(timer);
-            }
-            this.element.textContent = Math.floor(this.current).toLocaleString();
-        }, 30);
+    showDashboard() {
+        this.loginForm.hidden = true;
+        this.unavailable.hidden = true;
+        this.dashboard.hidden = false;
+        this.logoutButton.hidden = false;
+        this.refresh();
+    }
 
-        this.animated = true;
+    async login(password) {
+        try {
+            await this.source.login(password);
+        } catch (error) {
+            if (!(error instanceof AdminAuthError)) console.error('Admin sign-in failed', error);
+            this.validator.showFieldError('password', error instanceof AdminAuthError ? error.message : i18n.t('admin.loadFailed'));
+            return;
+        }
+        this.showDashboard();
+        this.focusTrap.getFocusable()[0].focus();
     }
-}
 
-// Initialize counters
-document.addEventListener('DOMContentLoaded', () => {
-    const counters = document.querySelectorAll('.stat-number');
-    
-    window.addEventListener('scroll', throttle(() => {
-        counters.forEach(counter => {
-            if (!counter.animated && isElementInViewport(counter)) {
-                const target = counter.getAttribute('data-target');
-                if (target) {
-                    new Counter(counter, target).animate();
-                    counter.animated = true;
-                }
-            }
-        });
-    }, 100));
-});
+    logout() {
+        this.source.logout();
+        this.showLogin();
+        this.loginForm.querySelector('[name="password"]').focus();
+    }
 
-// ============================================
-// PROGRESS BARS ANIMATION
-// ============================================
+    /**
+     * Run a source call, returning to the sign-in form if the session has ended
+     */
+    async withSession(action, failureKey) {
+        try {
+            return await action();
+        } catch (error) {
+            if (error instanceof AdminAuthError) {
+                this.showLogin(error.message);
+            } else {
+                console.error('Admin request failed', error);
+                this.summary.textContent = i18n.t(failureKey);
+            }
+            return null;
+        }
+    }
 
-class ProgressBar {
-    constructor(element) {
-        this.element = element;
-        this.width = this.element.getAttribute('data-width');
-        this.animated = false;
+    async refresh() {
+        const records = await this.withSession(() => this.source.list(), 'admin.loadFailed');
+        if (!records) return;
+        this.records = records;
+        this.render();
     }
 
-    animate() {
-        if (this.animated) return;
+    async updateRecord(id, changes, refocusNote = false) {
+        const updated = await this.withSession(() => this.source.update(id, changes), 'admin.updateFailed');
+        if (!updated) return;
 
-        let current = 0;
-        const increment = this.width / 50;
-        const timer = setInterval(() => {
-            current += increment;
-            if (current >= this.width) {
-                current = this.width;
-                clearInterval(timer);
-            }
-            this.element.style.setProperty('--fill-width', current + '%');
-            this.element.style.width = current + '%';
-        }, 30);
+        this.records = this.records.map(record => (record.id === id ? { ...record, ...updated } : record));
+        this.render();
 
-        this.animated = true;
+        const record = this.findRecordElement(id);
+        if (record) record.querySelector(refocusNote ? '[name="note"]' : '.admin-record-name').focus();
     }
-}
 
-// Initialize progress bars
-document.addEventListener('DOMContentLoaded', () => {
-    const progressBars = document.querySelectorAll('.progress-fill');
-    
-    window.addEventListener('scroll', throttle(() => {
-        progressBars.forEach(bar => {
-            if (!bar.animated && isElementInViewport(bar)) {
-                new ProgressBar(bar).animate();
-                bar.animated = true;
-            }
-        });
-    }, 100));
-});
+    findRecordElement(id) {
+        return [...this.list.querySelectorAll('.admin-record')].find(element => element.dataset.recordId === id) || null;
+    }
 
-// ============================================
-// GALLERY & LIGHTBOX
-// ============================================
+    getFilteredRecords() {
+        const service = this.serviceFilter.value;
+        const status = this.statusFilter.value;
+        return this.records.filter(record => (
+            (!service || record.service === service) && (!status || record.status === status)
+        ));
+    }
 
-class Gallery {
-    constructor() {
-        this.galleryItems = document.querySelectorAll('.gallery-item');
-        this.lightbox = document.getElementById('lightbox');
-        this.lightboxImage = document.querySelector('.lightbox-image');
-        this.currentIndex = 0;
-        this.init();
+    getServiceTitle(id) {
+        const service = serviceCatalog.get(id);
+        return service ? localizeService(service).title : id;
     }
 
-    init() {
-        // Gallery item click
-        this.galleryItems.forEach((item, index) => {
-            item.addEventListener('click', () => {
-                this.currentIndex = index;
-                this.openLightbox(index);
-            });
+    setView(view) {
+        this.view = view;
+        this.element.querySelectorAll('[data-admin-view]').forEach(tab => {
+            tab.setAttribute('aria-pressed', String(tab.dataset.adminView === view));
         });
+        this.render();
+    }
 
-        // Lightbox close button
-        document.querySelector('.lightbox-close').addEventListener('click', () => {
-            this.closeLightbox();
+    render() {
+        this.renderFilters();
+        const records = this.getFilteredRecords();
+        this.summary.textContent = i18n.t('admin.summary', {
+            shown: i18n.formatNumber(records.length),
+            total: i18n.formatNumber(this.records.length)
         });
 
-        // Lightbox navigation
-        document.querySelector('.lightbox-prev').addEventListener('click', () => {
-            this.previousImage();
-        });
+        this.list.hidden = this.view !== 'list';
+        this.calendar.hidden = this.view !== 'calendar';
+        if (this.view === 'list') {
+            this.renderList(records);
+        } else {
+            this.renderCalendar();
+        }
+    }
 
-        document.querySelector('.lightbox-next').addEventListener('click', () => {
-            this.nextImage();
-        });
+    renderFilters() {
+        // Catalog services plus any retired ones that still have requests
+        const services = new Set([...serviceCatalog.getAll().map(service => service.id), ...this.records.map(record => record.service)]);
+        this.fillSelect(this.serviceFilter, i18n.t('admin.allServices'),
+            [...services].filter(Boolean).map(id => [id, this.getServiceTitle(id)]));
+        this.fillSelect(this.statusFilter, i18n.t('admin.allStatuses'),
+            ADMIN_STATUSES.map(status => [status, i18n.t(`admin.status.${status}`)]));
+    }
 
-        // Close lightbox on background click
-        this.lightbox.addEventListener('click', (e) => {
-            if (e.target === this.lightbox) {
-                this.closeLightbox();
-            }
-        });
+    fillSelect(select, allLabel, options) {
+        const selected = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(allLabel, ''));
+        options.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+        select.value = options.some(([value]) => value === selected) ? selected : '';
+    }
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (!this.lightbox.classList.contains('active')) return;
-            if (e.key === 'ArrowLeft') this.previousImage();
-            if (e.key === 'ArrowRight') this.nextImage();
-            if (e.key === 'Escape') this.closeLightbox();
-        });
+    renderList(records) {
+        this.list.innerHTML = '';
+        if (!records.length) {
+            const empty = document.createElement('p');
+            empty.className = 'admin-empty';
+            empty.textContent = i18n.t('admin.empty');
+            this.list.appendChild(empty);
+            return;
+        }
+        records.forEach(record => this.list.appendChild(this.createRecord(record)));
     }
 
-    openLightbox(index) {
-        const img = this.galleryItems[index].querySelector('img');
-        this.lightboxImage.src = img.src;
-        this.lightboxImage.alt = img.alt;
-        this.lightbox.classList.add('active');
-        document.body.style.overflow = 'hidden';
+    createRecord(record) {
+        const article = document.createElement('article');
+        article.className = `admin-record admin-status-${record.status}`;
+        article.dataset.recordId = record.id;
+        article.innerHTML = `
+            <header class="admin-record-header">
+                <h3 class="admin-record-name" tabindex="-1"></h3>
+                <span class="admin-record-kind"></span>
+                <span class="admin-status"></span>
+            </header>
+            <ul class="admin-record-meta"></ul>
+            <p class="admin-record-message"></p>
+            <ol class="admin-record-timeline"></ol>
+            <div class="admin-record-actions">
+                <form class="admin-note-form">
+                    <label class="sr-only"></label>
+                    <input type="text" name="note" maxlength="500" autocomplete="off">
+                    <button type="submit" class="btn-gradient btn-gradient-secondary"></button>
+                </form>
+            </div>
+        `;
+
+        article.querySelector('.admin-record-name').textContent = record.name || record.email;
+        article.querySelector('.admin-record-kind').textContent = i18n.t(record.date ? 'admin.kind.booking' : 'admin.kind.inquiry');
+        const status = article.querySelector('.admin-status');
+        status.textContent = i18n.t(`admin.status.${record.status}`);
+        status.classList.add(`admin-status-${record.status}`);
+
+        const meta = article.querySelector('.admin-record-meta');
+        const addMeta = (icon, text, href) => {
+            const item = document.createElement('li');
+            const content = document.createElement(href ? 'a' : 'span');
+            if (href) content.href = href;
+            content.textContent = text;
+            item.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i> `;
+            item.appendChild(content);
+            meta.appendChild(item);
+        };
+        addMeta('fa-tag', this.getServiceTitle(record.service));
+        if (record.pet) addMeta('fa-paw', describePet(record.pet));
+        if (record.date) {
+            addMeta('fa-calendar-check', i18n.t('admin.appointment', {
+                date: i18n.formatDate(parseLocalDate(record.date), { weekday: 'short', month: 'short', day: 'numeric' }),
+                time: record.time ? formatSlotTime(record.time) : ''
+            }));
+        }
+        if (record.reference) addMeta('fa-hashtag', i18n.t('admin.reference', { reference: record.reference }));
+        if (record.email) addMeta('fa-envelope', record.email, `mailto:${record.email}`);
+        if (record.phone) addMeta('fa-phone', record.phone, `tel:${record.phone.replace(/[^\d+]/g, '')}`);
+        if (record.submittedAt) {
+            addMeta('fa-inbox', i18n.t('admin.received', {
+                date: i18n.formatDate(new Date(record.submittedAt), { dateStyle: 'medium', timeStyle: 'short' })
+            }));
+        }
+
+        const message = article.querySelector('.admin-record-message');
+        message.textContent = record.message;
+        message.hidden = !record.message;
+
+        const timeline = article.querySelector('.admin-record-timeline');
+        [
+            ...record.history.map(entry => ({ at: entry.at, text: i18n.t('admin.movedTo', { status: i18n.t(`admin.status.${entry.status}`) }) })),
+            ...record.notes.map(note => ({ at: note.at, text: note.text, note: true }))
+        ].sort((a, b) => a.at.localeCompare(b.at)).forEach(entry => {
+            const item = document.createElement('li');
+            item.classList.toggle('admin-note', Boolean(entry.note));
+            const time = document.createElement('time');
+            time.dateTime = entry.at;
+            time.textContent = i18n.formatDate(new Date(entry.at), { dateStyle: 'short', timeStyle: 'short' });
+            item.append(time, ` ${entry.text}`);
+            timeline.appendChild(item);
+        });
+        timeline.hidden = !timeline.children.length;
+
+        const next = getNextAdminStatus(record.status);
+        if (next) {
+            const advance = document.createElement('button');
+            advance.type = 'button';
+            advance.className = 'btn-gradient';
+            advance.dataset.adminAdvance = next;
+            advance.textContent = i18n.t('admin.advance', { status: i18n.t(`admin.status.${next}`) });
+            article.querySelector('.admin-record-actions').prepend(advance);
+        }
+
+        const noteInput = article.querySelector('[name="note"]');
+        const noteLabel = article.querySelector('.admin-note-form label');
+        noteInput.id = `adminNote-${record.id}`;
+        noteInput.placeholder = i18n.t('admin.notePlaceholder');
+        noteLabel.htmlFor = noteInput.id;
+        noteLabel.textContent = i18n.t('admin.noteLabel');
+        article.querySelector('.admin-note-form button').textContent = i18n.t('admin.addNote');
+        return article;
     }
 
-    closeLightbox() {
-        this.lightbox.classList.remove('active');
-        document.body.style.overflow = 'auto';
+    /**
+     * Month grid of upcoming appointments that match the filters
+     */
+    renderCalendar() {
+        const today = toDateInputValue(new Date());
+        const thisMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+        if (this.month < thisMonth) this.month = thisMonth;
+
+        const appointments = new Map();
+        this.getFilteredRecords()
+            .filter(record => record.date && record.date >= today)
+            .sort((a, b) => (a.time || '').localeCompare(b.time || ''))
+            .forEach(record => {
+                if (!appointments.has(record.date)) appointments.set(record.date, []);
+                appointments.get(record.date).push(record);
+            });
+
+        this.calendarTitle.textContent = i18n.formatDate(this.month, { month: 'long', year: 'numeric' });
+        this.element.querySelector('[data-calendar-step="-1"]').disabled = this.month <= thisMonth;
+        this.calendarGrid.innerHTML = '';
+
+        const firstDay = getFirstDayOfWeek();
+        for (let i = 0; i < 7; i++) {
+            // 2023-01-01 was a Sunday
+            const weekday = document.createElement('div');
+            weekday.className = 'admin-weekday';
+            weekday.textContent = i18n.formatDate(new Date(2023, 0, 1 + (firstDay + i) % 7), { weekday: 'short' });
+            this.calendarGrid.appendChild(weekday);
+        }
+
+        const leading = (this.month.getDay() - firstDay + 7) % 7;
+        for (let i = 0; i < leading; i++) {
+            const filler = document.createElement('div');
+            filler.className = 'admin-day admin-day-empty';
+            this.calendarGrid.appendChild(filler);
+        }
+
+        const daysInMonth = new Date(this.month.getFullYear(), this.month.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = toDateInputValue(new Date(this.month.getFullYear(), this.month.getMonth(), day));
+            const cell = document.createElement('div');
+            cell.className = 'admin-day';
+            cell.classList.toggle('admin-day-past', date < today);
+            cell.classList.toggle('admin-day-today', date === today);
+            cell.innerHTML = '<span class="admin-day-number"></span><ul></ul>';
+            cell.querySelector('.admin-day-number').textContent = i18n.formatNumber(day);
+
+            (appointments.get(date) || []).forEach(record => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `admin-appointment admin-status-${record.status}`;
+                button.dataset.recordId = record.id;
+                button.textContent = `${record.time ? formatSlotTime(record.time) : ''} ${record.name} · ${this.getServiceTitle(record.service)}`.trim();
+                item.appendChild(button);
+                cell.querySelector('ul').appendChild(item);
+            });
+            cell.classList.toggle('has-appointments', appointments.has(date));
+            this.calendarGrid.appendChild(cell);
+        }
+
+        const upcoming = [...appointments.values()].reduce((count, list) => count + list.length, 0);
+        if (!upcoming) {
+            const empty = document.createElement('p');
+            empty.className = 'admin-empty';
+            empty.textContent = i18n.t('admin.noAppointments');
+            this.calendarGrid.appendChild(empty);
+        }
     }
 
-    previousImage() {
-        this.currentIndex = (this.currentIndex - 1 + this.galleryItems.length) % this.galleryItems.length;
-        this.openLightbox(this.currentIndex);
+    /**
+     * Switch to the list and bring a record into view
+     */
+    showRecord(id) {
+        this.serviceFilter.value = '';
+        this.statusFilter.value = '';
+        this.setView('list');
+        const record = this.findRecordElement(id);
+        if (!record) return;
+        record.scrollIntoView({ block: 'center', behavior: animations.prefersReducedMotion() ? 'auto' : 'smooth' });
+        record.querySelector('.admin-record-name').focus({ preventScroll: true });
     }
 
-    nextImage() {
-        this.currentIndex = (this.currentIndex + 1) % this.galleryItems.length;
-        this.openLightbox(this.currentIndex);
+    exportCsv() {
+        const rows = [[
+            'id', 'status', 'name', 'email', 'phone', 'service', 'pet', 'appointment_date', 'appointment_time',
+            'reference', 'received', 'message', 'notes'
+        ]];
+        this.getFilteredRecords().forEach(record => {
+            rows.push([
+                record.id, record.status, record.name, record.email, record.phone, record.service,
+                record.pet ? describePet(record.pet) : '',
+                record.date, record.time, record.reference, record.submittedAt, record.message,
+                record.notes.map(note => `${note.at} ${note.text}`).join('\n')
+            ]);
+        });
+
+        // BOM so spreadsheet apps detect UTF-8
+        downloadBlob(
+            new Blob(['\uFEFF' + toCsv(rows)], { type: 'text/csv;charset=utf-8' }),
+            `pawscare-requests-${toDateInputValue(new Date())}.csv`
+        );
     }
 }
 
-// Initialize gallery
-document.addEventListener('DOMContentLoaded', () => {
-    new Gallery();
+// data-admin-endpoint="https://..." is the staff API. The in-browser
+// LocalAdminSource is only used for demos, with data-admin-demo and
+// data-admin-password-hash="<sha-256 hex>"; without either, sign-in is off.
+components.define('admin', (element) => {
+    const endpoint = element.dataset.adminEndpoint;
+    const source = endpoint
+        ? new RemoteAdminSource(endpoint)
+        : new LocalAdminSource({
+            demo: 'adminDemo' in element.dataset,
+            passwordHash: element.dataset.adminPasswordHash
+        });
+    return new AdminDashboard(element, router, source);
+}, {
+    requires: [
+        '.admin-panel', '#adminLogin', '#adminUnavailable', '#adminDashboard', '[data-admin-logout]', '#adminServiceFilter',
+        '#adminStatusFilter', '#adminSummary', '#adminList', '#adminCalendar', '#adminCalendarTitle',
+        '#adminCalendarGrid', '#adminExport'
+    ]
 });
 
 // ============================================
-// FORM VALIDATION & SUBMISSION
+// OFFLINE SUPPORT & APP UPDATES
 // ============================================
 
-class FormValidator {
-    constructor(form) {
-        this.form = form;
-        this.fields = {
-            name: { required: true, minLength: 2 },
-            email: { required: true, type: 'email' },
-            phone: { required: false, type: 'tel' },
-            service: { required: true },
-            message: { required: true, minLength: 10 }
-        };
-        this.init();
+/**
+ * Registers the service worker (sw.js) and offers a reload when a new
+ * version has been installed and is waiting to take over
+ */
+class AppUpdater extends Component {
+    constructor(toast, scriptUrl = 'sw.js') {
+        super(toast);
+        this.scriptUrl = scriptUrl;
+        this.registration = null;
+        this.updating = false;
     }
 
     init() {
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-    }
-
-    handleSubmit(e) {
-        e.preventDefault();
+        if (!('serviceWorker' in navigator)) return;
 
-        if (this.validateForm()) {
-            this.submitForm();
-        }
-    }
+        this.listen(this.element.querySelector('[data-update-reload]'), 'click', () => this.applyUpdate());
+        this.listen(this.element.querySelector('[data-update-dismiss]'), 'click', () => this.hide());
 
-    validateForm() {
-        let isValid = true;
+        // The first install also changes the controller; only reload when asked to
+        this.listen(navigator.serviceWorker, 'controllerchange', () => {
+            if (this.updating) location.reload();
+        });
 
-        for (const [fieldName, rules] of Object.entries(this.fields)) {
-            const input = this.form.querySelector(`[name="${fieldName}"]`);
-            const errorElement = document.getElementById(`${fieldName}Error`);
-            
-            if (!input || !errorElement) {
-                console.warn(`Form field or error element not found: ${fieldName}`);
-                continue;
-            }
+        // Registered after load so precaching doesn't compete with the page
+        if (document.readyState === 'complete') this.register();
+        else this.listen(window, 'load', () => this.register());
+    }
 
-            const fieldGroup = input.closest('.form-group');
-            if (!fieldGroup) continue;
-
-            if (rules.required && !input.value.trim()) {
-                this.showError(fieldGroup, errorElement, `${this.capitalizeField(fieldName)} is required`);
-                isValid = false;
-            } else if (input.value && rules.minLength && input.value.length < rules.minLength) {
-                this.showError(fieldGroup, errorElement, `${this.capitalizeField(fieldName)} must be at least ${rules.minLength} characters`);
-                isValid = false;
-            } else if (input.value && rules.type === 'email' && !this.isValidEmail(input.value)) {
-                this.showError(fieldGroup, errorElement, 'Please enter a valid email address');
-                isValid = false;
-            } else if (input.value && rules.type === 'tel' && !this.isValidPhone(input.value)) {
-                this.showError(fieldGroup, errorElement, 'Please enter a valid phone number');
-                isValid = false;
-            } else {
-                this.clearError(fieldGroup, errorElement);
-            }
-        }
+    register() {
+        navigator.serviceWorker.register(this.scriptUrl).then(registration => {
+            this.registration = registration;
+            if (registration.waiting && navigator.serviceWorker.controller) this.show();
 
-        return isValid;
-    }
+            this.listen(registration, 'updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                this.listen(worker, 'statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.show();
+                });
+            });
 
-    showError(fieldGroup, errorElement, message) {
-        fieldGroup.classList.add('error');
-        errorElement.textContent = message;
+            // Tabs left open for days still hear about new deploys
+            const timer = setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+            this.own(() => clearInterval(timer));
+        }).catch(error => console.warn('Service worker registration failed', error));
     }
 
-    clearError(fieldGroup, errorElement) {
-        fieldGroup.classList.remove('error');
-        errorElement.textContent = '';
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) {
+            location.reload();
+            return;
+        }
+        this.updating = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
     }
 
-    capitalizeField(field) {
-        return field.replace(/([A-Z])/g, ' $1').trim().replace(/^./, (c) => c.toUpperCase());
+    show() {
+        this.element.hidden = false;
     }
 
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    hide() {
+        this.element.hidden = true;
     }
+}
 
-    isValidPhone(phone) {
-        const phoneRegex = /^[\d\s\-\+\(\)]{10,}$/;
-        return phoneRegex.test(phone.replace(/\s/g, ''));
+/**
+ * "Install app" button, shown when the browser offers installation
+ */
+class InstallPrompt extends Component {
+    constructor(button) {
+        super(button);
+        this.button = button;
+        this.deferredPrompt = null;
     }
 
-    submitForm() {
-        const formMessage = document.getElementById('formMessage');
-        if (!formMessage) {
-            console.error('Form message element not found');
-            return;
-        }
-
-        // Simulate form submission
-        setTimeout(() => {
-            formMessage.textContent = '✓ Message sent successfully! We\'ll get back to you soon.';
-            formMessage.classList.add('success');
-            formMessage.classList.remove('error');
+    init() {
+        this.listen(window, 'beforeinstallprompt', (e) => {
+            // Keep the browser's mini-infobar away; the button asks instead
+            e.preventDefault();
+            this.deferredPrompt = e;
+            this.button.hidden = false;
+        });
 
-            // Reset form
-            this.form.reset();
+        this.listen(this.button, 'click', () => {
+            if (!this.deferredPrompt) return;
+            const prompt = this.deferredPrompt;
+            this.deferredPrompt = null;
+            this.button.hidden = true;
+            prompt.prompt();
+        });
 
-            // Hide message after 5 seconds
-            setTimeout(() => {
-                formMessage.textContent = '';
-                formMessage.classList.remove('success');
-            }, 5000);
-        }, 500);
+        this.listen(window, 'appinstalled', () => {
+            this.deferredPrompt = null;
+            this.button.hidden = true;
+        });
     }
 }
 
-// Initialize form validator
-document.addEventListener('DOMContentLoaded', () => {
-    const contactForm = document.getElementById('contactForm');
-    if (contactForm) {
-        new FormValidator(contactForm);
-    }
+components.define('app-update', (element) => new AppUpdater(element, element.dataset.serviceWorker), {
+    requires: ['[data-update-reload]', '[data-update-dismiss]']
 });
+components.define('install-app', (element) => new InstallPrompt(element));
 
 // ============================================
 // HERO SECTION ANIMATIONS
@@ -498,15 +11319,12 @@ window.addEventListener('load', () => {
 // BUTTON RIPPLE EFFECT
 // ============================================
 
-class RippleButton {
-    constructor() {
-        // Ripple effect disabled for simpler button styling
-        // this.buttons = document.querySelectorAll('.btn');
-        // this.init();
-    }
-
+/**
+ * Opt-in ripple on click: add data-component="ripple" to a button
+ */
+class RippleButton extends Component {
     init() {
-        // Ripple effect disabled
+        this.listen(this.element, 'click', (e) => this.createRipple(e));
     }
 
     createRipple(event) {
@@ -520,87 +11338,60 @@ class RippleButton {
         ripple.style.width = ripple.style.height = size + 'px';
         ripple.style.left = x + 'px';
         ripple.style.top = y + 'px';
+        // Styled by .ripple in style.css, which uses the --color-ripple theme token
         ripple.classList.add('ripple');
-
-        // Add ripple styles dynamically
-        if (!document.querySelector('style[data-ripple]')) {
-            const style = document.createElement('style');
-            style.setAttribute('data-ripple', 'true');
-            style.textContent = `
-                .btn { position: relative; }
-                .ripple {
-                    position: absolute;
-                    border-radius: 50%;
-                    background: rgba(255, 255, 255, 0.5);
-                    transform: scale(0);
-                    animation: rippleAnimation 0.6s ease-out;
-                    pointer-events: none;
-                }
-                @keyframes rippleAnimation {
-                    to {
-                        transform: scale(4);
-                        opacity: 0;
-                    }
-                }
-            `;
-            document.head.appendChild(style);
-        }
+        ripple.addEventListener('animationend', () => ripple.remove(), { once: true });
 
         button.appendChild(ripple);
     }
 }
 
-
-// Initialize ripple effect
-document.addEventListener('DOMContentLoaded', () => {
-    new RippleButton();
-});
+components.define('ripple', (element) => new RippleButton(element));
 
 // ============================================
 // SERVICE CARD HOVER GLOW EFFECT
 // ============================================
 
 /**
- * Add glow effect on service card hover
+ * Add glow effect on service card hover (delegated, so rendered cards work too)
  */
-document.addEventListener('DOMContentLoaded', () => {
-    const serviceCards = document.querySelectorAll('.service-card');
+document.addEventListener('mousemove', throttle((e) => {
+    const card = e.target.closest && e.target.closest('.service-card');
+    if (!card) return;
 
-    serviceCards.forEach(card => {
-        card.addEventListener('mousemove', (e) => {
-            const rect = card.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+    const rect = card.getBoundingClientRect();
+    card.style.setProperty('--mouse-x', (e.clientX - rect.left) + 'px');
+    card.style.setProperty('--mouse-y', (e.clientY - rect.top) + 'px');
+}, 16));
 
-            card.style.setProperty('--mouse-x', x + 'px');
-            card.style.setProperty('--mouse-y', y + 'px');
-        });
-
-        card.addEventListener('mouseleave', () => {
-            card.style.setProperty('--mouse-x', '50%');
-            card.style.setProperty('--mouse-y', '50%');
-        });
-    });
+document.addEventListener('mouseout', (e) => {
+    const card = e.target.closest && e.target.closest('.service-card');
+    if (card && !card.contains(e.relatedTarget)) {
+        card.style.setProperty('--mouse-x', '50%');
+        card.style.setProperty('--mouse-y', '50%');
+    }
 });
 
 // ============================================
 // SMOOTH SCROLL FOR CTA BUTTONS
 // ============================================
 
-document.addEventListener('DOMContentLoaded', () => {
-    const ctaButtons = document.querySelectorAll('.hero-buttons .btn-gradient');
-
-    ctaButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            const text = button.textContent.toLowerCase();
-            if (text.includes('book')) {
-                smoothScrollTo(document.getElementById('contact'));
-            } else if (text.includes('contact')) {
+class HeroCta extends Component {
+    init() {
+        // Matched by data-cta rather than label text, which changes with the language
+        this.element.querySelectorAll('[data-cta]').forEach(button => {
+            this.listen(button, 'click', () => {
                 smoothScrollTo(document.getElementById('contact'));
-            }
+                if (button.dataset.cta === 'book') {
+                    const dateInput = document.getElementById('bookingDate');
+                    if (dateInput) dateInput.focus({ preventScroll: true });
+                }
+            });
         });
-    });
-});
+    }
+}
+
+components.define('hero-cta', (element) => new HeroCta(element), { requires: ['#contact'] });
 
 // ============================================
 // PAGE LOAD ANIMATIONS
@@ -624,81 +11415,49 @@ window.addEventListener('load', () => {
 /**
  * Create and manage scroll-to-top button
  */
-class ScrollToTop {
-    constructor() {
+class ScrollToTop extends Component {
+    init() {
         this.createButton();
-        this.init();
+
+        this.listen(window, 'scroll', throttle(monitor.timed('scroll-to-top', () => {
+            this.button.classList.toggle('visible', window.scrollY > 500);
+        }), 100));
+
+        this.listen(this.button, 'click', () => {
+            window.scrollTo({ top: 0, behavior: animations.prefersReducedMotion() ? 'auto' : 'smooth' });
+        });
     }
 
     createButton() {
         const button = document.createElement('button');
-        button.innerHTML = '<i class="fas fa-arrow-up"></i>';
+        button.type = 'button';
+        button.innerHTML = '<i class="fas fa-arrow-up" aria-hidden="true"></i>';
+        // Appearance comes from .scroll-to-top in style.css (theme tokens)
         button.className = 'scroll-to-top';
-        button.style.cssText = `
-            position: fixed;
-            bottom: 30px;
-            right: 30px;
-            width: 50px;
-            height: 50px;
-            border-radius: 50%;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            border: none;
-            cursor: pointer;
-            display: none;
-            align-items: center;
-            justify-content: center;
-            font-size: 1.2rem;
-            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
-            transition: all 0.3s ease;
-            z-index: 999;
-        `;
+        button.setAttribute('aria-label', i18n.t('scrollTop.label'));
+        this.own(i18n.onChange(() => button.setAttribute('aria-label', i18n.t('scrollTop.label'))));
 
-        document.body.appendChild(button);
+        this.element.appendChild(button);
+        this.own(() => button.remove());
         this.button = button;
     }
-
-    init() {
-        window.addEventListener('scroll', throttle(() => {
-            if (window.scrollY > 500) {
-                this.button.style.display = 'flex';
-            } else {
-                this.button.style.display = 'none';
-            }
-        }, 100));
-
-        this.button.addEventListener('click', () => {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        });
-
-        this.button.addEventListener('mouseenter', () => {
-            this.button.style.transform = 'scale(1.1)';
-        });
-
-        this.button.addEventListener('mouseleave', () => {
-            this.button.style.transform = 'scale(1)';
-        });
-    }
 }
 
-// Initialize scroll to top
-document.addEventListener('DOMContentLoaded', () => {
-    new ScrollToTop();
-});
+components.define('scroll-to-top', (element) => new ScrollToTop(element));
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Translate the page before components render their copy
+    i18n.apply();
+    components.mount();
+
+    // Started last so every mounted view has registered its routes
+    router.start();
+
     console.log('PawsCare Website Loaded Successfully');
-    
-    // Log performance metrics
-    if (window.performance && window.performance.timing) {
-        const perfData = window.performance.timing;
-        const pageLoadTime = perfData.loadEventEnd - perfData.navigationStart;
-        console.log('Page Load Time: ' + pageLoadTime + 'ms');
-    }
 });
 
 // ============================================
@@ -706,12 +11465,14 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================
 
 /**
- * Global error handler for better UX
+ * Global error handlers: log to the console and report to monitoring
  */
 window.addEventListener('error', (event) => {
     console.error('Error:', event.error);
+    monitor.captureError(event.error, event);
 });
 
 window.addEventListener('unhandledrejection', (event) => {
     console.error('Unhandled Promise Rejection:', event.reason);
+    monitor.captureError(event.reason, { message: 'Unhandled promise rejection' });
 });
@@ -0,0 +1,140 @@
+// ============================================
+// PAWSCARE SERVICE WORKER
+// ============================================
+
+// The precache is only the offline copy of the site: while online, pages and
+// app files always come from the network. Bumping this refreshes that copy.
+const CACHE_VERSION = 'v1';
+const PRECACHE = `pawscare-precache-${CACHE_VERSION}`;
+const FONT_CACHE = 'pawscare-fonts';
+const IMAGE_CACHE = 'pawscare-images';
+const IMAGE_CACHE_LIMIT = 60;
+const TILE_CACHE = 'pawscare-map-tiles';
+const TILE_CACHE_LIMIT = 150;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'offline.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+const PRECACHED = new Set(PRECACHE_URLS.map(path => new URL(path, self.registration.scope).href));
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+// Service area map tiles ({z}/{x}/{y}.png from whichever tile server is configured)
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: the page asks first (see APP UPDATES in script.js)
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(caches.open(PRECACHE).then(cache => (
+        cache.addAll(PRECACHE_URLS.map(path => new Request(path, { cache: 'reload' })))
+    )));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [PRECACHE, FONT_CACHE, IMAGE_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('pawscare-') && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Care reminder notifications (see CARE REMINDERS in script.js) open their
+// page in an existing tab when there is one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const data = event.notification.data || {};
+    const url = new URL(data.url || './', self.registration.scope).href;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const existing = windows.find(client => client.url.startsWith(self.registration.scope));
+        if (!existing) return self.clients.openWindow(url);
+        // navigate() is refused for tabs this worker doesn't control yet
+        return existing.focus()
+            .then(client => client.navigate(url))
+            .catch(() => self.clients.openWindow(url));
+    }));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' || PRECACHED.has(url.origin + url.pathname)) {
+        // The page, script and styles all come from the network, so a deploy is
+        // live on the next load, or all from the precache when offline
+        event.respondWith(networkFirst(request));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        // Font CSS and files are versioned by URL, so a cached copy never goes stale
+        event.respondWith(cacheFirst(request, FONT_CACHE, { opaque: true }));
+    } else if (request.destination === 'image' && TILE_PATH.test(url.pathname)) {
+        // Kept apart so panning the map doesn't push gallery photos out
+        event.respondWith(cacheFirst(request, TILE_CACHE, { limit: TILE_CACHE_LIMIT }));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, { limit: IMAGE_CACHE_LIMIT }));
+    }
+    // Everything else (form endpoints, booking and stats APIs) goes straight to the network
+});
+
+/**
+ * App shell: fresh from the network, else the precached copy, else the offline
+ * page. The precache is never written after install, so offline the shell is
+ * always one consistent version.
+ */
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(PRECACHE);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        return request.mode === 'navigate' ? cache.match('offline.html') : Response.error();
+    }
+}
+
+/**
+ * Fonts, images and map tiles: the network is only used for what isn't cached yet.
+ * Only the font stylesheets (linked without CORS) may be cached opaque; an opaque
+ * image or tile could be an error page and is padded to megabytes of quota.
+ */
+async function cacheFirst(request, cacheName, { limit = 0, opaque = false } = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || (opaque && response.type === 'opaque')) {
+            await cache.put(request, response.clone());
+            if (limit) trimCache(cache, limit);
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * Drop the oldest entries once a runtime cache grows past `limit`
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}